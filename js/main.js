@@ -1,24 +1,85 @@
 // QR Code Generator - Main Module
 // Privacy-focused, client-side QR generation
 
-import { getContent } from './modules/templates.js';
+import { clearedFields, describeProblem, getActiveTemplate, getContent, getTemplate, hasChecks, listTemplates, parseContent, readFields, templateFields, validateFields } from './modules/templates.js';
+import { renderTemplateButton, renderTemplateForm, updateTemplateForm, writeFields } from './modules/template-form.js';
+import { decodeCanvas, decodeSVG } from './modules/qr-decoder.js';
+import { createQR, createQRSet, parseColors, QUIET_ZONE } from './modules/qr-render.js';
+import { capacity, fitVersion, makeSegments } from './modules/qr-encoder.js';
+import { fitMicroVersion, microCapacity, microName, microSegments, microSize, MICRO_VERSIONS } from './modules/micro-qr.js';
+import { fitRmqrVersion, rmqrCapacity, rmqrDimensions, rmqrName, rmqrSegments, RMQR_VERSIONS } from './modules/rmqr.js';
+import { MODE, symbolSize } from './modules/qr-spec.js';
+import { createPDF } from './modules/pdf.js';
+import { darkenForContrast } from './modules/scannability.js';
+import { createZip } from './modules/zip.js';
 
 const CONFIG = {
   MAX_CACHE_SIZE: 10,
   DEBOUNCE_DELAY: 200,
   STATUS_TIMEOUT: 1000,
   INITIAL_DELAY: 300,
-  MAX_FILE_SIZE: 5 * 1024 * 1024
+  MAX_FILE_SIZE: 5 * 1024 * 1024,
+  MAX_PDF_LOGO_SIZE: 1024,
+  MAX_GRADIENT_STOPS: 5,
+  RANDOM_COLOR_CONTRAST: 7
+};
+
+const DEFAULT_DESIGN = {
+  size: 350,
+  fg: '#000000',
+  bg: '#ffffff',
+  ec: 'M',
+  symbol: 'qr',
+  version: 0,
+  mask: -1,
+  encoding: 'auto',
+  eci: 'auto',
+  structuredAppend: 'off',
+  margin: 2,
+  style: 'square',
+  eyeOuter: 'match',
+  eyeInner: 'match',
+  eyeOuterColor: '#000000',
+  eyeInnerColor: '#000000',
+  fill: 'solid',
+  gradientColors: '#1d4ed8,#7c3aed',
+  gradientAngle: 45,
+  alignmentColor: '#000000',
+  timingColor: '#000000',
+  logoPercent: 20,
+  logoMode: 'overlay'
 };
 
 const state = {
   canvas: null,
+  qr: null,
   logo: null,
   debounceTimer: null,
   generating: false,
   cache: new Map(),
   lastConfig: '',
-  tooltips: null
+  tooltips: null,
+  batch: null,
+  share: null,
+  presets: null,
+  analyzer: null,
+  history: null,
+  verifyToken: 0
+};
+
+// Error correction levels each symbol type offers
+const SYMBOL_LEVELS = {
+  qr: ['L', 'M', 'Q', 'H'],
+  micro: ['L', 'M', 'Q'],
+  rmqr: ['M', 'H']
+};
+
+// Short mode names for the capacity meter's segment list
+const SEGMENT_NAMES = {
+  [MODE.NUMERIC]: 'Numeric',
+  [MODE.ALPHANUMERIC]: 'Alphanumeric',
+  [MODE.BYTE]: 'Byte',
+  [MODE.KANJI]: 'Kanji'
 };
 
 const $ = id => document.getElementById(id);
@@ -59,9 +120,41 @@ function setActiveTemplate(btn) {
   const target = $(targetId);
   if (target) target.style.display = 'block';
   
+  if (state.batch) state.batch.updateMapping();
   debouncedGenerate();
 }
 
+function selectTemplate(name) {
+  const btn = document.querySelector(`.template-btn[data-template="${name}"]`);
+  if (btn) setActiveTemplate(btn);
+}
+
+// Template buttons and input panels, generated from the registered descriptors
+function renderTemplates() {
+  const buttons = $('template-buttons');
+  const forms = $('template-forms');
+  if (!buttons || !forms) return;
+  listTemplates().forEach((template, i) => {
+    buttons.appendChild(renderTemplateButton(template, i === 0));
+    forms.appendChild(renderTemplateForm(template, i === 0));
+    updateTemplateForm(template.name, readFields(template.name));
+  });
+}
+
+// A field that fills in others, such as a pasted map link, writes them as the user types
+function fillFields(template, input) {
+  const field = templateFields(template).find(f => f.id === input.id);
+  const values = field?.fill && input.value.trim() ? field.fill(input.value, readFields(template.name)) : null;
+  if (values) writeFields(template.name, values);
+}
+
+// Conditional fields, hints, counters and checks of one template's form
+function updateTemplateUI(name) {
+  updateTemplateForm(name, readFields(name));
+  const template = getTemplate(name);
+  if (template && hasChecks(template)) showFieldProblems(name);
+}
+
 // Color pickers
 function setupColor(colorId, previewId, hexId) {
   const color = $(colorId);
@@ -92,7 +185,7 @@ function setupColor(colorId, previewId, hexId) {
   });
 }
 
-// Range sliders
+// Range sliders; a drag is one step of the undo history
 function setupRangeSliders() {
   const size = $('qr-size');
   const margin = $('margin-size');
@@ -101,6 +194,7 @@ function setupRangeSliders() {
   if (size) {
     size.addEventListener('input', e => {
       $('size-display').textContent = e.target.value;
+      state.history?.touch(e.target.id);
       debouncedGenerate();
     });
   }
@@ -108,6 +202,7 @@ function setupRangeSliders() {
   if (margin) {
     margin.addEventListener('input', e => {
       $('margin-display').textContent = e.target.value;
+      state.history?.touch(e.target.id);
       debouncedGenerate();
     });
   }
@@ -115,9 +210,89 @@ function setupRangeSliders() {
   if (logo) {
     logo.addEventListener('input', e => {
       $('logo-size-display').textContent = e.target.value;
+      state.history?.touch(e.target.id);
       debouncedGenerate();
     });
   }
+
+  const angle = $('gradient-angle');
+  if (angle) {
+    angle.addEventListener('input', e => {
+      $('gradient-angle-display').textContent = e.target.value;
+      state.history?.touch(e.target.id);
+      debouncedGenerate();
+    });
+  }
+}
+
+function setupFillControls() {
+  const mode = $('fill-mode');
+  const addStop = $('gradient-add-stop');
+  if (!mode || !addStop) return;
+
+  renderGradientStops(parseColors(DEFAULT_DESIGN.gradientColors));
+  mode.addEventListener('change', updateFillControls);
+  addStop.addEventListener('click', () => {
+    const colors = getGradientColors();
+    if (colors.length >= CONFIG.MAX_GRADIENT_STOPS) return;
+    renderGradientStops([...colors, colors[colors.length - 1]]);
+    debouncedGenerate();
+  });
+  updateFillControls();
+}
+
+// Show the controls that apply to the chosen fill mode
+function updateFillControls() {
+  const mode = $('fill-mode')?.value || 'solid';
+  const show = (id, visible) => {
+    const el = $(id);
+    if (el) el.style.display = visible ? '' : 'none';
+  };
+  show('gradient-options', mode === 'linear' || mode === 'radial');
+  show('gradient-angle-group', mode === 'linear');
+  show('region-options', mode === 'regions');
+}
+
+function renderGradientStops(colors) {
+  const container = $('gradient-stops');
+  if (!container) return;
+
+  container.innerHTML = '';
+  colors.forEach((color, i) => {
+    const stop = document.createElement('div');
+    stop.className = 'gradient-stop';
+
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.className = 'form-control form-control-color';
+    input.value = color.toLowerCase();
+    input.setAttribute('aria-label', `Gradient stop ${i + 1} color`);
+    input.addEventListener('input', debouncedGenerate);
+    stop.appendChild(input);
+
+    if (colors.length > 2) {
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-sm btn-outline-danger gradient-stop-remove';
+      remove.innerHTML = '<i class="bi bi-x" aria-hidden="true"></i>';
+      remove.setAttribute('aria-label', `Remove gradient stop ${i + 1}`);
+      remove.addEventListener('click', () => {
+        const next = getGradientColors();
+        next.splice(i, 1);
+        renderGradientStops(next);
+        debouncedGenerate();
+      });
+      stop.appendChild(remove);
+    }
+    container.appendChild(stop);
+  });
+
+  const addStop = $('gradient-add-stop');
+  if (addStop) addStop.disabled = colors.length >= CONFIG.MAX_GRADIENT_STOPS;
+}
+
+function getGradientColors() {
+  return Array.from(document.querySelectorAll('#gradient-stops input[type="color"]'), input => input.value);
 }
 
 // Logo upload
@@ -142,33 +317,39 @@ function setupLogoUpload() {
     }
 
     const reader = new FileReader();
-    reader.addEventListener('load', ev => {
-      const img = new Image();
-      img.addEventListener('load', () => {
-        state.logo = img;
-        $('logo-preview').src = ev.target.result;
-        $('logo-preview-wrap').style.display = 'block';
-        $('error-correction').value = 'H';
-        updateErrorCorrectionState(true);
-        state.cache.clear();
-        debouncedGenerate();
-      });
-      img.src = ev.target.result;
-    });
+    reader.addEventListener('load', ev => loadLogo(ev.target.result));
     reader.readAsDataURL(file);
   });
 
   if (clear) {
     clear.addEventListener('click', () => {
-      state.logo = null;
-      upload.value = '';
-      $('logo-preview-wrap').style.display = 'none';
-      updateErrorCorrectionState(false);
+      showLogo(null);
       debouncedGenerate();
     });
   }
 }
 
+// Use an image (data URL) as the logo
+function loadLogo(src) {
+  const img = new Image();
+  img.addEventListener('load', () => {
+    showLogo(img);
+    state.cache.clear();
+    debouncedGenerate();
+  });
+  img.addEventListener('error', () => showStatus('Logo image could not be loaded', 'error'));
+  img.src = src;
+}
+
+// Show a loaded image as the logo, or remove the logo with null. A logo needs level H.
+function showLogo(img) {
+  state.logo = img;
+  if (img) $('logo-preview').src = img.src;
+  else $('logo-upload').value = '';
+  $('logo-preview-wrap').style.display = img ? 'block' : 'none';
+  updateErrorCorrectionState(Boolean(img));
+}
+
 // Update error correction dropdown state
 function updateErrorCorrectionState(hasLogo) {
   const ecSelect = $('error-correction');
@@ -188,20 +369,80 @@ function updateErrorCorrectionState(hasLogo) {
       ecSelect.value = 'H';
     }
   } else {
-    // Re-enable all options
+    // Re-enable the levels the symbol type has: Micro QR lacks H, rMQR has only M and H
+    const levels = SYMBOL_LEVELS[$('symbol-type')?.value] || SYMBOL_LEVELS.qr;
     Array.from(ecSelect.options).forEach(option => {
-      option.disabled = false;
+      option.disabled = !levels.includes(option.value);
     });
+    if (!levels.includes(ecSelect.value)) ecSelect.value = 'M';
   }
 }
 
+function setupSymbolControls() {
+  const symbol = $('symbol-type');
+  if (!symbol) return;
+  
+  symbol.addEventListener('change', () => {
+    updateSymbolControls();
+    const margin = $('margin-size');
+    margin.value = QUIET_ZONE[symbol.value];
+    $('margin-display').textContent = margin.value;
+  });
+}
+
+// Offer the versions, masks and options the chosen symbol type supports,
+// keeping the current choices where they still apply
+function updateSymbolControls() {
+  const symbol = $('symbol-type')?.value;
+  const micro = symbol === 'micro';
+  const rmqr = symbol === 'rmqr';
+  const fill = (id, options) => {
+    const select = $(id);
+    if (!select) return;
+    const value = select.value;
+    select.innerHTML = '';
+    options.forEach(([optionValue, label]) => select.add(new Option(label, optionValue)));
+    if (options.some(([optionValue]) => optionValue === value)) select.value = value;
+  };
+  
+  const versions = micro
+    ? MICRO_VERSIONS.map(v => [String(v), `${microName(v)} (${microSize(v)}×${microSize(v)})`])
+    : rmqr
+      ? RMQR_VERSIONS.map(v => [String(v), rmqrName(v)])
+      : Array.from({ length: 40 }, (_, i) => [String(i + 1), `${i + 1} (${symbolSize(i + 1)}×${symbolSize(i + 1)})`]);
+  fill('qr-version', [['0', 'Auto (smallest)'], ...versions]);
+  // rMQR has one fixed mask
+  const masks = Array.from({ length: micro ? 4 : rmqr ? 0 : 8 }, (_, i) => [String(i), String(i)]);
+  fill('qr-mask', [['-1', rmqr ? 'Fixed' : 'Auto (lowest penalty)'], ...masks]);
+  if ($('qr-mask')) $('qr-mask').disabled = rmqr;
+  
+  // Micro QR and rMQR have no ECI header and no Structured Append
+  ['qr-eci', 'structured-append'].forEach(id => {
+    if ($(id)) $(id).disabled = micro || rmqr;
+  });
+  updateErrorCorrectionState(Boolean(state.logo));
+}
+
 // QR generation
 function generate() {
   if (state.generating) return;
+  state.history?.record();
+  
+  // A code with a bad value is never rendered, so it cannot be downloaded or printed
+  const problems = validateFields();
+  showFieldProblems();
+  if (problems.length) {
+    showInvalidPayload(problems);
+    return;
+  }
   
   const config = getConfigHash();
   if (state.cache.has(config)) {
-    displayQRCode(state.cache.get(config));
+    const { canvas, qr } = state.cache.get(config);
+    updateCapacityMeter(getContent(), templateDesign(getDesignSettings()), qr);
+    displayQRCode(canvas, qr);
+    verifyScan(canvas, qr);
+    state.analyzer?.update(qr.symbols ? qr.symbols[0] : qr);
     showStatus('<i class="bi bi-check-circle-fill"></i> Ready (cached)', 'success', CONFIG.STATUS_TIMEOUT);
     return;
   }
@@ -209,78 +450,26 @@ function generate() {
   state.generating = true;
   $('qr-container').classList.add('loading');
   
+  const content = getContent();
+  const design = templateDesign(getDesignSettings());
+  updateCapacityMeter(content, design);
+  
   try {
-    const content = getContent();
-    const size = parseInt($('qr-size')?.value || '350', 10);
-    const fg = $('fg-color')?.value || '#000000';
-    const bg = $('bg-color')?.value || '#ffffff';
-    const ec = $('error-correction')?.value || 'M';
-    const margin = parseInt($('margin-size')?.value || '2', 10);
-    const style = $('dot-style')?.value || 'square';
-    const logoPercent = parseInt($('logo-size')?.value || '20', 10);
-    
-    const qr = qrcode(0, ec);
-    qr.addData(content);
-    qr.make();
-    
-    const count = qr.getModuleCount();
-    const cell = Math.floor(size / (count + margin * 2));
-    const actual = cell * (count + margin * 2);
-    
-    const canvas = document.createElement('canvas');
-    canvas.width = canvas.height = actual;
-    const ctx = canvas.getContext('2d');
-    
-    // Background
-    ctx.fillStyle = bg;
-    ctx.fillRect(0, 0, actual, actual);
-    
-    // QR modules
-    ctx.fillStyle = fg;
-    for (let r = 0; r < count; r++) {
-      for (let c = 0; c < count; c++) {
-        if (qr.isDark(r, c)) {
-          const x = (c + margin) * cell;
-          const y = (r + margin) * cell;
-          
-          if (style === 'rounded') {
-            roundRect(ctx, x, y, cell, cell, cell * 0.3);
-          } else if (style === 'dots') {
-            ctx.beginPath();
-            ctx.arc(x + cell/2, y + cell/2, cell * 0.4, 0, Math.PI * 2);
-            ctx.fill();
-          } else {
-            ctx.fillRect(x, y, cell, cell);
-          }
-        }
-      }
-    }
-    
-    // Logo
-    if (state.logo) {
-      const maxSize = actual * (logoPercent / 100);
-      const ratio = state.logo.naturalWidth / state.logo.naturalHeight;
-      const [w, h] = ratio >= 1 
-        ? [maxSize, maxSize / ratio]
-        : [maxSize * ratio, maxSize];
-      
-      const lx = (actual - w) / 2;
-      const ly = (actual - h) / 2;
-      const pad = Math.max(w, h) * 0.1;
-      
-      ctx.fillStyle = bg;
-      roundRect(ctx, lx - pad, ly - pad, w + pad*2, h + pad*2, pad * 0.5);
-      ctx.drawImage(state.logo, lx, ly, w, h);
-    }
+    const qr = buildQR(content, design);
+    // A knockout logo may have raised the version
+    updateCapacityMeter(content, design, qr);
+    const canvas = qr.renderCanvas(document.createElement('canvas'));
     
     // Cache
-    state.cache.set(config, canvas);
+    state.cache.set(config, { canvas, qr });
     if (state.cache.size > CONFIG.MAX_CACHE_SIZE) {
       const firstKey = state.cache.keys().next().value;
       state.cache.delete(firstKey);
     }
     
-    displayQRCode(canvas);
+    displayQRCode(canvas, qr);
+    verifyScan(canvas, qr);
+    state.analyzer?.update(qr.symbols ? qr.symbols[0] : qr);
     
   } catch (err) {
     showStatus(`<i class="bi bi-exclamation-triangle"></i> ${err.message || 'QR generation failed'}`, 'error');
@@ -290,7 +479,105 @@ function generate() {
   }
 }
 
-function displayQRCode(canvas) {
+// Design settings from the controls
+function getDesignSettings() {
+  return {
+    size: parseInt($('qr-size')?.value || '350', 10),
+    fg: $('fg-color')?.value || '#000000',
+    bg: $('bg-color')?.value || '#ffffff',
+    ec: $('error-correction')?.value || 'M',
+    symbol: $('symbol-type')?.value || 'qr',
+    version: parseInt($('qr-version')?.value || '0', 10),
+    mask: parseInt($('qr-mask')?.value || '-1', 10),
+    encoding: $('qr-encoding')?.value || 'auto',
+    eci: $('qr-eci')?.value || 'auto',
+    structuredAppend: $('structured-append')?.value || 'off',
+    margin: parseInt($('margin-size')?.value || '2', 10),
+    style: $('dot-style')?.value || 'square',
+    eyeOuter: $('eye-outer')?.value || 'match',
+    eyeInner: $('eye-inner')?.value || 'match',
+    eyeOuterColor: $('eye-outer-color')?.value || '#000000',
+    eyeInnerColor: $('eye-inner-color')?.value || '#000000',
+    fill: $('fill-mode')?.value || 'solid',
+    gradientColors: getGradientColors().join(','),
+    gradientAngle: parseInt($('gradient-angle')?.value || '45', 10),
+    alignmentColor: $('alignment-color')?.value || '#000000',
+    timingColor: $('timing-color')?.value || '#000000',
+    logoPercent: parseInt($('logo-size')?.value || '20', 10),
+    logoMode: $('logo-mode')?.value || 'overlay'
+  };
+}
+
+// Apply design settings to the controls, ignoring missing or invalid values
+function applyDesignSettings(design) {
+  const setRange = (id, displayId, value) => {
+    const input = $(id);
+    if (!input || value == null || !Number.isFinite(+value)) return;
+    input.value = value;
+    $(displayId).textContent = input.value;
+  };
+  const setSelect = (id, value) => {
+    const select = $(id);
+    if (!select || value == null) return;
+    const option = Array.from(select.options).find(o => o.value === String(value));
+    if (option && !option.disabled) select.value = option.value;
+  };
+  
+  setRange('qr-size', 'size-display', design.size);
+  setRange('margin-size', 'margin-display', design.margin);
+  setRange('logo-size', 'logo-size-display', design.logoPercent);
+  setColorValue('fg', design.fg);
+  setColorValue('bg', design.bg);
+  setSelect('dot-style', design.style);
+  setSelect('eye-outer', design.eyeOuter);
+  setSelect('eye-inner', design.eyeInner);
+  setColorValue('eye-outer', design.eyeOuterColor);
+  setColorValue('eye-inner', design.eyeInnerColor);
+  setSelect('fill-mode', design.fill);
+  setRange('gradient-angle', 'gradient-angle-display', design.gradientAngle);
+  const stops = parseColors(design.gradientColors);
+  if (stops.length >= 2) renderGradientStops(stops.slice(0, CONFIG.MAX_GRADIENT_STOPS));
+  setColorValue('alignment', design.alignmentColor);
+  setColorValue('timing', design.timingColor);
+  updateFillControls();
+  // The symbol type decides which levels, versions and masks are valid
+  setSelect('symbol-type', design.symbol);
+  updateSymbolControls();
+  setSelect('error-correction', design.ec);
+  setSelect('qr-version', design.version);
+  setSelect('qr-mask', design.mask);
+  setSelect('qr-encoding', design.encoding);
+  setSelect('qr-eci', design.eci);
+  setSelect('structured-append', design.structuredAppend);
+  setSelect('logo-mode', design.logoMode);
+}
+
+// Set a color picker, its hex field and its swatch ('fg' or 'bg')
+function setColorValue(prefix, value) {
+  if (typeof value !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(value)) return;
+  $(`${prefix}-color`).value = value.toLowerCase();
+  $(`${prefix}-hex`).value = value;
+  $(`${prefix}-preview`).style.backgroundColor = value;
+}
+
+// Design with the settings the active template's standard requires, e.g. level M
+// and the Swiss cross for a QR-bill
+function templateDesign(design) {
+  return { ...design, ...getTemplate(getActiveTemplate())?.options };
+}
+
+// One code, or a Structured Append set when enabled and the content is too long
+function buildQR(content, design) {
+  const options = { ...templateDesign(design), logo: state.logo };
+  return design.structuredAppend === 'auto' ? createQRSet(content, options) : createQR(content, options);
+}
+
+// Draw content onto a new canvas using the given design settings
+function renderCanvas(content, design) {
+  return buildQR(content, design).renderCanvas(document.createElement('canvas'));
+}
+
+function displayQRCode(canvas, qr) {
   const container = $('qrcode');
   const placeholder = $('placeholder');
   const download = $('download-section');
@@ -299,6 +586,8 @@ function displayQRCode(canvas) {
   
   container.innerHTML = '';
   if (placeholder) placeholder.style.display = 'none';
+  $('payload-invalid').style.display = 'none';
+  $('qr-container').classList.remove('payload-invalid');
   $('qr-container').classList.add('has-qr');
   
   container.appendChild(canvas);
@@ -308,22 +597,96 @@ function displayQRCode(canvas) {
   updateQRDimensions();
   
   state.canvas = canvas;
-  showStatus('<i class="bi bi-check-circle-fill"></i> Ready', 'success', CONFIG.STATUS_TIMEOUT);
+  state.qr = qr;
+  const setColumn = $('dl-set-col');
+  if (setColumn) setColumn.style.display = qr.symbols ? '' : 'none';
+  const ready = qr.symbols ? `Ready: ${qr.symbols.length} linked codes` : 'Ready';
+  showStatus(`<i class="bi bi-check-circle-fill"></i> ${ready}`, 'success', CONFIG.STATUS_TIMEOUT);
+}
+
+// Replace the preview with the template's problems and withdraw the downloads
+function showInvalidPayload(problems) {
+  const container = $('qr-container');
+  const list = $('payload-problems');
+  if (!container || !list) return;
+  
+  $('qrcode').innerHTML = '';
+  $('placeholder').style.display = 'none';
+  $('scan-badge').style.display = 'none';
+  $('qr-dimensions').style.display = 'none';
+  $('download-section').style.display = 'none';
+  container.classList.remove('has-qr');
+  container.classList.add('payload-invalid');
+  
+  list.innerHTML = '';
+  problems.forEach(problem => {
+    const item = document.createElement('li');
+    item.textContent = describeProblem(getActiveTemplate(), problem);
+    list.appendChild(item);
+  });
+  $('payload-invalid').style.display = '';
+  
+  // Cancel checks of the previous code and forget it
+  state.verifyToken++;
+  state.canvas = null;
+  state.qr = null;
+  const count = `${problems.length} problem${problems.length === 1 ? '' : 's'}`;
+  showStatus(`<i class="bi bi-exclamation-octagon"></i> Payload is invalid: ${count} to fix`, 'error');
+}
+
+// Scan verification: decode the rendered PNG and SVG and compare with the content.
+// Each symbol of a Structured Append set must decode to its own part and position.
+async function verifyScan(canvas, qr) {
+  const token = ++state.verifyToken;
+  if (qr.options.symbol === 'micro' || qr.options.symbol === 'rmqr') {
+    setScanBadge('skipped', '<i class="bi bi-dash-circle" aria-hidden="true"></i> Scan not checked', 'The built-in decoder reads regular QR codes only');
+    return;
+  }
+  setScanBadge('checking', '<i class="bi bi-hourglass-split" aria-hidden="true"></i> Checking scan');
+  
+  const check = async (label, decode, symbol, index) => {
+    try {
+      const result = await decode();
+      if (result.text !== symbol.content) return `${label}: decodes to different text`;
+      if (index >= 0 && result.structuredAppend?.index !== index) return `${label}: wrong sequence number`;
+      return null;
+    } catch (err) {
+      return `${label}: ${err.message}`;
+    }
+  };
+  
+  const checks = qr.symbols
+    ? qr.symbols.flatMap((symbol, i) => [
+      check(`Code ${i + 1} PNG`, () => decodeCanvas(symbol.renderCanvas(document.createElement('canvas'))), symbol, i),
+      check(`Code ${i + 1} SVG`, () => decodeSVG(sanitizeSVG(symbol.renderSVG())), symbol, i)
+    ])
+    : [
+      check('PNG', () => decodeCanvas(canvas), qr, -1),
+      check('SVG', () => decodeSVG(sanitizeSVG(qr.renderSVG())), qr, -1)
+    ];
+  const problems = (await Promise.all(checks)).filter(Boolean);
+  
+  // A newer code was generated while this one was being checked
+  if (token !== state.verifyToken) return;
+  
+  if (problems.length) {
+    setScanBadge('fail', '<i class="bi bi-x-circle-fill" aria-hidden="true"></i> Scan check failed', problems.join('\n'));
+  } else if (qr.symbols) {
+    setScanBadge('pass', '<i class="bi bi-check-circle-fill" aria-hidden="true"></i> Scan verified', `All ${qr.symbols.length} linked codes decode to their part of the content`);
+  } else {
+    setScanBadge('pass', '<i class="bi bi-check-circle-fill" aria-hidden="true"></i> Scan verified', 'PNG and SVG decode to the expected content');
+  }
 }
 
-function roundRect(ctx, x, y, w, h, r) {
-  ctx.beginPath();
-  ctx.moveTo(x + r, y);
-  ctx.lineTo(x + w - r, y);
-  ctx.quadraticCurveTo(x + w, y, x + w, y + r);
-  ctx.lineTo(x + w, y + h - r);
-  ctx.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
-  ctx.lineTo(x + r, y + h);
-  ctx.quadraticCurveTo(x, y + h, x, y + h - r);
-  ctx.lineTo(x, y + r);
-  ctx.quadraticCurveTo(x, y, x + r, y);
-  ctx.closePath();
-  ctx.fill();
+function setScanBadge(result, html, detail = '') {
+  const badge = $('scan-badge');
+  if (!badge) return;
+  
+  badge.className = `scan-badge scan-${result}`;
+  badge.innerHTML = html;
+  badge.title = detail;
+  badge.setAttribute('aria-label', detail ? `${badge.textContent.trim()}. ${detail}` : badge.textContent.trim());
+  badge.style.display = 'block';
 }
 
 // Debounced generation
@@ -346,9 +709,25 @@ function getConfigHash() {
     fg: $('fg-color').value,
     bg: $('bg-color').value,
     ec: $('error-correction').value,
+    symbol: $('symbol-type').value,
+    version: $('qr-version').value,
+    mask: $('qr-mask').value,
+    encoding: $('qr-encoding').value,
+    eci: $('qr-eci').value,
+    structuredAppend: $('structured-append').value,
     margin: $('margin-size').value,
     style: $('dot-style').value,
+    eyeOuter: $('eye-outer').value,
+    eyeInner: $('eye-inner').value,
+    eyeOuterColor: $('eye-outer-color').value,
+    eyeInnerColor: $('eye-inner-color').value,
+    fill: $('fill-mode').value,
+    gradientColors: getGradientColors().join(','),
+    gradientAngle: $('gradient-angle').value,
+    alignmentColor: $('alignment-color').value,
+    timingColor: $('timing-color').value,
     logoPercent: $('logo-size').value,
+    logoMode: $('logo-mode').value,
     logo: state.logo ? 'present' : 'absent'
   });
 }
@@ -360,6 +739,16 @@ function download(format) {
     return;
   }
   
+  if (format === 'pdf') {
+    downloadPDF();
+    return;
+  }
+  
+  if (format === 'zip') {
+    downloadSet();
+    return;
+  }
+  
   const link = document.createElement('a');
   const date = new Date().toISOString().slice(0, 10);
   
@@ -389,62 +778,126 @@ function download(format) {
   setTimeout(hideStatus, 1500);
 }
 
-function generateSVG() {
-  const content = getContent();
-  const size = +$('qr-size').value;
-  const fg = $('fg-color').value;
-  const bg = $('bg-color').value;
-  const ec = $('error-correction').value;
-  const margin = +$('margin-size').value;
-  const style = $('dot-style').value;
-  const logoPercent = parseInt($('logo-size')?.value || '20', 10);
-  
-  const qr = qrcode(0, ec);
-  qr.addData(content);
-  qr.make();
-  
-  const count = qr.getModuleCount();
-  const cell = size / (count + margin * 2);
-  
-  let paths = '';
-  for (let r = 0; r < count; r++) {
-    for (let c = 0; c < count; c++) {
-      if (qr.isDark(r, c)) {
-        const x = (c + margin) * cell;
-        const y = (r + margin) * cell;
-        
-        if (style === 'dots') {
-          paths += `<circle cx="${x + cell/2}" cy="${y + cell/2}" r="${cell*0.4}" fill="${fg}"/>`;
-        } else if (style === 'rounded') {
-          paths += `<rect x="${x}" y="${y}" width="${cell}" height="${cell}" rx="${cell*0.3}" fill="${fg}"/>`;
-        } else {
-          paths += `<rect x="${x}" y="${y}" width="${cell}" height="${cell}" fill="${fg}"/>`;
-        }
-      }
-    }
+async function downloadPDF() {
+  const size = parseFloat($('pdf-size').value);
+  const bleed = parseFloat($('pdf-bleed').value) || 0;
+  if (!(size > 0)) {
+    showStatus('Enter a print size greater than zero', 'error');
+    return;
   }
+
+  showStatus('<i class="bi bi-hourglass-split"></i> Building PDF...');
+  try {
+    const design = getDesignSettings();
+    const qr = buildQR(getContent(), design);
+    if (qr.symbols) throw new Error('a PDF holds one code; download the linked set as a ZIP instead');
+    const blob = await createPDF(qr.layout, {
+      paints: qr.paints,
+      size,
+      unit: $('pdf-unit').value,
+      bleed,
+      cropMarks: $('pdf-crop-marks').checked,
+      logo: state.logo ? logoImageData(state.logo) : null
+    });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `qrcode-${new Date().toISOString().slice(0, 10)}.pdf`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+    showStatus('<i class="bi bi-check"></i> Downloaded PDF', 'success');
+    setTimeout(hideStatus, 1500);
+  } catch (err) {
+    console.error('PDF export failed:', err);
+    showStatus(`<i class="bi bi-exclamation-triangle"></i> PDF export failed: ${err.message}`, 'error');
+  }
+}
+
+// A template's payload as a file (e.g. the event as .ics), for using it without scanning
+function downloadPayload(name, action) {
+  const fields = readFields(name);
+  const { type, extension, name: fileName, build } = action.file;
+  const base = String(fileName ? fileName(fields) : name).trim();
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([build ? build(fields) : getContent(name, fields)], { type }));
+  link.download = `${base.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || name}.${extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  showStatus(`<i class="bi bi-check"></i> Downloaded ${extension.toUpperCase()}`, 'success');
+  setTimeout(hideStatus, 1500);
+}
+
+// Every symbol of a Structured Append set as numbered PNG and SVG files
+async function downloadSet() {
+  const qr = state.qr;
+  if (!qr?.symbols) return;
   
-  // Add logo if present
-  let logoSvg = '';
-  if (state.logo) {
-    const maxSize = size * (logoPercent / 100);
-    const ratio = state.logo.naturalWidth / state.logo.naturalHeight;
-    const [w, h] = ratio >= 1
-      ? [maxSize, maxSize / ratio]
-      : [maxSize * ratio, maxSize];
-    
-    const lx = (size - w) / 2;
-    const ly = (size - h) / 2;
-    const pad = Math.max(w, h) * 0.1;
+  showStatus('<i class="bi bi-hourglass-split"></i> Building ZIP...');
+  try {
+    const files = [];
+    const digits = String(qr.symbols.length).length;
+    for (const [i, symbol] of qr.symbols.entries()) {
+      const name = `qrcode-${String(i + 1).padStart(digits, '0')}-of-${qr.symbols.length}`;
+      const canvas = symbol.renderCanvas(document.createElement('canvas'));
+      files.push({ name: `${name}.png`, data: await new Promise(resolve => canvas.toBlob(resolve, 'image/png')) });
+      files.push({ name: `${name}.svg`, data: sanitizeSVG(symbol.renderSVG()) });
+    }
     
-    // Logo background
-    logoSvg += `<rect x="${lx - pad}" y="${ly - pad}" width="${w + pad*2}" height="${h + pad*2}" fill="${bg}" rx="${pad * 0.5}"/>`;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await createZip(files));
+    link.download = `qrcode-set-${new Date().toISOString().slice(0, 10)}.zip`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
     
-    // Logo image
-    logoSvg += `<image href="${state.logo.src}" x="${lx}" y="${ly}" width="${w}" height="${h}"/>`;
+    showStatus('<i class="bi bi-check"></i> Downloaded ZIP', 'success');
+    setTimeout(hideStatus, 1500);
+  } catch (err) {
+    console.error('Set export failed:', err);
+    showStatus(`<i class="bi bi-exclamation-triangle"></i> Set export failed: ${err.message}`, 'error');
   }
-  
-  const svg = `<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}"><rect width="100%" height="100%" fill="${bg}"/>${paths}${logoSvg}</svg>`;
+}
+
+// RGBA pixels of the logo, capped in size, for embedding in the PDF
+function logoImageData(img) {
+  const width = img.naturalWidth || img.width;
+  const height = img.naturalHeight || img.height;
+  const scale = Math.min(1, CONFIG.MAX_PDF_LOGO_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// PDF print size in mm, or null when the field is empty
+function getPrintSize() {
+  const size = parseFloat($('pdf-size')?.value);
+  if (!(size > 0)) return null;
+  return $('pdf-unit').value === 'in' ? size * 25.4 : size;
+}
+
+// Keep the print size and bleed the same physical length when switching units
+function convertPrintUnits() {
+  const unit = $('pdf-unit');
+  const factor = unit.value === 'in' ? 1 / 25.4 : 25.4;
+  ['pdf-size', 'pdf-bleed'].forEach(id => {
+    const input = $(id);
+    const value = parseFloat(input.value);
+    if (!isNaN(value)) input.value = +(value * factor).toFixed(unit.value === 'in' ? 3 : 1);
+  });
+  $('pdf-size').min = unit.value === 'in' ? '0.2' : '5';
+  $('pdf-size').max = unit.value === 'in' ? '40' : '1000';
+  $('pdf-bleed').max = unit.value === 'in' ? '1' : '25';
+  $('pdf-size').step = $('pdf-bleed').step = unit.value === 'in' ? '0.01' : '0.1';
+}
+
+function generateSVG(content = getContent(), design = getDesignSettings()) {
+  return sanitizeSVG(buildQR(content, design).renderSVG());
+}
+
+function sanitizeSVG(svg) {
   return DOMPurify.sanitize(svg, { USE_PROFILES: { svg: true, svgFilters: true } });
 }
 
@@ -467,241 +920,124 @@ function setupEventListeners() {
     randomizeColorsBtn.addEventListener('click', randomizeColors);
   }
 
-  // Character count
-  const textContent = $('text-content');
-  if (textContent) {
-    textContent.addEventListener('input', updateCharCount);
-  }
-
-  // Social/app previews
-  const socialPlatform = $('social-platform');
-  const socialUsername = $('social-username');
-  const appPlatform = $('app-platform');
-  const appId = $('app-id');
-
-  if (socialPlatform) {
-    socialPlatform.addEventListener('change', () => {
-      updateSocialPreview();
-      debouncedGenerate();
+  // Form updates, field checks and file actions of each template
+  listTemplates().forEach(template => {
+    const form = $(`input-${template.name}`);
+    if (!form) return;
+    form.addEventListener('input', e => {
+      fillFields(template, e.target);
+      updateTemplateUI(template.name);
     });
-  }
-
-  if (socialUsername) {
-    socialUsername.addEventListener('input', () => {
-      updateSocialPreview();
-      debouncedGenerate();
+    form.addEventListener('change', () => updateTemplateUI(template.name));
+    (template.actions || []).forEach(action => {
+      const button = $(action.id);
+      if (button) button.addEventListener('click', () => downloadPayload(template.name, action));
     });
-  }
-
-  if (appPlatform) {
-    appPlatform.addEventListener('change', () => {
-      updateAppPreview();
-      debouncedGenerate();
-    });
-  }
+  });
 
-  if (appId) {
-    appId.addEventListener('input', () => {
-      updateAppPreview();
-      debouncedGenerate();
-    });
-  }
+  // A pasted payload of another template (WIFI:, mailto:, ...) stays plain text;
+  // an offer under the field fills that template's form instead
+  const textContent = $('text-content');
+  if (textContent) setupPasteOffer(textContent);
 
   // Download buttons
   $$('.download-btn').forEach(btn => {
     btn.addEventListener('click', () => download(btn.dataset.format));
   });
 
+  const pdfUnit = $('pdf-unit');
+  if (pdfUnit) {
+    pdfUnit.addEventListener('change', convertPrintUnits);
+  }
+  
+  const pdfSize = $('pdf-size');
+  if (pdfSize) {
+    pdfSize.addEventListener('input', () => state.analyzer?.render());
+  }
+
   // Auto-generate on input
   $$('.qr-input').forEach(input => {
     input.addEventListener('input', debouncedGenerate);
     input.addEventListener('change', debouncedGenerate);
-    
-    // Add validation for email inputs
-    if (input.type === 'email') {
-      input.addEventListener('blur', () => {
-        if (input.value && !input.value.includes('@')) {
-          input.classList.add('is-invalid');
-          const feedback = input.parentNode.querySelector('.invalid-feedback');
-          if (feedback) feedback.textContent = 'Please enter a valid email address';
-        } else {
-          input.classList.remove('is-invalid');
-        }
-      });
-    }
-    
-    // Add validation for URL inputs
-    if (input.type === 'url') {
-      input.addEventListener('blur', () => {
-        if (input.value && !input.value.startsWith('http')) {
-          input.classList.add('is-invalid');
-          const feedback = input.parentNode.querySelector('.invalid-feedback');
-          if (feedback) feedback.textContent = 'Please enter a valid URL starting with http:// or https://';
-        } else {
-          input.classList.remove('is-invalid');
-        }
-      });
-    }
-    
-    // Add validation for phone inputs
-    if (input.type === 'tel') {
-      input.addEventListener('blur', () => {
-        if (input.value && !input.value.match(/^\+?[\d\s\-\(\)]+$/)) {
-          input.classList.add('is-invalid');
-          const feedback = input.parentNode.querySelector('.invalid-feedback');
-          if (feedback) feedback.textContent = 'Please enter a valid phone number';
-        } else {
-          input.classList.remove('is-invalid');
-        }
-      });
+  });
+}
+
+function setupPasteOffer(input) {
+  const offer = document.createElement('div');
+  offer.className = 'form-text';
+  offer.setAttribute('aria-live', 'polite');
+  offer.style.display = 'none';
+  input.parentNode.appendChild(offer);
+  let pasted = null;
+
+  const hide = () => {
+    pasted = null;
+    offer.style.display = 'none';
+  };
+
+  input.addEventListener('paste', e => {
+    const text = e.clipboardData.getData('text').trim();
+    const parsed = text && parseContent(text);
+    if (!parsed) {
+      hide();
+      return;
     }
+    pasted = { text, parsed };
+    const label = getTemplate(parsed.template).label;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-link btn-sm p-0 align-baseline';
+    button.textContent = `Switch to the ${label} template?`;
+    button.addEventListener('click', () => {
+      const { template, fields } = pasted.parsed;
+      hide();
+      selectTemplate(template);
+      writeFields(template, fields);
+      updateTemplateUI(template);
+      showStatus(`<i class="bi bi-magic"></i> Filled in the ${label} template`, 'success', 2000);
+    });
+    offer.replaceChildren(`This looks like a ${label} code. `, button);
+    offer.style.display = '';
+  });
+  // The offer lasts while the pasted code is still in the field
+  input.addEventListener('input', () => {
+    if (pasted && !input.value.includes(pasted.text)) hide();
   });
 }
 
-function updateSocialPreview() {
-  const platform = $('social-platform').value;
-  const username = $('social-username').value;
-  const preview = $('social-preview-url');
-  
-  if (platform === 'custom') {
-    preview.textContent = username || 'https://example.com';
-  } else {
-    const urls = {
-      facebook: `https://facebook.com/${username}`,
-      twitter: `https://twitter.com/${username}`,
-      instagram: `https://instagram.com/${username}`,
-      linkedin: `https://linkedin.com/in/${username}`,
-      youtube: `https://youtube.com/@${username}`,
-      tiktok: `https://tiktok.com/@${username}`,
-      github: `https://github.com/${username}`
-    };
-    preview.textContent = urls[platform] || `https://${platform}.com/${username}`;
-  }
-}
-
-function updateAppPreview() {
-  const platform = $('app-platform').value;
-  const appId = $('app-id').value;
-  const preview = $('app-preview-url');
-  
-  if (platform === 'custom') {
-    preview.textContent = appId || 'https://example.com/app';
-  } else {
-    const urls = {
-      ios: `https://apps.apple.com/app/id${appId}`,
-      android: `https://play.google.com/store/apps/details?id=${appId}`,
-      windows: `https://www.microsoft.com/store/apps/${appId}`,
-      amazon: `https://www.amazon.com/gp/product/${appId}`
-    };
-    preview.textContent = urls[platform] || `https://store.${platform}.com/app/${appId}`;
-  }
+// Flag a template's invalid values inline, next to their inputs
+function showFieldProblems(template = getActiveTemplate()) {
+  const problems = validateFields(template);
+  $$(`#input-${template} .qr-input`).forEach(input => {
+    const feedback = input.parentNode.querySelector(':scope > .invalid-feedback');
+    if (!feedback) return;
+    const problem = problems.find(p => p.id === input.id);
+    input.classList.toggle('is-invalid', Boolean(problem));
+    feedback.textContent = problem ? problem.message : '';
+  });
 }
 
 // Clear all settings
 function clearAllSettings() {
-  // Get current template
-  const activeTemplate = document.querySelector('.template-btn.active');
-  const currentTemplate = activeTemplate ? activeTemplate.dataset.template : 'text';
-  
-  // Clear content based on current template
-  switch (currentTemplate) {
-    case 'text':
-      $('text-content').value = '';
-      break;
-    case 'wifi':
-      $('wifi-ssid').value = '';
-      $('wifi-password').value = '';
-      $('wifi-encryption').value = 'WPA';
-      $('wifi-hidden').checked = false;
-      break;
-    case 'vcard':
-      $('vcard-name').value = '';
-      $('vcard-org').value = '';
-      $('vcard-title').value = '';
-      $('vcard-phone').value = '';
-      $('vcard-email').value = '';
-      $('vcard-url').value = '';
-      $('vcard-address').value = '';
-      break;
-    case 'email':
-      $('email-to').value = '';
-      $('email-subject').value = '';
-      $('email-body').value = '';
-      break;
-    case 'sms':
-      $('sms-phone').value = '';
-      $('sms-message').value = '';
-      break;
-    case 'phone':
-      $('phone-number').value = '';
-      break;
-    case 'mecard':
-      $('mecard-name').value = '';
-      $('mecard-phone').value = '';
-      $('mecard-email').value = '';
-      $('mecard-url').value = '';
-      $('mecard-address').value = '';
-      $('mecard-birthday').value = '';
-      $('mecard-note').value = '';
-      break;
-    case 'event':
-      $('event-title').value = '';
-      $('event-start').value = '';
-      $('event-end').value = '';
-      $('event-location').value = '';
-      $('event-description').value = '';
-      $('event-timezone').value = 'UTC';
-      break;
-    case 'bitcoin':
-      $('bitcoin-address').value = '';
-      $('bitcoin-amount').value = '';
-      $('bitcoin-label').value = '';
-      $('bitcoin-message').value = '';
-      break;
-    case 'geo':
-      $('geo-latitude').value = '';
-      $('geo-longitude').value = '';
-      $('geo-altitude').value = '';
-      $('geo-query').value = '';
-      break;
-    case 'social':
-      $('social-platform').value = 'facebook';
-      $('social-username').value = '';
-      break;
-    case 'app':
-      $('app-platform').value = 'ios';
-      $('app-id').value = '';
-      break;
-  }
-  
-  // Reset design settings
-  $('qr-size').value = '350';
-  $('size-display').textContent = '350';
-  $('margin-size').value = '2';
-  $('margin-display').textContent = '2';
-  $('fg-color').value = '#000000';
-  $('fg-hex').value = '#000000';
-  $('fg-preview').style.backgroundColor = '#000000';
-  $('bg-color').value = '#ffffff';
-  $('bg-hex').value = '#ffffff';
-  $('bg-preview').style.backgroundColor = '#ffffff';
-  $('dot-style').value = 'square';
-  $('error-correction').value = 'M';
-  $('logo-size').value = '20';
-  $('logo-size-display').textContent = '20';
+  // Free text is emptied; choices go back to their defaults
+  const template = getTemplate(getActiveTemplate());
+  if (template) {
+    writeFields(template.name, clearedFields(template));
+    updateTemplateForm(template.name, readFields(template.name));
+    $$(`#input-${template.name} .is-invalid`).forEach(input => input.classList.remove('is-invalid'));
+  }
   
   // Clear logo
-  state.logo = null;
-  $('logo-upload').value = '';
-  $('logo-preview-wrap').style.display = 'none';
-  updateErrorCorrectionState(false);
+  showLogo(null);
+  
+  // Reset design settings to the user's default preset, if one is chosen
+  applyDesignSettings(DEFAULT_DESIGN);
+  const preset = state.presets ? state.presets.getDefault() : null;
+  if (preset) state.presets.applyPreset(preset);
   
   // Clear cache
   state.cache.clear();
   
-  // Update character count
-  updateCharCount();
-  
   // Force immediate regeneration instead of debounced
   if (state.debounceTimer) {
     clearTimeout(state.debounceTimer);
@@ -721,17 +1057,17 @@ function randomizeColors() {
   const fgColor = `hsl(${hue1}, 70%, 30%)`;
   const bgColor = `hsl(${hue2}, 70%, 90%)`;
   
-  // Convert to hex
-  const fgHex = hslToHex(hue1, 70, 30);
+  // Convert to hex, darkening the foreground where the hue pair lacks contrast
   const bgHex = hslToHex(hue2, 70, 90);
+  const fgHex = darkenForContrast(hslToHex(hue1, 70, 30), bgHex, CONFIG.RANDOM_COLOR_CONTRAST);
   
   // Apply colors
-  $('fg-color').value = fgHex;
-  $('fg-hex').value = fgHex;
-  $('fg-preview').style.backgroundColor = fgHex;
-  $('bg-color').value = bgHex;
-  $('bg-hex').value = bgHex;
-  $('bg-preview').style.backgroundColor = bgHex;
+  setColorValue('fg', fgHex);
+  setColorValue('bg', bgHex);
+  setColorValue('eye-outer', fgHex);
+  setColorValue('eye-inner', fgHex);
+  setColorValue('alignment', fgHex);
+  setColorValue('timing', fgHex);
   
   // Regenerate
   debouncedGenerate();
@@ -752,19 +1088,141 @@ function hslToHex(h, s, l) {
 }
 
 
-// Update character count
-function updateCharCount() {
-  const textContent = $('text-content');
-  const charCountValue = $('char-count-value');
-  if (!textContent || !charCountValue) return;
+// The whole configuration for the undo history: the template, every form's fields,
+// the design and the logo image
+function captureSnapshot() {
+  return {
+    template: getActiveTemplate(),
+    fields: Object.assign({}, ...listTemplates().map(template => readFields(template.name))),
+    design: getDesignSettings(),
+    logo: state.logo
+  };
+}
+
+function restoreSnapshot(snapshot) {
+  selectTemplate(snapshot.template);
+  listTemplates().forEach(template => writeFields(template.name, snapshot.fields));
+  // The logo first: it decides which error correction levels the design may use
+  showLogo(snapshot.logo);
+  applyDesignSettings(snapshot.design);
+  state.cache.clear();
+  refreshDerivedUI();
+}
+
+// Refresh previews and counters after inputs were changed programmatically
+function refreshDerivedUI() {
+  listTemplates().forEach(template => updateTemplateForm(template.name, readFields(template.name)));
+  showFieldProblems();
+  debouncedGenerate();
+}
+
+// Capacity meter: chosen version, module count, segments and bytes used per error correction level
+function updateCapacityMeter(content, design, qr = null) {
+  const summary = $('capacity-summary');
+  const levels = $('capacity-levels');
+  const segmentList = $('capacity-segments');
+  if (!summary || !levels) return;
+  
+  if (design.symbol === 'micro') {
+    updateMicroCapacity(content, design, qr);
+    return;
+  }
+  if (design.symbol === 'rmqr') {
+    updateRmqrCapacity(content, design, qr);
+    return;
+  }
   
-  const count = textContent.value.length;
-  charCountValue.textContent = count;
+  const options = { encoding: design.encoding, eci: design.eci };
+  let version = qr?.version || design.version;
+  let segments;
+  try {
+    version = version || fitVersion(content, design.ec, options);
+    // Too long even for version 40: measure against the largest symbol
+    segments = makeSegments(content, options, version || 40);
+  } catch (err) {
+    summary.textContent = err.message;
+    levels.innerHTML = '';
+    if (segmentList) segmentList.textContent = '';
+    return;
+  }
+  const shown = version || 40;
+  const count = symbolSize(shown);
+  const linked = qr?.symbols ? `${qr.symbols.length} linked codes · ` : '';
+  summary.textContent = version
+    ? `${linked}Version ${version}${design.version ? '' : ' (auto)'} · ${count}×${count} modules`
+    : 'Too long for any version';
+  showSegments(segments);
+  showCapacityLevels(capacity(content, shown, options), design.ec);
+}
+
+// Micro QR variant of the meter, measured against M4 when nothing fits
+function updateMicroCapacity(content, design, qr) {
+  const options = { encoding: design.encoding };
+  const version = qr?.version || design.version || fitMicroVersion(content, design.ec, options);
+  const shown = version || MICRO_VERSIONS[MICRO_VERSIONS.length - 1];
+  const count = microSize(shown);
+  $('capacity-summary').textContent = version
+    ? `Micro QR ${microName(version)}${design.version ? '' : ' (auto)'} · ${count}×${count} modules`
+    : 'Too long for Micro QR';
+  showSegments(microSegments(content, shown, design.encoding));
+  showCapacityLevels(microCapacity(content, shown, options), design.ec);
+}
+
+// rMQR variant of the meter, measured against R17x139 when nothing fits
+function updateRmqrCapacity(content, design, qr) {
+  const options = { encoding: design.encoding };
+  const version = qr?.version || design.version || fitRmqrVersion(content, design.ec, options);
+  const shown = version || RMQR_VERSIONS[RMQR_VERSIONS.length - 1];
+  const [height, width] = rmqrDimensions(shown);
+  $('capacity-summary').textContent = version
+    ? `rMQR ${rmqrName(version)}${design.version ? '' : ' (auto)'} · ${width}×${height} modules`
+    : 'Too long for rMQR';
+  showSegments(rmqrSegments(content, shown, design.encoding));
+  showCapacityLevels(rmqrCapacity(content, shown, options), design.ec);
+}
+
+function showSegments(segments) {
+  const segmentList = $('capacity-segments');
+  if (!segmentList) return;
+  if (!segments) {
+    segmentList.textContent = 'Characters this symbol cannot encode';
+  } else {
+    segmentList.textContent = segments.length
+      ? segments.map(({ mode, count: length }) => (mode === MODE.ECI ? 'UTF-8 ECI' : `${SEGMENT_NAMES[mode]} ×${length}`)).join(' + ')
+      : 'Empty';
+  }
 }
 
-// Update QR code dimensions display
+function showCapacityLevels(rows, current) {
+  const levels = $('capacity-levels');
+  levels.innerHTML = '';
+  rows.forEach(({ ec, used, available, fits }) => {
+    const percent = Math.min(100, Math.round(used / available * 100));
+    const classes = [ec === current ? 'capacity-current' : '', fits ? '' : 'capacity-over'].join(' ').trim();
+    const label = document.createElement('span');
+    label.className = classes;
+    label.textContent = ec;
+    const bar = document.createElement('div');
+    bar.className = 'progress';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', `Level ${ec} capacity used`);
+    bar.setAttribute('aria-valuenow', percent);
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.innerHTML = `<div class="progress-bar ${fits ? '' : 'bg-danger'}" style="width: ${percent}%"></div>`;
+    const value = document.createElement('span');
+    value.className = classes;
+    value.textContent = Number.isFinite(used) ? `${used} / ${available} bytes` : `— / ${available} bytes`;
+    levels.append(label, bar, value);
+  });
+}
+
+// Update QR code dimensions display (the exact pixel size every export uses)
 function updateQRDimensions() {
+  const canvas = $('qrcode')?.querySelector('canvas');
   const size = parseInt($('qr-size')?.value || '350', 10);
+  // Width and height; rMQR codes are wider than tall
+  const sides = canvas ? [canvas.width, canvas.height] : [size, size];
   const dimensionsContainer = $('qr-dimensions');
   const dimensionsValue = dimensionsContainer?.querySelectorAll('.qr-dimensions-value');
   
@@ -773,7 +1231,7 @@ function updateQRDimensions() {
   // Show dimensions when QR code is displayed
   if ($('qrcode').children.length > 0) {
     dimensionsContainer.style.display = 'block';
-    dimensionsValue.forEach(span => span.textContent = size);
+    dimensionsValue.forEach((span, i) => span.textContent = sides[i]);
   } else {
     dimensionsContainer.style.display = 'none';
   }
@@ -781,19 +1239,74 @@ function updateQRDimensions() {
 
 // Initialization
 async function init() {
+  // Templates come first: every other control reads their fields
+  renderTemplates();
+  
   try {
     // Load modules
-    const [{ NetworkMonitor }, { ThemeManager }] = await Promise.all([
+    const [{ NetworkMonitor }, { ThemeManager }, { BatchGenerator }, { ShareLink }, { PresetManager }, { ScannabilityPanel }, { EditHistory }] = await Promise.all([
       import('./modules/network-monitor.js'),
-      import('./modules/theme-manager.js')
+      import('./modules/theme-manager.js'),
+      import('./modules/batch.js'),
+      import('./modules/share-link.js'),
+      import('./modules/presets.js'),
+      import('./modules/scannability.js'),
+      import('./modules/history.js')
     ]);
     
     new NetworkMonitor();
     new ThemeManager();
+    state.batch = new BatchGenerator({
+      renderCanvas,
+      renderSVG: generateSVG,
+      getDesign: getDesignSettings,
+      showStatus
+    });
+    state.share = new ShareLink({
+      getTemplate: getActiveTemplate,
+      selectTemplate,
+      getDesign: getDesignSettings,
+      applyDesign: applyDesignSettings,
+      onRestore: refreshDerivedUI,
+      showStatus
+    });
+    state.analyzer = new ScannabilityPanel({
+      applyDesign: patch => {
+        applyDesignSettings(patch);
+        debouncedGenerate();
+      },
+      getPrintSize,
+      setPrintSize: mm => {
+        const inches = $('pdf-unit').value === 'in';
+        $('pdf-size').value = inches ? +(mm / 25.4).toFixed(2) : mm;
+        state.analyzer.render();
+      }
+    });
+    state.presets = new PresetManager({
+      getDesign: getDesignSettings,
+      applyDesign: design => {
+        applyDesignSettings(design);
+        debouncedGenerate();
+      },
+      getLogo: () => state.logo ? state.logo.src : null,
+      setLogo: loadLogo,
+      showStatus
+    });
+    state.history = new EditHistory({
+      capture: captureSnapshot,
+      restore: restoreSnapshot,
+      showStatus
+    });
     
     // Setup UI
     setupColor('fg-color', 'fg-preview', 'fg-hex');
     setupColor('bg-color', 'bg-preview', 'bg-hex');
+    setupColor('eye-outer-color', 'eye-outer-preview', 'eye-outer-hex');
+    setupColor('eye-inner-color', 'eye-inner-preview', 'eye-inner-hex');
+    setupColor('alignment-color', 'alignment-preview', 'alignment-hex');
+    setupColor('timing-color', 'timing-preview', 'timing-hex');
+    setupFillControls();
+    setupSymbolControls();
     setupRangeSliders();
     setupLogoUpload();
     setupEventListeners();
@@ -805,13 +1318,13 @@ async function init() {
       });
     }
     
-    // Initialize character count
-    updateCharCount();
-    
     // Initial generation
     setTimeout(() => generate(), CONFIG.INITIAL_DELAY);
     
-    showStatus('<i class="bi bi-check-circle-fill"></i> Ready', 'success', CONFIG.STATUS_TIMEOUT * 2);
+    // Settings from a share link take precedence over the defaults
+    if (!state.share.restore()) {
+      showStatus('<i class="bi bi-check-circle-fill"></i> Ready', 'success', CONFIG.STATUS_TIMEOUT * 2);
+    }
     
   } catch (err) {
     console.error('Failed to load modules:', err);
@@ -820,6 +1333,12 @@ async function init() {
     // Fallback: initialize core functionality
     setupColor('fg-color', 'fg-preview', 'fg-hex');
     setupColor('bg-color', 'bg-preview', 'bg-hex');
+    setupColor('eye-outer-color', 'eye-outer-preview', 'eye-outer-hex');
+    setupColor('eye-inner-color', 'eye-inner-preview', 'eye-inner-hex');
+    setupColor('alignment-color', 'alignment-preview', 'alignment-hex');
+    setupColor('timing-color', 'timing-preview', 'timing-hex');
+    setupFillControls();
+    setupSymbolControls();
     setupRangeSliders();
     setupLogoUpload();
     setupEventListeners();
@@ -831,9 +1350,6 @@ async function init() {
       });
     }
     
-    // Initialize character count
-    updateCharCount();
-    
     setTimeout(() => generate(), CONFIG.INITIAL_DELAY);
   }
 }
@@ -0,0 +1,314 @@
+// Batch Generation Module
+// Renders one QR code per row of a local CSV/JSON file and packages them as a ZIP
+
+import { escapeHtml } from './html.js';
+import { describeProblem, getActiveTemplate, getContent, getTemplate, readFields, templateFields, validateFields } from './templates.js';
+import { createZip } from './zip.js';
+
+const MAX_ROWS = 5000;
+const TRUTHY = /^(1|true|yes|y|x|on)$/i;
+
+// Parse delimited text (comma, semicolon or tab) with RFC 4180 quoting
+export function parseCSV(text) {
+  text = text.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(v => v.trim() !== ''));
+  if (!nonEmpty.length) throw new Error('The file contains no rows');
+
+  const columns = uniqueColumns(nonEmpty[0]);
+  const rows = nonEmpty.slice(1).map(values =>
+    Object.fromEntries(columns.map((col, i) => [col, values[i] ?? '']))
+  );
+  return { columns, rows };
+}
+
+// Accept an array of objects, or an array of arrays with a header row
+export function parseJSON(text) {
+  let data = JSON.parse(text);
+  if (data && !Array.isArray(data) && Array.isArray(data.rows)) data = data.rows;
+  if (!Array.isArray(data) || !data.length) {
+    throw new Error('JSON must be a non-empty array of rows');
+  }
+
+  if (Array.isArray(data[0])) {
+    const columns = uniqueColumns(data[0].map(String));
+    const rows = data.slice(1).map(values =>
+      Object.fromEntries(columns.map((col, i) => [col, values[i] ?? '']))
+    );
+    return { columns, rows };
+  }
+
+  const columns = [];
+  data.forEach(row => {
+    if (!row || typeof row !== 'object') throw new Error('Every JSON row must be an object');
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+  const rows = data.map(row =>
+    Object.fromEntries(columns.map(col => [col, row[col] == null ? '' : row[col]]))
+  );
+  return { columns, rows };
+}
+
+function uniqueColumns(names) {
+  const seen = new Set();
+  return names.map((name, i) => {
+    let col = String(name).trim() || `Column ${i + 1}`;
+    while (seen.has(col)) col += '_';
+    seen.add(col);
+    return col;
+  });
+}
+
+// Make a value safe to use as a file name inside the archive
+function safeFileName(value) {
+  return String(value)
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/^\.+/, '')
+    .trim()
+    .slice(0, 100);
+}
+
+function normalize(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export class BatchGenerator {
+  constructor({ renderCanvas, renderSVG, getDesign, showStatus }) {
+    this.renderCanvas = renderCanvas;
+    this.renderSVG = renderSVG;
+    this.getDesign = getDesign;
+    this.showStatus = showStatus;
+
+    this.fileInput = document.getElementById('batch-file');
+    this.options = document.getElementById('batch-options');
+    this.summary = document.getElementById('batch-summary');
+    this.mapping = document.getElementById('batch-mapping');
+    this.filenameSelect = document.getElementById('batch-filename');
+    this.formatSelect = document.getElementById('batch-format');
+    this.button = document.getElementById('batch-generate-btn');
+    this.data = null;
+    this.running = false;
+
+    if (!this.fileInput || !this.options || !this.mapping || !this.button) {
+      console.error('BatchGenerator: Required elements not found');
+      return;
+    }
+
+    this.init();
+  }
+
+  init() {
+    this.fileInput.addEventListener('change', () => this.load(this.fileInput.files[0]));
+    this.button.addEventListener('click', () => this.run());
+  }
+
+  async load(file) {
+    this.data = null;
+    this.options.style.display = 'none';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const isJSON = /\.json$/i.test(file.name) || file.type === 'application/json';
+      const data = isJSON ? parseJSON(text) : parseCSV(text);
+
+      if (!data.rows.length) throw new Error('The file has a header but no data rows');
+      if (data.rows.length > MAX_ROWS) throw new Error(`Too many rows (max ${MAX_ROWS})`);
+
+      this.data = data;
+      this.summary.textContent = `${data.rows.length} row${data.rows.length !== 1 ? 's' : ''}, ${data.columns.length} column${data.columns.length !== 1 ? 's' : ''}`;
+      this.renderFilenameOptions();
+      this.updateMapping();
+      this.options.style.display = 'block';
+    } catch (err) {
+      this.fileInput.value = '';
+      this.showStatus(`<i class="bi bi-exclamation-triangle"></i> Could not read file: ${escapeHtml(err.message)}`, 'error');
+    }
+  }
+
+  // Inputs of the active template that a column can be mapped to
+  getTemplateFields() {
+    const template = getTemplate(getActiveTemplate());
+    return template ? templateFields(template).map(field => ({ id: field.id, label: field.label || field.id })) : [];
+  }
+
+  renderFilenameOptions() {
+    this.filenameSelect.innerHTML = '';
+    this.filenameSelect.add(new Option('Row number', ''));
+    this.data.columns.forEach(col => this.filenameSelect.add(new Option(col, col)));
+  }
+
+  // Rebuild the column mapping for the active template, guessing matches by name
+  updateMapping() {
+    if (!this.data || !this.mapping) return;
+
+    this.mapping.innerHTML = '';
+    this.getTemplateFields().forEach(field => {
+      const shortId = field.id.replace(/^[a-z]+-/, '');
+      const guess = this.data.columns.find(col =>
+        [field.id, shortId, field.label].some(name => normalize(name) === normalize(col))
+      );
+
+      const row = document.createElement('div');
+      row.className = 'batch-mapping-row';
+
+      const label = document.createElement('label');
+      label.className = 'form-label small mb-0';
+      label.htmlFor = `batch-map-${field.id}`;
+      label.textContent = field.label;
+
+      const select = document.createElement('select');
+      select.className = 'form-select form-select-sm';
+      select.id = `batch-map-${field.id}`;
+      select.dataset.field = field.id;
+      select.add(new Option('Use form value', ''));
+      this.data.columns.forEach(col => select.add(new Option(col, col)));
+      select.value = guess || '';
+
+      row.append(label, select);
+      this.mapping.appendChild(row);
+    });
+  }
+
+  getMapping() {
+    const mapping = {};
+    this.mapping.querySelectorAll('select[data-field]').forEach(select => {
+      if (select.value) mapping[select.dataset.field] = select.value;
+    });
+    return mapping;
+  }
+
+  // Field values for one row: mapped columns from the row, everything else from the form
+  rowFields(row, mapping, formFields) {
+    const fields = { ...formFields };
+    Object.entries(mapping).forEach(([id, column]) => {
+      const value = String(row[column] ?? '').trim();
+      fields[id] = typeof formFields[id] === 'boolean' ? TRUTHY.test(value) : value;
+    });
+    return fields;
+  }
+
+  async run() {
+    if (this.running || !this.data) return;
+
+    const mapping = this.getMapping();
+    if (!Object.keys(mapping).length) {
+      this.showStatus('Map at least one column to a field', 'error');
+      return;
+    }
+
+    this.running = true;
+    this.button.disabled = true;
+    const label = this.button.innerHTML;
+
+    const template = getActiveTemplate();
+    const formFields = readFields(template);
+    const design = this.getDesign();
+    const format = this.formatSelect.value;
+    const nameColumn = this.filenameSelect.value;
+    const usedNames = new Set();
+    const files = [];
+    const failures = [];
+
+    try {
+      for (let i = 0; i < this.data.rows.length; i++) {
+        const row = this.data.rows[i];
+        this.button.innerHTML = `<i class="bi bi-hourglass-split" aria-hidden="true"></i> ${i + 1} / ${this.data.rows.length}`;
+
+        try {
+          // A row with a bad value is skipped and reported rather than printed
+          const fields = this.rowFields(row, mapping, formFields);
+          const problems = validateFields(template, fields);
+          if (problems.length) throw new Error(problems.map(problem => describeProblem(template, problem)).join('; '));
+          const content = getContent(template, fields);
+
+          let base = nameColumn ? safeFileName(row[nameColumn]) : '';
+          if (!base) base = `qrcode-${String(i + 1).padStart(String(this.data.rows.length).length, '0')}`;
+          let name = base;
+          for (let n = 2; usedNames.has(name.toLowerCase()); n++) name = `${base}-${n}`;
+          usedNames.add(name.toLowerCase());
+
+          if (format !== 'svg') {
+            const canvas = this.renderCanvas(content, design);
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            files.push({ name: `${name}.png`, data: blob });
+          }
+          if (format !== 'png') {
+            files.push({ name: `${name}.svg`, data: this.renderSVG(content, design) });
+          }
+        } catch (err) {
+          failures.push(`Row ${i + 1}: ${err.message || 'generation failed'}`);
+        }
+
+        // Keep the page responsive between rows
+        await new Promise(resolve => setTimeout(resolve));
+      }
+
+      if (!files.length) throw new Error('No rows could be generated');
+      if (failures.length) files.push({ name: 'errors.txt', data: failures.join('\r\n') });
+
+      const zip = await createZip(files);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(zip);
+      link.download = `qrcodes-${new Date().toISOString().slice(0, 10)}.zip`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+      const done = this.data.rows.length - failures.length;
+      this.showStatus(
+        failures.length
+          ? `<i class="bi bi-exclamation-triangle"></i> ${done} generated, ${failures.length} failed (see errors.txt)`
+          : `<i class="bi bi-check-circle-fill"></i> ${done} QR codes exported`,
+        failures.length ? 'error' : 'success'
+      );
+    } catch (err) {
+      this.showStatus(`<i class="bi bi-exclamation-triangle"></i> ${escapeHtml(err.message || 'Batch generation failed')}`, 'error');
+    } finally {
+      this.running = false;
+      this.button.disabled = false;
+      this.button.innerHTML = label;
+    }
+  }
+}
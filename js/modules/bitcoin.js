@@ -0,0 +1,239 @@
+// Bitcoin Module
+// Payloads and local checks for Bitcoin payment codes: Base58Check legacy and P2SH
+// addresses, bech32/bech32m SegWit and Taproot addresses (BIP 173/350), BIP21
+// amounts and BOLT11 Lightning invoices. Builders and checks take the form values
+// without their template prefix, like the payments module.
+
+import { sha256 } from './sha256.js';
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const BECH32M_CONSTANT = 0x2bc830a3;
+
+const SATS_PER_BTC = 100000000n;
+const MAX_SATS = 21000000n * SATS_PER_BTC;
+// Words of the signature that ends every BOLT11 invoice
+const SIGNATURE_WORDS = 104;
+// Invoices expire after an hour unless they say otherwise
+const DEFAULT_EXPIRY = 3600;
+
+// Signet shares the testnet address prefixes, so both count as 'testnet'
+const BASE58_VERSIONS = { 0x00: ['p2pkh', 'mainnet'], 0x05: ['p2sh', 'mainnet'], 0x6f: ['p2pkh', 'testnet'], 0xc4: ['p2sh', 'testnet'] };
+const SEGWIT_NETWORKS = { bc: 'mainnet', tb: 'testnet', bcrt: 'regtest' };
+const INVOICE_NETWORKS = { bc: 'mainnet', tb: 'testnet', tbs: 'testnet', bcrt: 'regtest' };
+
+export const ADDRESS_TYPES = {
+  p2pkh: 'Legacy (P2PKH)',
+  p2sh: 'Script (P2SH)',
+  p2wpkh: 'SegWit (P2WPKH)',
+  p2wsh: 'SegWit script (P2WSH)',
+  p2tr: 'Taproot (P2TR)',
+  witness: 'Future SegWit version'
+};
+
+export const AMOUNT_UNITS = ['btc', 'sats'];
+
+const text = value => String(value || '').trim();
+
+function base58Decode(value) {
+  let number = 0n;
+  for (const char of value) {
+    const digit = BASE58.indexOf(char);
+    if (digit < 0) return null;
+    number = number * 58n + BigInt(digit);
+  }
+  const bytes = [];
+  for (; number > 0n; number >>= 8n) bytes.unshift(Number(number & 0xffn));
+  // Each leading '1' stands for a zero byte
+  const zeros = value.match(/^1*/)[0].length;
+  return Uint8Array.from([...new Array(zeros).fill(0), ...bytes]);
+}
+
+// Payload of a Base58Check string, or null when the checksum does not match
+function decodeBase58Check(value) {
+  const bytes = base58Decode(value);
+  if (!bytes || bytes.length < 5) return null;
+  const payload = bytes.slice(0, -4);
+  const checksum = sha256(sha256(payload));
+  return bytes.slice(-4).every((byte, i) => byte === checksum[i]) ? payload : null;
+}
+
+function polymod(values) {
+  let check = 1;
+  for (const value of values) {
+    const top = check >>> 25;
+    check = ((check & 0x1ffffff) << 5) ^ value;
+    BECH32_GENERATOR.forEach((generator, i) => {
+      if ((top >>> i) & 1) check ^= generator;
+    });
+  }
+  return check >>> 0;
+}
+
+const expandPrefix = hrp => [...[...hrp].map(c => c.charCodeAt(0) >> 5), 0, ...[...hrp].map(c => c.charCodeAt(0) & 31)];
+
+// Human-readable part and 5-bit data words of a bech32 or bech32m string, or null.
+// Addresses are at most 90 characters; Lightning invoices have no limit.
+function decodeBech32(value, limit = 90) {
+  if (value !== value.toLowerCase() && value !== value.toUpperCase()) return null;
+  const lower = value.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length || lower.length > limit) return null;
+
+  const hrp = lower.slice(0, separator);
+  const words = [...lower.slice(separator + 1)].map(char => BECH32_CHARSET.indexOf(char));
+  if (words.includes(-1)) return null;
+  const check = polymod([...expandPrefix(hrp), ...words]);
+  const encoding = check === 1 ? 'bech32' : check === BECH32M_CONSTANT ? 'bech32m' : null;
+  return encoding && { hrp, words: words.slice(0, -6), encoding };
+}
+
+// Regroup 5-bit words as bytes; leftover bits must be zero padding
+function wordsToBytes(words) {
+  const bytes = [];
+  let [accumulator, bits] = [0, 0];
+  for (const word of words) {
+    accumulator = ((accumulator << 5) | word) & 0xfff;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((accumulator >> bits) & 0xff);
+    }
+  }
+  return bits >= 5 || (accumulator << (8 - bits)) & 0xff ? null : bytes;
+}
+
+// { type (a key of ADDRESS_TYPES), network } of a valid address, or null
+export function detectAddress(value) {
+  const address = text(value);
+  if (/^(bc|tb|bcrt)1/i.test(address)) {
+    const decoded = decodeBech32(address);
+    if (!decoded || !(decoded.hrp in SEGWIT_NETWORKS) || !decoded.words.length) return null;
+    const [version, ...rest] = decoded.words;
+    const program = wordsToBytes(rest);
+    if (!program || version > 16 || program.length < 2 || program.length > 40) return null;
+    // Version 0 uses bech32 with a 20 or 32 byte program; later versions use bech32m
+    if ((version === 0) !== (decoded.encoding === 'bech32')) return null;
+    if (version === 0 && program.length !== 20 && program.length !== 32) return null;
+    const type = version === 0
+      ? (program.length === 20 ? 'p2wpkh' : 'p2wsh')
+      : (version === 1 && program.length === 32 ? 'p2tr' : 'witness');
+    return { type, network: SEGWIT_NETWORKS[decoded.hrp] };
+  }
+  const payload = decodeBase58Check(address);
+  if (!payload || payload.length !== 21 || !(payload[0] in BASE58_VERSIONS)) return null;
+  const [type, network] = BASE58_VERSIONS[payload[0]];
+  return { type, network };
+}
+
+// Whole satoshis of an amount in BTC (at most 8 decimals) or sats, or null when malformed
+export function toSats(value, unit = 'btc') {
+  const amount = text(value);
+  if (unit === 'sats') return /^\d+$/.test(amount) ? BigInt(amount) : null;
+  const match = /^(\d*)(?:\.(\d{0,8}))?$/.exec(amount);
+  if (!match || !/\d/.test(amount)) return null;
+  return BigInt(match[1] || '0') * SATS_PER_BTC + BigInt((match[2] || '').padEnd(8, '0'));
+}
+
+// BIP21 amount: decimal BTC with a period and no trailing zeros
+export function formatBTC(sats) {
+  const fraction = (sats % SATS_PER_BTC).toString().padStart(8, '0').replace(/0+$/, '');
+  return `${sats / SATS_PER_BTC}${fraction ? `.${fraction}` : ''}`;
+}
+
+// { network, msat (BigInt, or null for any amount), expiresAt (ms) } of a BOLT11
+// invoice, or null when it does not decode
+export function decodeInvoice(value) {
+  const invoice = text(value).replace(/^lightning:/i, '');
+  const decoded = decodeBech32(invoice, Infinity);
+  if (!decoded || decoded.encoding !== 'bech32') return null;
+  const match = /^ln(bcrt|bc|tbs|tb)(?:(\d+)([munp]?))?$/.exec(decoded.hrp);
+  if (!match || decoded.words.length < 7 + SIGNATURE_WORDS) return null;
+
+  // Amounts count in BTC times the multiplier; millisatoshis are the smallest unit
+  let msat = null;
+  if (match[2]) {
+    const [, , digits, multiplier] = match;
+    if (multiplier === 'p' && !digits.endsWith('0')) return null;
+    const scale = { '': 100000000000n, m: 100000000n, u: 100000n, n: 100n, p: 1n }[multiplier];
+    msat = multiplier === 'p' ? BigInt(digits) / 10n : BigInt(digits) * scale;
+  }
+
+  const number = words => words.reduce((sum, word) => sum * 32 + word, 0);
+  const { words } = decoded;
+  const timestamp = number(words.slice(0, 7));
+  let expiry = DEFAULT_EXPIRY;
+  // Tagged fields: a type, a 10-bit length and the data; 'x' (6) is the expiry
+  for (let i = 7; i + 3 <= words.length - SIGNATURE_WORDS;) {
+    const length = words[i + 1] * 32 + words[i + 2];
+    if (words[i] === BECH32_CHARSET.indexOf('x')) expiry = number(words.slice(i + 3, i + 3 + length));
+    i += 3 + length;
+  }
+  return { network: INVOICE_NETWORKS[match[1]], msat, expiresAt: (timestamp + expiry) * 1000 };
+}
+
+// Help text for an address, e.g. 'Taproot (P2TR) · mainnet'
+export function describeAddress(value) {
+  const info = detectAddress(value);
+  return info ? `${ADDRESS_TYPES[info.type]} · ${info.network}` : '';
+}
+
+// BIP21 URI, optionally carrying a Lightning invoice as `lightning=`. An invoice
+// without an address becomes a plain lightning: URI, upper case so the code can
+// use the compact alphanumeric mode.
+export function buildBIP21(p) {
+  const invoice = text(p.lightning).replace(/^lightning:/i, '').toLowerCase();
+  let address = text(p.address);
+  if (!address && invoice) return `lightning:${invoice}`.toUpperCase();
+  // bech32 is case-insensitive; the lower case form is the canonical one
+  if (/^(bc|tb|bcrt)1/i.test(address)) address = address.toLowerCase();
+
+  const params = [];
+  const sats = p.amount ? toSats(p.amount, p.unit) : null;
+  if (sats && sats <= MAX_SATS) params.push(`amount=${formatBTC(sats)}`);
+  if (text(p.label)) params.push(`label=${encodeURIComponent(text(p.label))}`);
+  if (text(p.message)) params.push(`message=${encodeURIComponent(text(p.message))}`);
+  if (invoice) params.push(`lightning=${invoice}`);
+  return `bitcoin:${address}${params.length ? `?${params.join('&')}` : ''}`;
+}
+
+export function validateBIP21(p, now = Date.now()) {
+  const problems = [];
+  const address = text(p.address);
+  const invoice = text(p.lightning);
+  if (!address && !invoice) problems.push({ field: 'address', message: 'Enter a Bitcoin address or a Lightning invoice' });
+
+  const info = address ? detectAddress(address) : null;
+  if (address && !info) {
+    problems.push({ field: 'address', message: 'This is not a valid Bitcoin address; the checksum or length does not match. Check it for typos.' });
+  }
+
+  const sats = p.amount ? toSats(p.amount, p.unit) : null;
+  if (p.amount) {
+    if (sats === null) {
+      const example = p.unit === 'sats' ? 'Enter whole satoshis, e.g. 25000' : 'Enter the amount in BTC with at most 8 decimals, e.g. 0.00025';
+      problems.push({ field: 'amount', message: example });
+    } else if (sats === 0n) {
+      problems.push({ field: 'amount', message: 'The amount must be more than zero' });
+    } else if (sats > MAX_SATS) {
+      problems.push({ field: 'amount', message: 'The amount is more than 21 million BTC' });
+    } else if (!address) {
+      problems.push({ field: 'amount', message: 'A plain Lightning invoice carries its own amount; add an address or leave this empty' });
+    }
+  }
+
+  if (invoice) {
+    const lightning = decodeInvoice(invoice);
+    if (!lightning) {
+      problems.push({ field: 'lightning', message: 'This is not a valid BOLT11 Lightning invoice; check it for typos' });
+    } else if (info && lightning.network !== info.network) {
+      problems.push({ field: 'lightning', message: `The invoice is for ${lightning.network} but the address is for ${info.network}` });
+    } else if (lightning.expiresAt < now) {
+      problems.push({ field: 'lightning', message: 'This invoice has expired; create a new one' });
+    } else if (address && sats && lightning.msat !== null && lightning.msat !== sats * 1000n) {
+      problems.push({ field: 'amount', message: `The invoice asks for ${formatBTC(lightning.msat / 1000n)} BTC; use the same amount` });
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,40 @@
+// Content Lines Module
+// Text escaping and line folding shared by the vCard (RFC 6350) and iCalendar
+// (RFC 5545) builders
+
+const MAX_LINE_OCTETS = 75;
+const encoder = new TextEncoder();
+
+// Escape a text value; `;` and `,` separate components and list items
+export function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// Split a line into 75-octet pieces, continuation lines starting with a space.
+// Never splits inside a UTF-8 character.
+export function foldLine(line) {
+  const pieces = [];
+  let piece = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > MAX_LINE_OCTETS) {
+      pieces.push(piece);
+      piece = ' ';
+      octets = 1;
+    }
+    piece += char;
+    octets += size;
+  }
+  pieces.push(piece);
+  return pieces.join('\r\n');
+}
+
+// Join content lines with CRLF, folding each one
+export function contentLines(lines) {
+  return lines.map(foldLine).join('\r\n');
+}
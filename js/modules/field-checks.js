@@ -0,0 +1,104 @@
+// Field Checks Module
+// Checks for common kinds of field values: phone numbers (international E.164 form,
+// national numbers and short codes), email addresses (RFC 5321/5322 addr-spec, with
+// UTF-8 per RFC 6532) and web addresses. Each check returns a message, or '' when
+// the value is fine.
+
+// Characters a dot-atom may use; RFC 6532 adds any non-ASCII character
+const ATEXT = "[A-Za-z0-9!#$%&'*+/=?^_`{|}~\\-\\u0080-\\uFFFF]";
+const DOT_ATOM = new RegExp(`^${ATEXT}+(?:\\.${ATEXT}+)*$`, 'u');
+const QUOTED_STRING = /^"(?:[\x20\x21\x23-\x5B\x5D-\x7E\u0080-\uFFFF]|\\[\x20-\x7E])*"$/u;
+const LABEL = /^(?!-)[\p{L}\p{N}\p{M}-]{1,63}(?<!-)$/u;
+const IPV4 = /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/;
+
+const text = value => String(value ?? '').trim();
+
+// Whether a name is a host on the internet: two or more labels and a TLD that is not a number
+export function isHostname(name) {
+  const labels = name.replace(/\.$/, '').split('.');
+  return name.length <= 253 && labels.length >= 2 && labels.every(label => LABEL.test(label)) && !/^\d+$/.test(labels.at(-1));
+}
+
+function isIPv6(address) {
+  try {
+    return new URL(`http://[${address}]`).hostname.length > 2;
+  } catch {
+    return false;
+  }
+}
+
+// A phone number without spaces, dashes, dots or brackets; a leading 00 becomes +
+export function compactPhone(value) {
+  return text(value).replace(/[\s().-]/g, '').replace(/^00/, '+');
+}
+
+// A phone number as +<country code><number>, or null when it is not an
+// international number
+export function normalizePhone(value) {
+  const number = compactPhone(value);
+  return /^\+[1-9]\d{6,14}$/.test(number) ? number : null;
+}
+
+// Any number that can be dialled: international, national (e.g. 020 7946 0958) or a
+// short code such as 112 or a 5-digit SMS number
+export function checkPhone(value) {
+  const number = compactPhone(value);
+  if (!/^\+?\d+$/.test(number)) return 'Phone numbers can only contain digits, spaces, dashes, dots and brackets';
+  if (number.startsWith('+')) return checkInternationalPhone(number);
+  return number.length >= 3 && number.length <= 15 ? '' : 'Phone numbers have 3 to 15 digits';
+}
+
+// A number with its country code, as messengers need to find the account
+export function checkInternationalPhone(value) {
+  const number = compactPhone(value);
+  if (!/^\+?\d+$/.test(number)) return 'Phone numbers can only contain digits, spaces, dashes, dots and brackets';
+  if (!number.startsWith('+')) return 'Start with + and the country code, e.g. +44 20 7946 0958';
+  if (number[1] === '0') return 'Country codes never start with 0; remove the trunk 0 after the +';
+  if (!normalizePhone(number)) return 'International numbers have 7 to 15 digits after the +';
+  return '';
+}
+
+export function checkEmail(value) {
+  const address = text(value);
+  const at = address.lastIndexOf('@');
+  if (at < 1 || at === address.length - 1) return 'Enter an email address like name@example.com';
+  const [local, domain] = [address.slice(0, at), address.slice(at + 1)];
+  if (!DOT_ATOM.test(local) && !QUOTED_STRING.test(local)) return `"${local}" is not a valid name before the @`;
+  if (new TextEncoder().encode(local).length > 64) return 'The part before the @ can be at most 64 characters';
+  if (address.length > 254) return 'An email address can be at most 254 characters';
+  // Domain literals: [192.0.2.1] or [IPv6:2001:db8::1]
+  const literal = /^\[(?:IPv6:(.+)|(.+))\]$/i.exec(domain);
+  if (literal ? !(literal[1] ? isIPv6(literal[1]) : IPV4.test(literal[2])) : !isHostname(domain)) {
+    return `"${domain}" is not a valid domain`;
+  }
+  return '';
+}
+
+// Several addresses separated by commas, as a mailto: link allows
+export function checkEmailList(value) {
+  const addresses = text(value).split(',').map(address => address.trim());
+  if (addresses.some(address => !address)) return 'Separate addresses with single commas';
+  return addresses.map(checkEmail).find(Boolean) || '';
+}
+
+export function checkUrl(value) {
+  const address = text(value);
+  if (/\s/.test(address)) return 'Web addresses cannot contain spaces; write them as %20';
+  let url;
+  try {
+    url = new URL(address);
+  } catch {
+    return 'Enter a full web address, e.g. https://example.com';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'Web addresses start with http:// or https://';
+  const host = url.hostname;
+  const valid = host === 'localhost' || isHostname(host) || IPV4.test(host) || (host.startsWith('[') && isIPv6(host.slice(1, -1)));
+  return valid ? '' : `"${host}" is not a valid host name`;
+}
+
+// Checks applied to every field of these input types unless it has its own
+export const TYPE_CHECKS = {
+  tel: checkPhone,
+  email: checkEmail,
+  url: checkUrl
+};
@@ -0,0 +1,289 @@
+// Geo Module
+// Reads locations written in the ways people copy them: decimal degrees, degrees,
+// minutes and seconds, links from common map sites and Open Location Codes (Plus
+// Codes), all locally. Builds the location as a geo: URI (RFC 5870) or as a map
+// site link. Builders and checks take the form values without their template prefix,
+// like the payments module.
+
+// Open Location Code alphabet, and the size in degrees of each pair of digits
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+const OLC_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+const OLC_SEPARATOR_POSITION = 8;
+// Digits after the tenth split a cell into 5 rows and 4 columns
+const OLC_GRID_ROWS = 5;
+const OLC_GRID_COLUMNS = 4;
+
+// Decimal places kept; 6 is about 10 cm
+const PRECISION = 6;
+
+export const GEO_OUTPUTS = {
+  geo: 'geo: URI (Android)',
+  google: 'Google Maps link',
+  apple: 'Apple Maps link',
+  osm: 'OpenStreetMap link'
+};
+
+const AXES = {
+  lat: { name: 'Latitude', limit: 90, positive: 'N', negative: 'S' },
+  lon: { name: 'Longitude', limit: 180, positive: 'E', negative: 'W' }
+};
+
+const text = value => String(value ?? '').trim();
+
+// A coordinate as a short decimal, e.g. 40.712778
+export function formatCoordinate(value) {
+  const fixed = value.toFixed(PRECISION).replace(/\.?0+$/, '');
+  return fixed === '-0' ? '0' : fixed;
+}
+
+// { value } of one coordinate in decimal degrees or degrees, minutes and seconds,
+// e.g. -74.006, 74°0'21.6"W or W 74 0.36, or { error }. `axis` is 'lat' or 'lon'.
+export function readCoordinate(input, axis) {
+  const { name, limit, positive, negative } = AXES[axis];
+  const value = text(input).toUpperCase()
+    .replace(/[′’‘´`]/g, "'")
+    .replace(/[″”“]|''/g, '"')
+    .replace(/º|˚/g, '°');
+
+  const hemisphere = /^([NSEW])\s*|\s*([NSEW])$/.exec(value);
+  const letter = hemisphere ? hemisphere[1] || hemisphere[2] : '';
+  if (letter && letter !== positive && letter !== negative) {
+    return { error: `${name} uses ${positive} or ${negative}, not ${letter}` };
+  }
+  const rest = !hemisphere ? value : hemisphere.index === 0 ? value.slice(hemisphere[0].length) : value.slice(0, hemisphere.index);
+  const match = /^([+-]?)\s*(\d+(?:\.\d+)?)\s*°?(?:\s*(\d+(?:\.\d+)?)\s*[':]?(?:\s*(\d+(?:\.\d+)?)\s*"?)?)?$/.exec(rest.replace(/(\d)\s*:\s*/g, '$1 '));
+  if (!match || (match[1] && letter)) {
+    return { error: `Enter ${name.toLowerCase()} as decimal degrees (${axis === 'lat' ? '40.7128' : '-74.006'}) or degrees, minutes and seconds (${axis === 'lat' ? '40°42\'46"N' : '74°0\'22"W'})` };
+  }
+
+  const [, sign, degrees, minutes, seconds] = match;
+  // Only the last part may have decimals, and minutes and seconds stay below 60
+  const parts = [degrees, minutes, seconds].filter(Boolean);
+  if (parts.slice(0, -1).some(part => part.includes('.')) || [minutes, seconds].some(part => part && +part >= 60)) {
+    return { error: 'Minutes and seconds are whole numbers below 60, except the last one' };
+  }
+  const magnitude = +degrees + (+minutes || 0) / 60 + (+seconds || 0) / 3600;
+  if (magnitude > limit) return { error: `${name} is between -${limit} and ${limit} degrees` };
+  return { value: sign === '-' || letter === negative ? -magnitude : magnitude };
+}
+
+// { lat, lon } of a pair such as '40.7128, -74.006', '40°42\'46"N 74°0\'22"W' or
+// 'N 40 42.767 W 74 0.367', or { error }
+export function readCoordinates(input) {
+  const value = text(input).toUpperCase();
+  const halves =
+    /^(.*?[NS])[\s,;]*([^NS]*[EW])$/.exec(value) ||
+    /^([NS][^EW]*?)[\s,;]*([EW].*)$/.exec(value) ||
+    /^([^,;]+)[,;]\s*([^,;]+)$/.exec(value) ||
+    /^([+-]?\d+(?:\.\d+)?)\s+([+-]?\d+(?:\.\d+)?)$/.exec(value);
+  if (!halves) return { error: 'Enter latitude and longitude, e.g. 40.7128, -74.006' };
+  const lat = readCoordinate(halves[1], 'lat');
+  const lon = readCoordinate(halves[2], 'lon');
+  if (lat.error || lon.error) return { error: lat.error || lon.error };
+  return { lat: lat.value, lon: lon.value };
+}
+
+function olcDecode(code) {
+  const digits = code.replace('+', '').replace(/0+$/, '');
+  let [lat, lon] = [-90, -180];
+  let [latSize, lonSize] = [0, 0];
+  for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+    const resolution = OLC_PAIR_RESOLUTIONS[i / 2];
+    lat += OLC_ALPHABET.indexOf(digits[i]) * resolution;
+    lon += OLC_ALPHABET.indexOf(digits[i + 1]) * resolution;
+    [latSize, lonSize] = [resolution, resolution];
+  }
+  for (const digit of digits.slice(10)) {
+    const index = OLC_ALPHABET.indexOf(digit);
+    latSize /= OLC_GRID_ROWS;
+    lonSize /= OLC_GRID_COLUMNS;
+    lat += Math.floor(index / OLC_GRID_COLUMNS) * latSize;
+    lon += (index % OLC_GRID_COLUMNS) * lonSize;
+  }
+  return { lat: Math.min(lat + latSize / 2, 90), lon: Math.min(lon + lonSize / 2, 180) };
+}
+
+// The first `length` digits of the code of a point, for completing short codes
+function olcPrefix(lat, lon, length) {
+  let latValue = Math.min(Math.max(lat, -90), 90 - 1e-9) + 90;
+  let lonValue = ((((lon + 180) % 360) + 360) % 360);
+  let code = '';
+  for (const resolution of OLC_PAIR_RESOLUTIONS) {
+    const [latDigit, lonDigit] = [Math.floor(latValue / resolution), Math.floor(lonValue / resolution)];
+    latValue -= latDigit * resolution;
+    lonValue -= lonDigit * resolution;
+    code += OLC_ALPHABET[latDigit] + OLC_ALPHABET[lonDigit];
+  }
+  return code.slice(0, length);
+}
+
+// { lat, lon } of the centre of a Plus Code, or { error }. A short code such as
+// 'PX7V+4H' is completed with the nearest match to `reference` ({ lat, lon }).
+export function readPlusCode(input, reference = null) {
+  // A locality after a short code ('PX7V+4H New York') cannot be looked up offline
+  const [code, ...locality] = text(input).toUpperCase().split(/[\s,]+/);
+  const separator = code.indexOf('+');
+  // Padding zeros only end a full code, from an even position up to the separator
+  const padding = /0+/.exec(code);
+  const valid = new RegExp(`^[${OLC_ALPHABET}0]+\\+[${OLC_ALPHABET}]*$`).test(code) &&
+    separator % 2 === 0 && separator <= OLC_SEPARATOR_POSITION && code.length - separator !== 2 &&
+    (!padding || (separator === OLC_SEPARATOR_POSITION && padding.index % 2 === 0 && padding.index > 0 && code.endsWith('0+')));
+  if (!valid) return { error: 'This is not a valid Plus Code' };
+
+  if (separator === OLC_SEPARATOR_POSITION) {
+    // The first digits may not go past 90° north or 180° east
+    if (OLC_ALPHABET.indexOf(code[0]) > 8 || OLC_ALPHABET.indexOf(code[1]) > 17) return { error: 'This is not a valid Plus Code' };
+    return olcDecode(code);
+  }
+  if (!reference) {
+    const hint = locality.length ? ' (a place name cannot be looked up offline)' : '';
+    return { error: `A short Plus Code needs a nearby location; enter the full code, e.g. 87G7PX7V+4H${hint}` };
+  }
+
+  const missing = OLC_SEPARATOR_POSITION - separator;
+  const resolution = 20 ** (2 - missing / 2);
+  const area = olcDecode(olcPrefix(reference.lat, reference.lon, missing) + code);
+  // The cell next to the reference's may be closer
+  let { lat, lon } = area;
+  if (reference.lat + resolution / 2 < lat && lat - resolution >= -90) lat -= resolution;
+  else if (reference.lat - resolution / 2 > lat && lat + resolution <= 90) lat += resolution;
+  if (reference.lon + resolution / 2 < lon) lon -= resolution;
+  else if (reference.lon - resolution / 2 > lon) lon += resolution;
+  return { lat, lon: ((((lon + 180) % 360) + 360) % 360) - 180 };
+}
+
+// Coordinates written 'lat,lon', as map links carry them
+function pair(value, order = 'lat,lon') {
+  const match = /^\s*(-?\d+(?:\.\d+)?)\s*[,~_ ]\s*(-?\d+(?:\.\d+)?)/.exec(value || '');
+  if (!match) return null;
+  const [first, second] = [+match[1], +match[2]];
+  const [lat, lon] = order === 'lat,lon' ? [first, second] : [second, first];
+  return Math.abs(lat) <= 90 && Math.abs(lon) <= 180 ? { lat, lon } : null;
+}
+
+const placeName = value => decodeURIComponent(value.replace(/\+/g, ' '));
+
+// { lat, lon, query } of a link from Google Maps, Apple Maps, OpenStreetMap, Bing,
+// Waze, HERE or Yandex, or { error } for other links
+export function readMapLink(input) {
+  let url;
+  try {
+    url = new URL(text(input));
+  } catch {
+    return { error: 'This is not a link' };
+  }
+  const host = url.hostname.replace(/^www\./, '');
+  const params = url.searchParams;
+  const first = (...keys) => keys.map(key => params.get(key)).find(Boolean) || '';
+  let point = null;
+  let query = '';
+
+  if (/^(goo\.gl|maps\.app\.goo\.gl|g\.co)$/.test(host)) {
+    return { error: 'Short map links only resolve online; open it and copy the full link from the address bar' };
+  } else if (/(^|\.)google\.[a-z.]+$/.test(host)) {
+    // A place's own position (!3d…!4d…) is more precise than the map view (@…)
+    const place = /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/.exec(url.href);
+    const view = /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/.exec(url.pathname);
+    point = place ? pair(`${place[1]},${place[2]}`) : pair(first('q', 'query', 'll', 'center', 'destination', 'daddr')) || (view && pair(`${view[1]},${view[2]}`));
+    const name = /\/place\/([^/@]+)/.exec(url.pathname);
+    query = name ? placeName(name[1]) : '';
+  } else if (/^maps\.apple(\.com)?$/.test(host)) {
+    point = pair(first('coordinate', 'll', 'q', 'sll', 'center'));
+    query = first('name', 'q');
+  } else if (/(^|\.)openstreetmap\.org$/.test(host) || host === 'osm.org') {
+    const view = /map=\d+\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)/.exec(url.hash);
+    point = params.get('mlat') ? pair(`${params.get('mlat')},${params.get('mlon')}`) : view && pair(`${view[1]},${view[2]}`);
+  } else if (/(^|\.)bing\.com$/.test(host)) {
+    point = pair(first('cp'));
+    query = first('q', 'where1');
+  } else if (/(^|\.)waze\.com$/.test(host)) {
+    point = pair(first('ll', 'latlng'));
+    query = first('q');
+  } else if (/(^|\.)here\.com$/.test(host)) {
+    point = pair(first('map')) || pair(url.pathname.replace(/^\/l\//, ''));
+  } else if (/(^|\.)yandex\.[a-z.]+$/.test(host)) {
+    // Yandex writes longitude first
+    point = pair(first('pt', 'll'), 'lon,lat');
+  } else {
+    return { error: 'Links from this site are not recognized; paste its coordinates instead' };
+  }
+  if (!point) return { error: 'This map link holds no coordinates; share a dropped pin or a place instead' };
+  return { ...point, query: pair(query) ? '' : query };
+}
+
+// { lat, lon, altitude, query } of a geo: URI, or null
+export function readGeoURI(input) {
+  const match = /^geo:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)(?:,(-?\d+(?:\.\d+)?))?([;?].*)?$/i.exec(text(input));
+  if (!match || Math.abs(match[1]) > 90 || Math.abs(match[2]) > 180) return null;
+  const q = /[?&]q=([^&]*)/.exec(match[4] || '');
+  let query = '';
+  try {
+    query = q ? placeName(q[1]) : '';
+  } catch {
+    query = q[1];
+  }
+  return { lat: +match[1], lon: +match[2], altitude: match[3] || '', query };
+}
+
+// A location in any of the forms above: { lat, lon, altitude?, query? } or { error }
+export function readLocation(input, reference = null) {
+  const value = text(input);
+  if (/^geo:/i.test(value)) return readGeoURI(value) || { error: 'This geo: URI has no valid coordinates' };
+  if (/^https?:\/\//i.test(value)) return readMapLink(value);
+  if (/^[0-9A-Z]*\+/i.test(value) && !/^[+-]?\d+(\.\d+)?\b/.test(value)) return readPlusCode(value, reference);
+  return readCoordinates(value);
+}
+
+// Coordinates of the form values: typed latitude and longitude, or else the pasted location
+function resolve(p) {
+  if (text(p.latitude) || text(p.longitude)) {
+    return { lat: readCoordinate(p.latitude, 'lat').value, lon: readCoordinate(p.longitude, 'lon').value, query: text(p.query), altitude: text(p.altitude) };
+  }
+  const pasted = text(p.paste) ? readLocation(p.paste) : {};
+  return { lat: pasted.lat, lon: pasted.lon, query: text(p.query) || pasted.query || '', altitude: text(p.altitude) || pasted.altitude || '' };
+}
+
+// The reference for short Plus Codes: the coordinates already entered, if any
+export function referencePoint(p) {
+  const lat = readCoordinate(p.latitude, 'lat').value;
+  const lon = readCoordinate(p.longitude, 'lon').value;
+  return lat === undefined || lon === undefined ? null : { lat, lon };
+}
+
+export function buildGeo(p) {
+  const { lat, lon, query, altitude } = resolve(p);
+  if (lat === undefined || lon === undefined) return 'geo:0,0';
+  const [latitude, longitude] = [formatCoordinate(lat), formatCoordinate(lon)];
+
+  switch (p.output) {
+    case 'google':
+      return `https://www.google.com/maps/search/?api=1&query=${latitude}%2C${longitude}`;
+    case 'apple':
+      // Apple Maps only drops a pin when it has a label
+      return `https://maps.apple.com/?ll=${latitude},${longitude}&q=${encodeURIComponent(query || 'Dropped Pin')}`;
+    case 'osm':
+      return `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=16/${latitude}/${longitude}`;
+    default:
+      return `geo:${latitude},${longitude}${altitude ? `,${altitude}` : ''}${query ? `?q=${encodeURIComponent(query)}` : ''}`;
+  }
+}
+
+export function validateGeo(p) {
+  const problems = [];
+  if (text(p.paste)) {
+    const { error } = readLocation(p.paste, referencePoint(p));
+    if (error) problems.push({ field: 'paste', message: error });
+  }
+  [['latitude', 'lat'], ['longitude', 'lon']].forEach(([field, axis]) => {
+    if (text(p[field])) {
+      const { error } = readCoordinate(p[field], axis);
+      if (error) problems.push({ field, message: error });
+    } else if (text(p.latitude) || text(p.longitude) || !text(p.paste)) {
+      problems.push({ field, message: `Enter the ${field}, or paste a location above` });
+    }
+  });
+  if (text(p.altitude) && !/^-?\d+(\.\d+)?$/.test(text(p.altitude))) {
+    problems.push({ field: 'altitude', message: 'Altitude is a number of meters' });
+  }
+  return problems;
+}
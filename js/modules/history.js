@@ -0,0 +1,114 @@
+// History Module
+// Undo and redo over snapshots of the whole configuration: the template, its field
+// values, the design and the logo. A snapshot is recorded after each committed
+// change; changes from one control in quick succession, such as a slider being
+// dragged, merge into one step.
+
+const MAX_STEPS = 100;
+const MERGE_WINDOW = 1000;
+
+export class EditHistory {
+  constructor({ capture, restore, showStatus }) {
+    this.capture = capture;
+    this.restore = restore;
+    this.showStatus = showStatus;
+
+    this.steps = [];
+    this.index = -1;
+    // Control whose change the next recorded step comes from, if it may merge
+    this.pending = null;
+
+    this.buttons = {
+      undo: document.getElementById('undo-btn'),
+      redo: document.getElementById('redo-btn')
+    };
+
+    this.init();
+  }
+
+  init() {
+    this.buttons.undo?.addEventListener('click', () => this.undo());
+    this.buttons.redo?.addEventListener('click', () => this.redo());
+
+    document.addEventListener('keydown', e => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      // Text fields keep their own undo; their edits are recorded as they settle
+      if (this.isTextEntry(e.target)) return;
+      e.preventDefault();
+      if (key === 'z' && !e.shiftKey) this.undo();
+      else this.redo();
+    });
+
+    this.updateButtons();
+  }
+
+  isTextEntry(el) {
+    if (!el) return false;
+    if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+    return el.tagName === 'INPUT' && !['range', 'color', 'checkbox', 'radio', 'button', 'submit', 'file'].includes(el.type);
+  }
+
+  // The next change comes from `source`; repeated changes from it merge
+  touch(source) {
+    this.pending = source;
+  }
+
+  // Store the current configuration as a new step unless nothing changed
+  record() {
+    const snapshot = this.capture();
+    const source = this.pending;
+    this.pending = null;
+
+    const current = this.steps[this.index];
+    if (current && this.same(current.snapshot, snapshot)) return;
+
+    const now = Date.now();
+    const last = this.index === this.steps.length - 1 ? current : null;
+    if (last && source && last.source === source && now - last.time < MERGE_WINDOW && this.index > 0) {
+      last.snapshot = snapshot;
+      last.time = now;
+    } else {
+      this.steps.splice(this.index + 1);
+      this.steps.push({ snapshot, source, time: now });
+      if (this.steps.length > MAX_STEPS) this.steps.shift();
+      this.index = this.steps.length - 1;
+    }
+    this.updateButtons();
+  }
+
+  // Snapshots hold the logo as an image; the same image is the same logo
+  same(a, b) {
+    return a.logo === b.logo && JSON.stringify({ ...a, logo: null }) === JSON.stringify({ ...b, logo: null });
+  }
+
+  undo() {
+    if (this.index <= 0) return;
+    this.go(this.index - 1);
+    this.showStatus('<i class="bi bi-arrow-counterclockwise"></i> Undone', 'success', 1000);
+  }
+
+  redo() {
+    if (this.index >= this.steps.length - 1) return;
+    this.go(this.index + 1);
+    this.showStatus('<i class="bi bi-arrow-clockwise"></i> Redone', 'success', 1000);
+  }
+
+  go(index) {
+    this.index = index;
+    const step = this.steps[index];
+    this.restore(step.snapshot);
+    // Controls may not take every value back (e.g. a level the symbol lacks), so keep
+    // what they show; a restored step never merges with later changes
+    step.snapshot = this.capture();
+    step.source = null;
+    this.pending = null;
+    this.updateButtons();
+  }
+
+  updateButtons() {
+    if (this.buttons.undo) this.buttons.undo.disabled = this.index <= 0;
+    if (this.buttons.redo) this.buttons.redo.disabled = this.index >= this.steps.length - 1;
+  }
+}
@@ -0,0 +1,9 @@
+// HTML Module
+// Escapes text for status messages that are built as HTML strings
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Error messages and names can quote user text, e.g. JSON.parse's
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ENTITIES[ch]);
+}
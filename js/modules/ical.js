@@ -0,0 +1,175 @@
+// iCalendar Module
+// Builds a VCALENDAR (RFC 5545) holding one event: wall-clock times in an IANA
+// time zone with a matching VTIMEZONE, all-day dates, recurrence and a reminder
+
+import { contentLines, escapeText } from './content-lines.js';
+
+export const REPEAT_RULES = ['none', 'daily', 'weekly', 'monthly', 'monthly-weekday', 'yearly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+const dateValue = date => date.slice(0, 10).replace(/-/g, '');
+// 'YYYY-MM-DDTHH:MM' (a datetime-local value) as a local DATE-TIME
+const localDateTime = value => `${dateValue(value)}T${value.slice(11, 13)}${value.slice(14, 16)}00`;
+const utcDateTime = date => date.toISOString().slice(0, 19).replace(/[-:]/g, '') + 'Z';
+
+function formatOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+// UTC offset of a time zone at an instant, in minutes
+const formatters = new Map();
+function zoneOffset(timeZone, time) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(time).map(({ type, value }) => [type, +value]));
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wall - Math.floor(time / 1000) * 1000) / 60000);
+}
+
+// UTC instant of a wall-clock time in a zone; the second pass settles times near a transition
+function zonedTime(timeZone, year, month, day, hour = 0, minute = 0) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - zoneOffset(timeZone, wall) * 60000;
+  return wall - zoneOffset(timeZone, guess) * 60000;
+}
+
+// Weekday rule such as 2SU or -1SU (last Sunday) for a day of a month
+function weekdayRule(year, month, day) {
+  const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return day + 7 > daysInMonth ? `-1${weekday}` : `${Math.ceil(day / 7)}${weekday}`;
+}
+
+// First day in a year matching a weekday rule
+function ruleDay(year, month, rule) {
+  const weekday = WEEKDAYS.indexOf(rule.slice(-2));
+  const n = parseInt(rule, 10);
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+  }
+  const last = new Date(Date.UTC(year, month, 0));
+  return last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7);
+}
+
+// VTIMEZONE for a zone, with yearly rules taken from its transitions in `year`
+function timezoneLines(timeZone, year) {
+  const start = Date.UTC(year, 0, 1);
+  const transitions = [];
+  for (let time = start; time < Date.UTC(year + 1, 0, 1); time += DAY) {
+    const before = zoneOffset(timeZone, time);
+    if (zoneOffset(timeZone, time + DAY) === before) continue;
+    // Narrow the change down to the minute
+    let [low, high] = [time, time + DAY];
+    while (high - low > 60000) {
+      const mid = low + Math.floor((high - low) / 120000) * 60000;
+      if (zoneOffset(timeZone, mid) === before) low = mid;
+      else high = mid;
+    }
+    transitions.push({ time: high, from: before, to: zoneOffset(timeZone, high) });
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  if (!transitions.length) {
+    const offset = formatOffset(zoneOffset(timeZone, start));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+  const largest = Math.max(...transitions.map(t => t.to));
+  transitions.forEach(({ time, from, to }) => {
+    // Onset in the local time before the change, repeated on the same weekday rule
+    const local = new Date(time + from * 60000);
+    const month = local.getUTCMonth() + 1;
+    const rule = weekdayRule(local.getUTCFullYear(), month, local.getUTCDate());
+    const kind = to === largest && transitions.length > 1 ? 'DAYLIGHT' : 'STANDARD';
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:1970${pad(month)}${pad(ruleDay(1970, month, rule))}T${pad(local.getUTCHours())}${pad(local.getUTCMinutes())}00`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${month};BYDAY=${rule}`,
+      `END:${kind}`
+    );
+  });
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+// Short stable hash, so the same event always gets the same UID
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (const char of text) {
+    h ^= char.codePointAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
+
+function repeatRule({ repeat, interval, count, until }, start, allDay, timeZone) {
+  const [year, month, day] = start.slice(0, 10).split('-').map(Number);
+  const freq = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', 'monthly-weekday': 'MONTHLY', yearly: 'YEARLY' }[repeat];
+  let rule = `RRULE:FREQ=${freq}`;
+  if (interval > 1) rule += `;INTERVAL=${interval}`;
+  if (repeat === 'monthly-weekday') {
+    // The same weekday of the month as the start; a fifth one means the last
+    const n = Math.ceil(day / 7);
+    rule += `;BYDAY=${n === 5 ? -1 : n}${WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()]}`;
+  }
+  if (until) {
+    // UNTIL is a date for all-day events and a UTC time otherwise, inclusive of that day's start time
+    if (allDay) return `${rule};UNTIL=${dateValue(until)}`;
+    const [y, m, d] = until.split('-').map(Number);
+    const time = timeZone === 'UTC'
+      ? Date.UTC(y, m - 1, d, +start.slice(11, 13), +start.slice(14, 16))
+      : zonedTime(timeZone, y, m, d, +start.slice(11, 13), +start.slice(14, 16));
+    return `${rule};UNTIL=${utcDateTime(new Date(time))}`;
+  }
+  if (count > 0) rule += `;COUNT=${count}`;
+  return rule;
+}
+
+// `event` holds { title, start, end ('YYYY-MM-DDTHH:MM'), allDay, timeZone (IANA name),
+// location, description, repeat (one of REPEAT_RULES), interval, count, until
+// ('YYYY-MM-DD'), reminder (minutes before, or null) }. Times are wall-clock times
+// in `timeZone`. `stamp` is when the calendar was created; without it DTSTAMP is
+// left out, so the same event always gives the same text (e.g. in a QR code).
+export function buildCalendar(event, { stamp = null } = {}) {
+  const { title = 'Event', start, end, allDay = false, timeZone = 'UTC', location, description } = event;
+  const isUTC = timeZone === 'UTC';
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Privacy-Focused QR Code Generator//EN', 'CALSCALE:GREGORIAN'];
+
+  const timed = start && !allDay;
+  if (timed && !isUTC) lines.push(...timezoneLines(timeZone, +start.slice(0, 4)));
+
+  lines.push('BEGIN:VEVENT', `UID:${hash(`${title}|${start}|${location || ''}`)}@qr-code-generator`);
+  if (stamp) lines.push(`DTSTAMP:${utcDateTime(stamp)}`);
+  const dateTime = (name, value) => {
+    if (!timed) return `${name};VALUE=DATE:${dateValue(value)}`;
+    return isUTC ? `${name}:${localDateTime(value)}Z` : `${name};TZID=${timeZone}:${localDateTime(value)}`;
+  };
+  if (start) {
+    lines.push(dateTime('DTSTART', start));
+    if (allDay) {
+      // DTEND is exclusive for dates: the day after the last day
+      const last = end && end.slice(0, 10) >= start.slice(0, 10) ? end : start;
+      const next = new Date(Date.UTC(+last.slice(0, 4), +last.slice(5, 7) - 1, +last.slice(8, 10) + 1));
+      lines.push(`DTEND;VALUE=DATE:${next.toISOString().slice(0, 10).replace(/-/g, '')}`);
+    } else if (end) {
+      lines.push(dateTime('DTEND', end));
+    }
+    if (event.repeat && event.repeat !== 'none') lines.push(repeatRule(event, start, allDay, timeZone));
+  }
+  lines.push(`SUMMARY:${escapeText(title)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (event.reminder != null && event.reminder >= 0) {
+    lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(title)}`, `TRIGGER:-PT${event.reminder}M`, 'END:VALARM');
+  }
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+  return contentLines(lines);
+}
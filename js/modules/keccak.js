@@ -0,0 +1,72 @@
+// Keccak Module
+// Keccak-256 as Ethereum uses it (the original padding, not SHA3-256), for
+// EIP-55 address checksums. Lanes are BigInts; inputs here are a few bytes.
+
+const MASK = (1n << 64n) - 1n;
+const RATE = 136;
+const ROTATIONS = [1, 3, 6, 10, 15, 21, 28, 36, 45, 55, 2, 14, 27, 41, 56, 8, 25, 43, 62, 18, 39, 61, 20, 44];
+const PI_LANES = [10, 7, 11, 17, 18, 3, 5, 16, 8, 21, 24, 4, 15, 23, 19, 13, 12, 2, 20, 14, 22, 9, 6, 1];
+
+// Round constants from the FIPS 202 linear feedback shift register
+const ROUND_CONSTANTS = (() => {
+  const constants = [];
+  let r = 1;
+  for (let round = 0; round < 24; round++) {
+    let c = 0n;
+    for (let j = 0; j < 7; j++) {
+      if (r & 1) c |= 1n << BigInt((1 << j) - 1);
+      r = ((r << 1) ^ (r & 0x80 ? 0x71 : 0)) & 0xff;
+    }
+    constants.push(c);
+  }
+  return constants;
+})();
+
+const rotl = (x, n) => ((x << BigInt(n)) | (x >> BigInt(64 - n))) & MASK;
+
+function permute(s) {
+  const c = new Array(5);
+  for (let round = 0; round < 24; round++) {
+    for (let x = 0; x < 5; x++) c[x] = s[x] ^ s[x + 5] ^ s[x + 10] ^ s[x + 15] ^ s[x + 20];
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) s[x + y] ^= d;
+    }
+    let lane = s[1];
+    for (let i = 0; i < 24; i++) {
+      const next = s[PI_LANES[i]];
+      s[PI_LANES[i]] = rotl(lane, ROTATIONS[i]);
+      lane = next;
+    }
+    for (let y = 0; y < 25; y += 5) {
+      const row = s.slice(y, y + 5);
+      for (let x = 0; x < 5; x++) s[y + x] = row[x] ^ (~row[(x + 1) % 5] & MASK & row[(x + 2) % 5]);
+    }
+    s[0] ^= ROUND_CONSTANTS[round];
+  }
+}
+
+// Keccak-256 of a string (UTF-8) or byte array, as lowercase hex
+export function keccak256(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+  const padded = new Uint8Array((Math.floor(bytes.length / RATE) + 1) * RATE);
+  padded.set(bytes);
+  padded[bytes.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < padded.length; offset += RATE) {
+    for (let i = 0; i < RATE / 8; i++) {
+      let lane = 0n;
+      for (let b = 7; b >= 0; b--) lane = (lane << 8n) | BigInt(padded[offset + i * 8 + b]);
+      state[i] ^= lane;
+    }
+    permute(state);
+  }
+
+  let hex = '';
+  for (let i = 0; i < 4; i++) {
+    for (let b = 0; b < 8; b++) hex += Number((state[i] >> BigInt(b * 8)) & 0xffn).toString(16).padStart(2, '0');
+  }
+  return hex;
+}
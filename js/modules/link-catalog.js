@@ -0,0 +1,236 @@
+// Link Catalog Module
+// Social profiles, messengers and app stores in one table: how a handle, number or
+// app ID is written on each, how it is checked and the link it opens. Pasted profile
+// and store links are read back to the handle, so either can be entered.
+
+import { checkInternationalPhone, isHostname, normalizePhone } from './field-checks.js';
+
+const text = value => String(value ?? '').trim();
+const withoutAt = value => value.replace(/^@/, '');
+
+// The handle in a pasted link, or null; `map` turns the captured part into a handle
+const fromLink = (pattern, map = part => part) => value => {
+  const match = pattern.exec(value);
+  if (!match) return null;
+  try {
+    return map(decodeURIComponent(match[1]), match);
+  } catch {
+    return null;
+  }
+};
+
+const pattern = (regex, message) => handle => (regex.test(handle) ? '' : message);
+
+// A fediverse account such as @alice@mastodon.social
+function fediverseAccount(handle) {
+  const match = /^@?([A-Za-z0-9_]+(?:[.-]+[A-Za-z0-9_]+)*)@([^@\s/]+)$/.exec(handle);
+  return match && isHostname(match[2]) ? { user: match[1], instance: match[2].toLowerCase() } : null;
+}
+
+// Digits of an international number, for links that take no +
+const phoneDigits = handle => (normalizePhone(handle) || '').slice(1);
+
+// Instagram rules, which Threads shares: no dot at either end or twice in a row
+const INSTAGRAM_NAME = /^(?!\.)(?!.*\.\.)[A-Za-z0-9._]{1,30}(?<!\.)$/;
+const INSTAGRAM_MESSAGE = 'Instagram user names have up to 30 letters, digits, underscores and single dots';
+
+// Each entry:
+//   label, kind   'social', 'messenger' or 'app'
+//   example       shown under the input
+//   handle        value => the handle as links use it (default: without a leading @)
+//   profile       link => the handle it points to, or null
+//   check         handle => message, or '' when the handle is fine
+//   link          handle => web link; apps also have `deepLink` to the store app
+//   message       the link can carry a prefilled message
+export const LINK_CATALOG = {
+  facebook: {
+    label: 'Facebook',
+    kind: 'social',
+    example: 'e.g. nasa, or a facebook.com link',
+    profile: fromLink(/^(?:https?:\/\/)?(?:www\.|m\.)?(?:facebook|fb)\.com\/(?:profile\.php\?id=)?([^/?#&]+)/i),
+    check: pattern(/^(?:[A-Za-z0-9.]{5,50}|\d{5,20})$/, 'Facebook names have at least 5 letters, digits or dots'),
+    link: handle => `https://www.facebook.com/${handle}`
+  },
+  twitter: {
+    label: 'X (Twitter)',
+    kind: 'social',
+    example: 'e.g. @nasa, or an x.com link',
+    profile: fromLink(/^(?:https?:\/\/)?(?:www\.|mobile\.)?(?:x|twitter)\.com\/([^/?#]+)/i),
+    check: pattern(/^[A-Za-z0-9_]{1,15}$/, 'X user names have up to 15 letters, digits or underscores'),
+    link: handle => `https://x.com/${handle}`
+  },
+  instagram: {
+    label: 'Instagram',
+    kind: 'social',
+    example: 'e.g. @nasa, or an instagram.com link',
+    profile: fromLink(/^(?:https?:\/\/)?(?:www\.)?instagram\.com\/([^/?#]+)/i),
+    check: pattern(INSTAGRAM_NAME, INSTAGRAM_MESSAGE),
+    link: handle => `https://www.instagram.com/${handle}`
+  },
+  threads: {
+    label: 'Threads',
+    kind: 'social',
+    example: 'e.g. @nasa (the Instagram user name)',
+    profile: fromLink(/^(?:https?:\/\/)?(?:www\.)?threads\.(?:net|com)\/@([^/?#]+)/i),
+    check: pattern(INSTAGRAM_NAME, INSTAGRAM_MESSAGE),
+    link: handle => `https://www.threads.com/@${handle}`
+  },
+  mastodon: {
+    label: 'Mastodon / Fediverse',
+    kind: 'social',
+    example: 'e.g. @alice@mastodon.social; the link opens on the account\'s own server',
+    handle: value => value,
+    profile: fromLink(/^https?:\/\/([^/@]+)\/@([^/?#@]+)\/?$/i, (instance, match) => `@${match[2]}@${instance}`),
+    check: handle => (fediverseAccount(handle) ? '' : 'Write fediverse accounts as @user@server, e.g. @alice@mastodon.social'),
+    link: handle => {
+      const account = fediverseAccount(handle);
+      return account ? `https://${account.instance}/@${account.user}` : '';
+    }
+  },
+  bluesky: {
+    label: 'Bluesky',
+    kind: 'social',
+    example: 'e.g. alice.bsky.social or a handle on your own domain',
+    // A bare name is on the default bsky.social host
+    handle: value => {
+      const handle = withoutAt(value).toLowerCase();
+      return handle && !handle.includes('.') && !handle.startsWith('did:') ? `${handle}.bsky.social` : handle;
+    },
+    profile: fromLink(/^(?:https?:\/\/)?(?:www\.)?bsky\.app\/profile\/([^/?#]+)/i),
+    check: handle => (isHostname(handle) || /^did:(?:plc:[a-z2-7]{24}|web:[a-z0-9.-]+)$/.test(handle)
+      ? ''
+      : 'Bluesky handles are domain names, e.g. alice.bsky.social'),
+    link: handle => `https://bsky.app/profile/${handle}`
+  },
+  linkedin: {
+    label: 'LinkedIn',
+    kind: 'social',
+    example: 'e.g. jane-doe, the part after linkedin.com/in/',
+    profile: fromLink(/^(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/([^/?#]+)/i),
+    check: pattern(/^[\p{L}\p{N}-]{3,100}$/u, 'LinkedIn profile names have 3 to 100 letters, digits or hyphens'),
+    link: handle => `https://www.linkedin.com/in/${handle}`
+  },
+  youtube: {
+    label: 'YouTube',
+    kind: 'social',
+    example: 'e.g. @nasa, the channel handle',
+    profile: fromLink(/^(?:https?:\/\/)?(?:www\.|m\.)?youtube\.com\/@([^/?#]+)/i),
+    check: pattern(/^[A-Za-z0-9._-]{3,30}$/, 'YouTube handles have 3 to 30 letters, digits, dots, hyphens or underscores'),
+    link: handle => `https://www.youtube.com/@${handle}`
+  },
+  tiktok: {
+    label: 'TikTok',
+    kind: 'social',
+    example: 'e.g. @nasa',
+    profile: fromLink(/^(?:https?:\/\/)?(?:www\.)?tiktok\.com\/@([^/?#]+)/i),
+    check: pattern(/^[A-Za-z0-9._]{2,24}(?<!\.)$/, 'TikTok user names have 2 to 24 letters, digits, underscores or dots'),
+    link: handle => `https://www.tiktok.com/@${handle}`
+  },
+  github: {
+    label: 'GitHub',
+    kind: 'social',
+    example: 'e.g. octocat',
+    profile: fromLink(/^(?:https?:\/\/)?(?:www\.)?github\.com\/([^/?#]+)/i),
+    check: pattern(/^[A-Za-z0-9](?:-?[A-Za-z0-9]){0,38}$/, 'GitHub user names have up to 39 letters, digits or single hyphens, not at either end'),
+    link: handle => `https://github.com/${handle}`
+  },
+  whatsapp: {
+    label: 'WhatsApp',
+    kind: 'messenger',
+    example: 'The number with its country code, e.g. +44 20 7946 0958',
+    message: true,
+    handle: value => value,
+    profile: fromLink(/^(?:https?:\/\/)?(?:api\.)?wa\.me\/\+?(\d+)/i, digits => `+${digits}`),
+    check: checkInternationalPhone,
+    link: handle => `https://wa.me/${phoneDigits(handle)}`
+  },
+  telegram: {
+    label: 'Telegram',
+    kind: 'messenger',
+    example: 'e.g. @durov, or a number with its country code',
+    profile: fromLink(/^(?:https?:\/\/)?(?:t|telegram)\.me\/([^/?#]+)/i),
+    check: handle => (handle.startsWith('+')
+      ? checkInternationalPhone(handle)
+      : /^[A-Za-z][A-Za-z0-9_]{3,30}[A-Za-z0-9]$/.test(handle) ? '' : 'Telegram user names have 5 to 32 letters, digits or underscores and start with a letter'),
+    link: handle => `https://t.me/${handle.startsWith('+') ? `+${phoneDigits(handle)}` : handle}`
+  },
+  signal: {
+    label: 'Signal',
+    kind: 'messenger',
+    example: 'The number with its country code; Signal user names cannot be linked',
+    handle: value => value,
+    profile: fromLink(/^(?:https?:\/\/)?signal\.me\/#p\/(\+\d+)/i),
+    check: checkInternationalPhone,
+    link: handle => `https://signal.me/#p/${normalizePhone(handle) || ''}`
+  },
+  ios: {
+    label: 'iOS App Store',
+    kind: 'app',
+    example: 'The digits after "id" in the app\'s link, e.g. 389801252',
+    handle: value => value.replace(/^id/i, ''),
+    profile: fromLink(/^(?:https?:\/\/)?(?:itunes|apps)\.apple\.com\/.*?\bid(\d+)/i),
+    check: pattern(/^\d{6,12}$/, 'App Store IDs are the digits after "id" in the app\'s link'),
+    link: handle => `https://apps.apple.com/app/id${handle}`,
+    deepLink: handle => `itms-apps://apps.apple.com/app/id${handle}`
+  },
+  android: {
+    label: 'Google Play',
+    kind: 'app',
+    example: 'The package name, e.g. com.instagram.android',
+    profile: fromLink(/^(?:https?:\/\/)?play\.google\.com\/store\/apps\/details\?(?:.*&)?id=([^&#]+)/i),
+    check: pattern(/^[A-Za-z][A-Za-z0-9_]*(?:\.[A-Za-z][A-Za-z0-9_]*)+$/, 'Package names are dotted, like com.example.app'),
+    link: handle => `https://play.google.com/store/apps/details?id=${handle}`,
+    deepLink: handle => `market://details?id=${handle}`
+  },
+  windows: {
+    label: 'Microsoft Store',
+    kind: 'app',
+    example: 'The product ID, e.g. 9WZDNCRFHVJL',
+    handle: value => value.toUpperCase(),
+    profile: fromLink(/^(?:https?:\/\/)?(?:www\.|apps\.)?microsoft\.com\/\S*?\/([0-9A-Za-z]{12})(?=[/?#]|$)/i),
+    check: pattern(/^[0-9A-Z]{12}$/, 'Microsoft Store product IDs have 12 letters and digits'),
+    link: handle => `https://apps.microsoft.com/detail/${handle}`,
+    deepLink: handle => `ms-windows-store://pdp/?productid=${handle}`
+  },
+  amazon: {
+    label: 'Amazon Appstore',
+    kind: 'app',
+    example: 'The ASIN, e.g. B004SBYWTK',
+    handle: value => value.toUpperCase(),
+    profile: fromLink(/^(?:https?:\/\/)?(?:www\.)?amazon\.[a-z.]+\/(?:.*\/)?(?:dp|gp\/product)\/([A-Za-z0-9]{10})/i),
+    check: pattern(/^[0-9A-Z]{10}$/, 'Amazon ASINs have 10 letters and digits'),
+    link: handle => `https://www.amazon.com/dp/${handle}`,
+    deepLink: handle => `amzn://apps/android?asin=${handle}`
+  }
+};
+
+// [[id, label], ...] of the entries of these kinds, for a select
+export function catalogOptions(...kinds) {
+  return Object.entries(LINK_CATALOG)
+    .filter(([, entry]) => kinds.includes(entry.kind))
+    .map(([id, entry]) => [id, entry.label]);
+}
+
+// The handle of an entry as typed or as found in a pasted link
+export function readHandle(id, value) {
+  const entry = LINK_CATALOG[id];
+  const input = text(value);
+  if (!entry) return input;
+  const linked = entry.profile(input);
+  return (entry.handle || withoutAt)(linked == null ? input : linked);
+}
+
+export function checkHandle(id, value) {
+  const entry = LINK_CATALOG[id];
+  return entry ? entry.check(readHandle(id, value)) : '';
+}
+
+// The link an entry opens for a handle; `deep` prefers the store app's own link and
+// `message` is prefilled where the entry allows one
+export function buildLink(id, value, { deep = false, message = '' } = {}) {
+  const entry = LINK_CATALOG[id];
+  if (!entry) return '';
+  const handle = readHandle(id, value);
+  const link = deep && entry.deepLink ? entry.deepLink(handle) : entry.link(handle);
+  return entry.message && text(message) ? `${link}?text=${encodeURIComponent(text(message))}` : link;
+}
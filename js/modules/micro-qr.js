@@ -0,0 +1,208 @@
+// Micro QR Module
+// Micro QR symbols M1-M4 (ISO/IEC 18004 Annex): one finder pattern, timing along the
+// top and left edges and a single error correction block. M1 and M3 end their data
+// with a 4-bit codeword.
+
+import { segmentText } from './qr-encoder.js';
+import { MASKS, MODE, REGION } from './qr-spec.js';
+import { rsEncode } from './reed-solomon.js';
+
+export const MICRO_VERSIONS = [1, 2, 3, 4];
+export const microSize = version => version * 2 + 9;
+export const microName = version => `M${version}`;
+
+// Data bits and error correction codewords per version and level. M1 only detects errors.
+const CAPACITY = {
+  1: { L: [20, 2] },
+  2: { L: [40, 5], M: [32, 6] },
+  3: { L: [84, 6], M: [68, 8] },
+  4: { L: [128, 8], M: [112, 10], Q: [80, 14] }
+};
+
+// Symbol numbers encoded in the format information
+const SYMBOL_NUMBER = { '1L': 0, '2L': 1, '2M': 2, '3L': 3, '3M': 4, '4L': 5, '4M': 6, '4Q': 7 };
+
+// Micro QR masks 0-3 are QR masks 1, 4, 6 and 7
+const MICRO_MASKS = [1, 4, 6, 7].map(i => MASKS[i]);
+
+// Modes available per version, in mode indicator order
+const MODES = [MODE.NUMERIC, MODE.ALPHANUMERIC, MODE.BYTE, MODE.KANJI];
+const COUNT_BITS = {
+  [MODE.NUMERIC]: [3, 4, 5, 6],
+  [MODE.ALPHANUMERIC]: [0, 3, 4, 5],
+  [MODE.BYTE]: [0, 0, 4, 5],
+  [MODE.KANJI]: [0, 0, 3, 4]
+};
+
+export const microLevels = version => Object.keys(CAPACITY[version]);
+
+const modesFor = version => MODES.slice(0, version === 1 ? 1 : version === 2 ? 2 : 4);
+const headerBits = version => mode => version - 1 + COUNT_BITS[mode][version - 1];
+
+// Segments for the text at a version, or null if its modes cannot encode it
+export function microSegments(text, version, encoding = 'auto') {
+  return segmentText(text, modesFor(version), headerBits(version), encoding);
+}
+
+// Bits needed for the segments at a version, or Infinity if they cannot be encoded
+function bitLength(segments, version) {
+  if (!segments) return Infinity;
+  let bits = 0;
+  for (const s of segments) {
+    const countBits = COUNT_BITS[s.mode][version - 1];
+    if (s.count >= 2 ** countBits) return Infinity;
+    bits += version - 1 + countBits + s.chunks.reduce((sum, [, length]) => sum + length, 0);
+  }
+  return bits;
+}
+
+// Smallest version holding the text at a level, or 0 if none does
+export function fitMicroVersion(text, ec, { encoding = 'auto' } = {}) {
+  return MICRO_VERSIONS.find(version =>
+    CAPACITY[version][ec] && bitLength(microSegments(text, version, encoding), version) <= CAPACITY[version][ec][0]
+  ) || 0;
+}
+
+// Bytes used versus available at each level a version offers
+export function microCapacity(text, version, { encoding = 'auto' } = {}) {
+  const bits = bitLength(microSegments(text, version, encoding), version);
+  return microLevels(version).map(ec => {
+    const available = CAPACITY[version][ec][0];
+    return { ec, used: Math.ceil(bits / 8), available: Math.ceil(available / 8), fits: bits <= available };
+  });
+}
+
+export function microRegions(version) {
+  const size = microSize(version);
+  const regions = Array.from({ length: size }, () => new Uint8Array(size));
+  for (let r = 0; r <= 7; r++) {
+    for (let c = 0; c <= 7; c++) regions[r][c] = r < 7 && c < 7 ? REGION.FINDER : REGION.SEPARATOR;
+  }
+  for (let i = 8; i < size; i++) {
+    regions[0][i] = REGION.TIMING;
+    regions[i][0] = REGION.TIMING;
+  }
+  for (let i = 1; i <= 8; i++) {
+    regions[8][i] = REGION.FORMAT;
+    regions[i][8] = REGION.FORMAT;
+  }
+  return regions;
+}
+
+// Data module coordinates in bit order: two-column zigzag from the bottom right
+function moduleOrder(size, regions) {
+  const order = [];
+  for (let right = size - 1, pair = 0; right >= 1; right -= 2, pair++) {
+    for (let vert = 0; vert < size; vert++) {
+      const row = pair % 2 === 0 ? size - 1 - vert : vert;
+      for (let col = right; col > right - 2; col--) {
+        if (regions[row][col] === REGION.DATA) order.push([row, col]);
+      }
+    }
+  }
+  return order;
+}
+
+// 15-bit format information: symbol number and mask, BCH coded and masked
+function formatBits(version, ec, mask) {
+  const data = (SYMBOL_NUMBER[version + ec] << 2) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x4445;
+}
+
+// Data bit stream: segments, terminator, padding; M1 and M3 end on a 4-bit codeword
+function dataBits(segments, version, ec) {
+  const capacity = CAPACITY[version][ec][0];
+  const bits = [];
+  const put = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  segments.forEach(segment => {
+    put(MODES.indexOf(segment.mode), version - 1);
+    put(segment.count, COUNT_BITS[segment.mode][version - 1]);
+    segment.chunks.forEach(([value, length]) => put(value, length));
+  });
+  put(0, Math.min(version * 2 + 1, capacity - bits.length));
+
+  const fullBytes = capacity - capacity % 8;
+  if (bits.length < fullBytes) {
+    while (bits.length % 8) bits.push(0);
+    for (let i = 0; bits.length < fullBytes; i++) put(i % 2 ? 0x11 : 0xEC, 8);
+  }
+  while (bits.length < capacity) bits.push(0);
+  return bits;
+}
+
+// Encode text as a Micro QR symbol. `version` 0 (or 1-4) and `mask` -1 (or 0-3).
+export function encodeMicro(text, { ec = 'L', version = 0, mask = -1, encoding = 'auto' } = {}) {
+  if (version && !MICRO_VERSIONS.includes(version)) throw new Error(`Micro QR version must be M1 to M4, got ${version}`);
+  if (ec === 'H' || (version && !CAPACITY[version][ec])) {
+    const [name, levels] = version ? [microName(version), microLevels(version).join(', ')] : ['Micro QR', 'L, M and Q'];
+    throw new Error(`${name} supports error correction ${levels} only`);
+  }
+
+  const chosen = version || fitMicroVersion(text, ec, { encoding });
+  if (!chosen) throw new Error(`Content is too long for Micro QR at error correction level ${ec}`);
+  const segments = microSegments(text, chosen, encoding);
+  if (!segments) throw new Error(`Micro QR ${microName(chosen)} cannot encode these characters`);
+  const [capacity, ecCount] = CAPACITY[chosen][ec];
+  const needed = bitLength(segments, chosen);
+  if (needed > capacity) {
+    throw new Error(`Content needs ${Math.ceil(needed / 8)} bytes but ${microName(chosen)} holds ${Math.ceil(capacity / 8)} at level ${ec}`);
+  }
+
+  // Codewords for error correction; a trailing 4-bit codeword sits in the high nibble
+  const bits = dataBits(segments, chosen, ec);
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0) << Math.max(0, i + 8 - bits.length));
+  }
+  rsEncode(data, ecCount).forEach(byte => {
+    for (let i = 7; i >= 0; i--) bits.push((byte >>> i) & 1);
+  });
+
+  const size = microSize(chosen);
+  const regions = microRegions(chosen);
+  const base = Array.from({ length: size }, () => new Uint8Array(size));
+  for (let r = 0; r < 7; r++) {
+    for (let c = 0; c < 7; c++) base[r][c] = Math.max(Math.abs(r - 3), Math.abs(c - 3)) === 2 ? 0 : 1;
+  }
+  for (let i = 8; i < size; i++) {
+    base[0][i] = base[i][0] = i % 2 === 0 ? 1 : 0;
+  }
+  moduleOrder(size, regions).forEach(([r, c], i) => { base[r][c] = bits[i] || 0; });
+
+  // Score: modules along the right and bottom edges, the sparser edge weighted 16
+  let best = null;
+  const masks = mask >= 0 && mask <= 3 ? [mask] : [0, 1, 2, 3];
+  masks.forEach(m => {
+    const modules = base.map((row, r) => row.map((dark, c) =>
+      regions[r][c] === REGION.DATA && MICRO_MASKS[m](r, c) ? dark ^ 1 : dark
+    ));
+    // Format information, most significant bit first, along row 8 and up column 8
+    const format = formatBits(chosen, ec, m);
+    for (let i = 0; i < 15; i++) {
+      const [r, c] = i < 8 ? [8, i + 1] : [15 - i, 8];
+      modules[r][c] = (format >>> (14 - i)) & 1;
+    }
+
+    let right = 0;
+    let bottom = 0;
+    for (let i = 1; i < size; i++) {
+      right += modules[i][size - 1];
+      bottom += modules[size - 1][i];
+    }
+    const score = Math.min(right, bottom) * 16 + Math.max(right, bottom);
+    if (!best || score > best.score) best = { mask: m, modules, score };
+  });
+
+  return {
+    version: chosen,
+    ec,
+    mask: best.mask,
+    segments,
+    matrix: best.modules.map(row => Array.from(row, v => v === 1))
+  };
+}
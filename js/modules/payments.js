@@ -0,0 +1,260 @@
+// Payments Module
+// Payloads and field checks for payment codes: SEPA credit transfers (EPC069-12,
+// "GiroCode"), Swiss QR-bills, UPI and Ethereum (EIP-681). Builders and checks take
+// the form values without their template prefix, e.g. { iban, amount } for
+// 'epc-iban' and 'epc-amount'; checks return [{ field, message }] in the same naming.
+
+import { keccak256 } from './keccak.js';
+
+// Longest payload a GiroCode may hold, in bytes
+const EPC_MAX_BYTES = 331;
+const MAX_AMOUNT = 999999999.99;
+
+export const ETHEREUM_CHAINS = {
+  1: 'Ethereum',
+  10: 'Optimism',
+  137: 'Polygon',
+  8453: 'Base',
+  42161: 'Arbitrum One',
+  11155111: 'Sepolia (testnet)'
+};
+
+const compact = value => String(value || '').replace(/\s+/g, '').toUpperCase();
+const text = value => String(value || '').trim();
+const amountText = value => (value ? (+value).toFixed(2) : '');
+
+// ISO 7064 MOD 97-10 with letters counting as 10-35, as IBANs and RF references use
+function mod97(value) {
+  let rest = 0;
+  for (const char of value) {
+    const digit = parseInt(char, 36);
+    rest = (rest * (digit > 9 ? 100 : 10) + digit) % 97;
+  }
+  return rest;
+}
+
+export function isValidIBAN(value) {
+  const iban = compact(value);
+  return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban) && mod97(iban.slice(4) + iban.slice(0, 4)) === 1;
+}
+
+// ISO 11649 creditor reference: RF, two check digits and up to 21 characters
+export function isValidCreditorReference(value) {
+  const ref = compact(value);
+  return /^RF\d{2}[A-Z0-9]{1,21}$/.test(ref) && mod97(ref.slice(4) + ref.slice(0, 4)) === 1;
+}
+
+// Swiss QR reference: 27 digits, the last a recursive mod 10 check digit
+export function isValidQRReference(value) {
+  const ref = compact(value);
+  if (!/^\d{27}$/.test(ref)) return false;
+  const table = [0, 9, 4, 6, 8, 2, 7, 1, 3, 5];
+  let carry = 0;
+  for (const digit of ref.slice(0, 26)) carry = table[(carry + +digit) % 10];
+  return (10 - carry) % 10 === +ref[26];
+}
+
+// QR-IBANs carry an institution id of 30000-31999 and take QR references only
+export function isQRIBAN(value) {
+  const iid = +compact(value).slice(4, 9);
+  return iid >= 30000 && iid <= 31999;
+}
+
+function checkLength(problems, field, value, max, label) {
+  if (value && [...value].length > max) problems.push({ field, message: `${label} can be at most ${max} characters` });
+}
+
+function checkAmount(problems, value, max = MAX_AMOUNT) {
+  if (!value) return;
+  if (!/^\d+(\.\d{1,2})?$/.test(value)) {
+    problems.push({ field: 'amount', message: 'Enter the amount as a plain number with at most two decimals, e.g. 12.50' });
+  } else if (+value < 0.01 || +value > max) {
+    problems.push({ field: 'amount', message: `The amount must be between 0.01 and ${max}` });
+  }
+}
+
+function checkRequired(problems, field, value, label) {
+  if (!text(value)) problems.push({ field, message: `${label} is required` });
+}
+
+// SEPA credit transfer (EPC069-12 version 002); trailing empty lines are left out
+export function buildEPC(p) {
+  return [
+    'BCD', '002', '1', 'SCT',
+    compact(p.bic),
+    text(p.name),
+    compact(p.iban),
+    p.amount ? `EUR${amountText(p.amount)}` : '',
+    compact(p.purpose),
+    compact(p.reference),
+    p.reference ? '' : text(p.text),
+    text(p.info)
+  ].join('\n').replace(/\n+$/, '');
+}
+
+export function validateEPC(p) {
+  const problems = [];
+  checkRequired(problems, 'name', p.name, 'The beneficiary name');
+  checkLength(problems, 'name', text(p.name), 70, 'The beneficiary name');
+  if (!isValidIBAN(p.iban)) problems.push({ field: 'iban', message: 'Enter a valid IBAN (the check digits do not match)' });
+  if (p.bic && !/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(compact(p.bic))) {
+    problems.push({ field: 'bic', message: 'A BIC has 8 or 11 letters and digits' });
+  }
+  checkAmount(problems, p.amount);
+  if (p.purpose && !/^[A-Z]{4}$/.test(compact(p.purpose))) problems.push({ field: 'purpose', message: 'Purpose codes are 4 letters, e.g. GDDS' });
+  if (p.reference && !isValidCreditorReference(p.reference)) {
+    problems.push({ field: 'reference', message: 'Enter an RF creditor reference (ISO 11649), or use the text field instead' });
+  }
+  if (p.reference && p.text) problems.push({ field: 'text', message: 'Use either a reference or a text, not both' });
+  checkLength(problems, 'text', text(p.text), 140, 'The text');
+  checkLength(problems, 'info', text(p.info), 70, 'The note to the payer');
+  if (!problems.length && new TextEncoder().encode(buildEPC(p)).length > EPC_MAX_BYTES) {
+    problems.push({ field: 'text', message: `The payment holds more than ${EPC_MAX_BYTES} bytes; shorten the text` });
+  }
+  return problems;
+}
+
+const SWISS_ADDRESS = ['name', 'street', 'building', 'postal', 'town', 'country'];
+const SWISS_LIMITS = { name: 70, street: 70, building: 16, postal: 16, town: 35 };
+
+// A structured ('S') address, or seven empty lines when no part is given
+function swissAddress(p, prefix) {
+  const parts = SWISS_ADDRESS.map(key => text(p[prefix + key]));
+  parts[5] = parts[5].toUpperCase();
+  return parts.some(Boolean) ? ['S', ...parts] : new Array(7).fill('');
+}
+
+export function swissReferenceType(p) {
+  if (!text(p.reference)) return 'NON';
+  return isQRIBAN(p.iban) ? 'QRR' : 'SCOR';
+}
+
+// Swiss QR-bill (Swiss Payments Code 2.0) with creditor, optional debtor and reference
+export function buildSwissQR(p) {
+  return [
+    'SPC', '0200', '1',
+    compact(p.iban),
+    ...swissAddress(p, ''),
+    ...new Array(7).fill(''), // ultimate creditor, reserved for future use
+    amountText(p.amount),
+    p.currency || 'CHF',
+    ...swissAddress(p, 'debtor-'),
+    swissReferenceType(p),
+    compact(p.reference),
+    text(p.message),
+    'EPD'
+  ].join('\r\n');
+}
+
+function checkSwissAddress(problems, p, prefix, label) {
+  checkRequired(problems, `${prefix}name`, p[`${prefix}name`], `The ${label} name`);
+  checkRequired(problems, `${prefix}postal`, p[`${prefix}postal`], 'The postal code');
+  checkRequired(problems, `${prefix}town`, p[`${prefix}town`], 'The town');
+  Object.entries(SWISS_LIMITS).forEach(([key, max]) => {
+    checkLength(problems, prefix + key, text(p[prefix + key]), max, `The ${key === 'name' ? `${label} name` : key}`);
+  });
+  if (!/^[A-Z]{2}$/.test(compact(p[`${prefix}country`]))) {
+    problems.push({ field: `${prefix}country`, message: 'Enter a two-letter country code, e.g. CH' });
+  }
+}
+
+export function validateSwissQR(p) {
+  const problems = [];
+  const iban = compact(p.iban);
+  if (!isValidIBAN(iban) || !/^(CH|LI)/.test(iban)) {
+    problems.push({ field: 'iban', message: 'Enter a valid Swiss or Liechtenstein IBAN (CH or LI)' });
+  }
+  checkSwissAddress(problems, p, '', 'creditor');
+  if (SWISS_ADDRESS.some(key => text(p[`debtor-${key}`]))) checkSwissAddress(problems, p, 'debtor-', 'debtor');
+  checkAmount(problems, p.amount);
+  if (p.currency && !['CHF', 'EUR'].includes(p.currency)) problems.push({ field: 'currency', message: 'QR-bills are in CHF or EUR' });
+
+  if (isQRIBAN(iban)) {
+    if (!isValidQRReference(p.reference)) {
+      problems.push({ field: 'reference', message: 'A QR-IBAN needs a 27-digit QR reference with a valid check digit' });
+    }
+  } else if (p.reference && !isValidCreditorReference(p.reference)) {
+    problems.push({ field: 'reference', message: 'With a regular IBAN the reference must be an RF creditor reference (ISO 11649)' });
+  }
+  checkLength(problems, 'message', text(p.message), 140, 'The message');
+  return problems;
+}
+
+// UPI deep link (NPCI linking specification)
+export function buildUPI(p) {
+  const params = [`pa=${text(p.vpa)}`];
+  if (p.name) params.push(`pn=${encodeURIComponent(text(p.name))}`);
+  if (p.amount) params.push(`am=${amountText(p.amount)}`);
+  params.push('cu=INR');
+  if (p.note) params.push(`tn=${encodeURIComponent(text(p.note))}`);
+  if (p.reference) params.push(`tr=${encodeURIComponent(text(p.reference))}`);
+  return `upi://pay?${params.join('&')}`;
+}
+
+export function validateUPI(p) {
+  const problems = [];
+  if (!/^[A-Za-z0-9._-]{2,256}@[A-Za-z][A-Za-z0-9.-]{1,63}$/.test(text(p.vpa))) {
+    problems.push({ field: 'vpa', message: 'Enter a UPI ID such as name@bank' });
+  }
+  checkRequired(problems, 'name', p.name, 'The payee name');
+  checkAmount(problems, p.amount);
+  if (p.reference && !/^[A-Za-z0-9]{1,35}$/.test(text(p.reference))) {
+    problems.push({ field: 'reference', message: 'References are up to 35 letters and digits' });
+  }
+  return problems;
+}
+
+// EIP-55 mixed-case checksum form of a 0x address
+export function toChecksumAddress(address) {
+  const hex = address.slice(2).toLowerCase();
+  const hash = keccak256(hex);
+  return '0x' + [...hex].map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('');
+}
+
+// Addresses in one case carry no checksum; mixed case must match EIP-55
+export function isValidAddress(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return false;
+  const hex = address.slice(2);
+  return hex === hex.toLowerCase() || hex === hex.toUpperCase() || toChecksumAddress(address) === address;
+}
+
+// Decimal amount in the token's smallest unit, without floating point rounding
+function toBaseUnits(amount, decimals) {
+  const [whole, fraction = ''] = amount.split('.');
+  return BigInt(whole + fraction.padEnd(decimals, '0')).toString();
+}
+
+// EIP-681 request: a plain ether transfer, or an ERC-20 transfer() when a token is given
+export function buildEIP681(p) {
+  const address = text(p.address);
+  const token = text(p.token);
+  const chain = p.chain && String(p.chain) !== '1' ? `@${p.chain}` : '';
+  const decimals = token ? parseInt(p.decimals, 10) || 0 : 18;
+  const units = /^\d+(\.\d+)?$/.test(text(p.amount)) ? toBaseUnits(text(p.amount), decimals) : '';
+  const checksum = value => (isValidAddress(value) ? toChecksumAddress(value) : value);
+
+  if (token) {
+    return `ethereum:${checksum(token)}${chain}/transfer?address=${checksum(address)}${units ? `&uint256=${units}` : ''}`;
+  }
+  return `ethereum:${checksum(address)}${chain}${units ? `?value=${units}` : ''}`;
+}
+
+export function validateEIP681(p) {
+  const problems = [];
+  const checkAddress = (field, value) => {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(value)) problems.push({ field, message: 'Enter a 0x address of 40 hex digits' });
+    else if (!isValidAddress(value)) problems.push({ field, message: 'The address checksum does not match; check it for typos' });
+  };
+  checkAddress('address', text(p.address));
+  if (text(p.token)) checkAddress('token', text(p.token));
+
+  const decimals = text(p.token) ? parseInt(p.decimals, 10) : 18;
+  if (text(p.token) && !(decimals >= 0 && decimals <= 36)) problems.push({ field: 'decimals', message: 'Token decimals are a whole number from 0 to 36' });
+  const amount = text(p.amount);
+  if (amount && !/^\d+(\.\d+)?$/.test(amount)) {
+    problems.push({ field: 'amount', message: 'Enter the amount as a plain number, e.g. 0.05' });
+  } else if (amount && (amount.split('.')[1] || '').length > decimals) {
+    problems.push({ field: 'amount', message: `This token has only ${decimals} decimals` });
+  }
+  return problems;
+}
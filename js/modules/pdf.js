@@ -0,0 +1,168 @@
+// PDF Export Module
+// Writes a single-page vector PDF of a QR layout at an exact physical size, for print.
+// Modules are drawn from the same paths as the canvas and SVG renderers.
+
+const POINTS_PER_UNIT = { mm: 72 / 25.4, in: 72 };
+const MARK_LENGTH = 5 * POINTS_PER_UNIT.mm;
+const MARK_GAP = 2 * POINTS_PER_UNIT.mm;
+const MARK_WIDTH = 0.25;
+
+const encoder = new TextEncoder();
+const num = n => String(+n.toFixed(3));
+
+function rgb(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff].map(c => num(c / 255)).join(' ');
+}
+
+function pathOps(path) {
+  return path.map(([op, ...args]) => {
+    const coords = args.map(num).join(' ');
+    if (op === 'M') return `${coords} m`;
+    if (op === 'L') return `${coords} l`;
+    if (op === 'C') return `${coords} c`;
+    return 'h';
+  }).join('\n');
+}
+
+// zlib-compress a stream when the platform supports it; PDF readers accept either form
+async function compress(bytes) {
+  if (typeof CompressionStream !== 'function') return { data: bytes, filter: '' };
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return { data: new Uint8Array(await new Response(stream).arrayBuffer()), filter: '/Filter /FlateDecode ' };
+}
+
+// Split RGBA pixels into an RGB image and, when any pixel is see-through, an alpha mask
+function splitPixels({ width, height, data }) {
+  const color = new Uint8Array(width * height * 3);
+  const alpha = new Uint8Array(width * height);
+  let transparent = false;
+  for (let i = 0; i < width * height; i++) {
+    color[i * 3] = data[i * 4];
+    color[i * 3 + 1] = data[i * 4 + 1];
+    color[i * 3 + 2] = data[i * 4 + 2];
+    alpha[i] = data[i * 4 + 3];
+    if (alpha[i] < 255) transparent = true;
+  }
+  return { color, alpha: transparent ? alpha : null };
+}
+
+// Shading dictionary for a gradient paint; stops are joined with a stitching function
+function shading(paint) {
+  const ramp = (a, b) => `<< /FunctionType 2 /Domain [0 1] /C0 [${rgb(a.color)}] /C1 [${rgb(b.color)}] /N 1 >>`;
+  const pairs = paint.stops.slice(1).map((stop, i) => ramp(paint.stops[i], stop));
+  const fn = pairs.length === 1 ? pairs[0] :
+    `<< /FunctionType 3 /Domain [0 1] /Functions [${pairs.join(' ')}] ` +
+    `/Bounds [${paint.stops.slice(1, -1).map(s => num(s.offset)).join(' ')}] /Encode [${pairs.map(() => '0 1').join(' ')}] >>`;
+  const coords = paint.type === 'radial'
+    ? `/ShadingType 3 /Coords [${[paint.cx, paint.cy, 0, paint.cx, paint.cy, paint.r].map(num).join(' ')}]`
+    : `/ShadingType 2 /Coords [${[paint.x1, paint.y1, paint.x2, paint.y2].map(num).join(' ')}]`;
+  return `<< ${coords} /ColorSpace /DeviceRGB /Function ${fn} /Extend [true true] >>`;
+}
+
+function cropMarks(trimX, trimY, trimWidth, trimHeight, offset) {
+  const lines = [];
+  [trimX, trimX + trimWidth].forEach((x, i) => {
+    [trimY, trimY + trimHeight].forEach((y, j) => {
+      const dx = i ? 1 : -1;
+      const dy = j ? 1 : -1;
+      lines.push(`${num(x + dx * offset)} ${num(y)} m ${num(x + dx * (offset + MARK_LENGTH))} ${num(y)} l`);
+      lines.push(`${num(x)} ${num(y + dy * offset)} m ${num(x)} ${num(y + dy * (offset + MARK_LENGTH))} l`);
+    });
+  });
+  // Registration color so the marks print on every plate
+  return `q ${MARK_WIDTH} w 1 1 1 1 K\n${lines.join('\n')}\nS Q`;
+}
+
+// Build the PDF. `paints` maps the layout's paint names to hex colors or gradients,
+// `size` (the width; the height follows the layout) and `bleed` are in `unit` (mm or in)
+// and `logo` is RGBA image data.
+export async function createPDF(layout, { paints, size, unit = 'mm', bleed = 0, cropMarks: marks = false, logo = null }) {
+  const k = POINTS_PER_UNIT[unit];
+  if (!k) throw new Error(`Unknown unit: ${unit}`);
+  if (!(size > 0)) throw new Error('Print size must be greater than zero');
+
+  const trim = size * k;
+  const scale = trim / layout.width;
+  const trimHeight = layout.height * scale;
+  const bleedPt = Math.max(0, bleed) * k;
+  const slug = bleedPt + (marks ? MARK_GAP + MARK_LENGTH : 0);
+
+  const content = ['q'];
+  if (bleedPt > 0) {
+    content.push(`${rgb(paints.bg)} rg`, `${num(slug - bleedPt)} ${num(slug - bleedPt)} ${num(trim + bleedPt * 2)} ${num(trimHeight + bleedPt * 2)} re f`);
+  }
+  // Flip to the layout's top-left origin so paths are used unchanged
+  content.push(`${num(scale)} 0 0 ${num(-scale)} ${num(slug)} ${num(slug + trimHeight)} cm`);
+  // Gradients are painted by clipping to the layer's path
+  const shadings = new Map();
+  layout.layers.forEach(layer => {
+    if (layer.image) {
+      if (!logo) return;
+      const { x, y, width, height } = layout.logo;
+      content.push(`q ${num(width)} 0 0 ${num(-height)} ${num(x)} ${num(y + height)} cm /Logo Do Q`);
+      return;
+    }
+    if (!layer.path.length) return;
+    const paint = paints[layer.paint];
+    const evenOdd = layer.fillRule === 'evenodd';
+    if (typeof paint === 'string') {
+      content.push(`${rgb(paint)} rg`, pathOps(layer.path), evenOdd ? 'f*' : 'f');
+      return;
+    }
+    if (!shadings.has(paint)) shadings.set(paint, `Sh${shadings.size}`);
+    content.push('q', pathOps(layer.path), `${evenOdd ? 'W*' : 'W'} n /${shadings.get(paint)} sh Q`);
+  });
+  content.push('Q');
+  if (marks) content.push(cropMarks(slug, slug, trim, trimHeight, bleedPt + MARK_GAP));
+
+  // Objects 1-4 are fixed; the logo image and its mask follow
+  const objects = [];
+  // Box around the trim area grown by `grow` on every side
+  const box = grow => `[${num(slug - grow)} ${num(slug - grow)} ${num(slug + trim + grow)} ${num(slug + trimHeight + grow)}]`;
+  const stream = async (dict, bytes) => {
+    const { data, filter } = await compress(bytes);
+    return [encoder.encode(`<< ${dict} ${filter}/Length ${data.length} >>\nstream\n`), data, encoder.encode('\nendstream')];
+  };
+
+  let resources = shadings.size
+    ? `/Shading << ${Array.from(shadings, ([paint, name]) => `/${name} ${shading(paint)}`).join(' ')} >> `
+    : '';
+  const imageObjects = [];
+  if (layout.logo && logo) {
+    const { color, alpha } = splitPixels(logo);
+    const image = `/Type /XObject /Subtype /Image /Width ${logo.width} /Height ${logo.height} /BitsPerComponent 8`;
+    imageObjects.push(await stream(`${image} /ColorSpace /DeviceRGB${alpha ? ' /SMask 6 0 R' : ''}`, color));
+    if (alpha) imageObjects.push(await stream(`${image} /ColorSpace /DeviceGray`, alpha));
+    resources += '/XObject << /Logo 5 0 R >>';
+  }
+
+  objects.push([encoder.encode('<< /Type /Catalog /Pages 2 0 R >>')]);
+  objects.push([encoder.encode('<< /Type /Pages /Kids [3 0 R] /Count 1 >>')]);
+  objects.push([encoder.encode(
+    `<< /Type /Page /Parent 2 0 R /MediaBox ${box(slug)} ` +
+    `/BleedBox ${box(bleedPt)} /TrimBox ${box(0)} ` +
+    `/Resources << ${resources} >> /Contents 4 0 R >>`
+  )]);
+  objects.push(await stream('', encoder.encode(content.join('\n'))));
+  objects.push(...imageObjects);
+
+  const chunks = [encoder.encode('%PDF-1.4\n'), new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])];
+  let length = chunks.reduce((sum, c) => sum + c.length, 0);
+  const offsets = objects.map((parts, i) => {
+    const offset = length;
+    [encoder.encode(`${i + 1} 0 obj\n`), ...parts, encoder.encode('\nendobj\n')].forEach(part => {
+      chunks.push(part);
+      length += part.length;
+    });
+    return offset;
+  });
+
+  const xref = offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  chunks.push(encoder.encode(
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${xref}` +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`
+  ));
+
+  return new Blob(chunks, { type: 'application/pdf' });
+}
@@ -0,0 +1,248 @@
+// Presets Module
+// Saves named design presets in local browser storage, with JSON import/export
+
+import { escapeHtml } from './html.js';
+
+const STORAGE_KEY = 'qr-generator-presets';
+const FILE_TYPE = 'qr-generator-presets';
+const MAX_NAME_LENGTH = 50;
+
+// Presets are kept by name in objects without a prototype and looked up with
+// Object.hasOwn, so names such as "__proto__" or "toString" are ordinary presets
+const emptyStore = () => ({ presets: Object.create(null), defaultPreset: null });
+
+// Keep only the given design keys and a valid image data URL
+export function sanitizePreset(preset, designKeys) {
+  if (!preset || typeof preset.design !== 'object' || !preset.design) return null;
+  const design = {};
+  designKeys.forEach(key => {
+    if (!Object.hasOwn(preset.design, key)) return;
+    const value = preset.design[key];
+    if (typeof value === 'string' || typeof value === 'number') design[key] = value;
+  });
+  const clean = { design };
+  if (typeof preset.logo === 'string' && preset.logo.startsWith('data:image/')) clean.logo = preset.logo;
+  return clean;
+}
+
+// Saved presets and the default from their localStorage JSON; invalid entries are dropped
+export function parseStore(json, designKeys) {
+  const store = emptyStore();
+  const saved = JSON.parse(json);
+  if (!saved || typeof saved.presets !== 'object' || !saved.presets) return store;
+  Object.entries(saved.presets).forEach(([name, preset]) => {
+    const clean = sanitizePreset(preset, designKeys);
+    if (clean) store.presets[name] = clean;
+  });
+  if (typeof saved.defaultPreset === 'string' && Object.hasOwn(store.presets, saved.defaultPreset)) {
+    store.defaultPreset = saved.defaultPreset;
+  }
+  return store;
+}
+
+// Presets of an exported file by name; a later entry replaces an earlier one of the same name
+export function parsePresetFile(text, designKeys) {
+  const data = JSON.parse(text);
+  if (!data || data.type !== FILE_TYPE || !Array.isArray(data.presets)) {
+    throw new Error('not a preset file');
+  }
+
+  const presets = Object.create(null);
+  data.presets.forEach(entry => {
+    const name = typeof entry?.name === 'string' ? entry.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    const clean = sanitizePreset(entry, designKeys);
+    if (name && clean) presets[name] = clean;
+  });
+  if (!Object.keys(presets).length) throw new Error('no valid presets found');
+  return presets;
+}
+
+export class PresetManager {
+  constructor({ getDesign, applyDesign, getLogo, setLogo, showStatus }) {
+    this.getDesign = getDesign;
+    this.applyDesign = applyDesign;
+    this.getLogo = getLogo;
+    this.setLogo = setLogo;
+    this.showStatus = showStatus;
+
+    this.select = document.getElementById('preset-select');
+    this.nameInput = document.getElementById('preset-name');
+    this.includeLogo = document.getElementById('preset-include-logo');
+    this.importInput = document.getElementById('preset-import');
+    this.buttons = {
+      apply: document.getElementById('preset-apply'),
+      save: document.getElementById('preset-save'),
+      remove: document.getElementById('preset-delete'),
+      makeDefault: document.getElementById('preset-default'),
+      exportAll: document.getElementById('preset-export')
+    };
+    this.store = emptyStore();
+
+    if (!this.select || !this.nameInput || !this.importInput || Object.values(this.buttons).some(b => !b)) {
+      console.error('PresetManager: Required elements not found');
+      return;
+    }
+
+    this.init();
+  }
+
+  init() {
+    this.load();
+    this.render();
+
+    this.buttons.apply.addEventListener('click', () => this.apply(this.select.value));
+    this.buttons.save.addEventListener('click', () => this.save(this.nameInput.value));
+    this.buttons.remove.addEventListener('click', () => this.remove(this.select.value));
+    this.buttons.makeDefault.addEventListener('click', () => this.toggleDefault(this.select.value));
+    this.buttons.exportAll.addEventListener('click', () => this.exportFile());
+    this.importInput.addEventListener('change', () => this.importFile(this.importInput.files[0]));
+    this.select.addEventListener('change', () => this.updateButtons());
+    this.nameInput.addEventListener('keydown', e => {
+      if (e.key === 'Enter') this.save(this.nameInput.value);
+    });
+  }
+
+  load() {
+    try {
+      this.store = parseStore(localStorage.getItem(STORAGE_KEY), Object.keys(this.getDesign()));
+    } catch {
+      // Corrupt storage: start with no presets
+    }
+  }
+
+  persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.store));
+      return true;
+    } catch {
+      this.showStatus('<i class="bi bi-exclamation-triangle"></i> Browser storage is full. Try saving without the logo.', 'error');
+      this.load();
+      return false;
+    }
+  }
+
+  has(name) {
+    return Object.hasOwn(this.store.presets, name);
+  }
+
+  render() {
+    const names = Object.keys(this.store.presets).sort((a, b) => a.localeCompare(b));
+    const selected = this.select.value;
+
+    this.select.innerHTML = '';
+    if (!names.length) {
+      const empty = new Option('No saved presets', '');
+      empty.disabled = true;
+      this.select.add(empty);
+    }
+    names.forEach(name => {
+      const isDefault = name === this.store.defaultPreset;
+      this.select.add(new Option(isDefault ? `${name} (default)` : name, name));
+    });
+    if (names.includes(selected)) this.select.value = selected;
+
+    this.updateButtons();
+  }
+
+  updateButtons() {
+    const name = this.select.value;
+    const exists = this.has(name);
+    this.buttons.apply.disabled = !exists;
+    this.buttons.remove.disabled = !exists;
+    this.buttons.makeDefault.disabled = !exists;
+    this.buttons.exportAll.disabled = !Object.keys(this.store.presets).length;
+
+    const isDefault = exists && name === this.store.defaultPreset;
+    this.buttons.makeDefault.innerHTML = `<i class="bi bi-star${isDefault ? '-fill' : ''}" aria-hidden="true"></i>`;
+    this.buttons.makeDefault.setAttribute('aria-pressed', String(isDefault));
+    this.buttons.makeDefault.title = isDefault ? 'Stop using as default for Clear All' : 'Use as default for Clear All';
+  }
+
+  save(rawName) {
+    const name = rawName.trim().slice(0, MAX_NAME_LENGTH);
+    if (!name) {
+      this.showStatus('Enter a name for the preset', 'error');
+      this.nameInput.focus();
+      return;
+    }
+
+    const preset = { design: this.getDesign() };
+    const logo = this.getLogo();
+    if (this.includeLogo?.checked && logo) preset.logo = logo;
+
+    const previous = this.has(name) ? this.store.presets[name] : null;
+    this.store.presets[name] = preset;
+    if (!this.persist()) {
+      if (previous) this.store.presets[name] = previous;
+      return;
+    }
+
+    this.nameInput.value = '';
+    this.render();
+    this.select.value = name;
+    this.updateButtons();
+    this.showStatus(`<i class="bi bi-bookmark-check"></i> Preset "${escapeHtml(name)}" saved`, 'success', 2000);
+  }
+
+  apply(name) {
+    if (!this.has(name)) return;
+    this.applyPreset(this.store.presets[name]);
+    this.showStatus(`<i class="bi bi-bookmark-check"></i> Preset "${escapeHtml(name)}" applied`, 'success', 2000);
+  }
+
+  applyPreset(preset) {
+    if (preset.logo) this.setLogo(preset.logo);
+    this.applyDesign(preset.design);
+  }
+
+  remove(name) {
+    if (!this.has(name)) return;
+    delete this.store.presets[name];
+    if (this.store.defaultPreset === name) this.store.defaultPreset = null;
+    this.persist();
+    this.render();
+    this.showStatus(`<i class="bi bi-trash"></i> Preset "${escapeHtml(name)}" deleted`, 'success', 2000);
+  }
+
+  toggleDefault(name) {
+    if (!this.has(name)) return;
+    this.store.defaultPreset = this.store.defaultPreset === name ? null : name;
+    this.persist();
+    this.render();
+  }
+
+  // Preset used by Clear All, or null for the built-in defaults
+  getDefault() {
+    const name = this.store.defaultPreset;
+    return name !== null && this.has(name) ? this.store.presets[name] : null;
+  }
+
+  exportFile() {
+    const presets = Object.entries(this.store.presets).map(([name, preset]) => ({ name, ...preset }));
+    if (!presets.length) return;
+
+    const data = { type: FILE_TYPE, version: 1, presets };
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    link.download = `qr-presets-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  async importFile(file) {
+    if (!file) return;
+    this.importInput.value = '';
+
+    try {
+      const presets = parsePresetFile(await file.text(), Object.keys(this.getDesign()));
+      const imported = Object.keys(presets).length;
+      Object.assign(this.store.presets, presets);
+      if (!this.persist()) return;
+
+      this.render();
+      this.showStatus(`<i class="bi bi-box-arrow-in-down"></i> Imported ${imported} preset${imported !== 1 ? 's' : ''}`, 'success', 2000);
+    } catch (err) {
+      this.showStatus(`<i class="bi bi-exclamation-triangle"></i> Import failed: ${escapeHtml(err.message)}`, 'error');
+    }
+  }
+}
@@ -0,0 +1,461 @@
+// QR Decoder Module
+// Reads rendered QR symbols back from pixels so output can be verified locally
+
+import {
+  ALPHANUMERIC_CHARSET, EC_LEVELS, MASKS, MODE,
+  charCountBits, codewordBlocks, blockLayout, dataModuleOrder, formatBits,
+  formatPositions, functionRegions, symbolSize, versionBits, versionPositions
+} from './qr-spec.js';
+import { rsDecode } from './reed-solomon.js';
+
+// Minimum difference between the dark and light luminance clusters (0-255),
+// roughly the 40% symbol contrast floor of ISO/IEC 15415 grade C. Codes below
+// this decode from a perfect render but are routinely missed by phone cameras.
+const MIN_CONTRAST = 102;
+
+// ECI assignment numbers mapped to TextDecoder labels
+const ECI_CHARSETS = {
+  1: 'iso-8859-1', 3: 'iso-8859-1', 4: 'iso-8859-2', 5: 'iso-8859-3', 6: 'iso-8859-4',
+  7: 'iso-8859-5', 8: 'iso-8859-6', 9: 'iso-8859-7', 10: 'iso-8859-8', 11: 'windows-874',
+  13: 'iso-8859-11', 15: 'iso-8859-13', 16: 'iso-8859-14', 17: 'iso-8859-15',
+  18: 'iso-8859-16', 20: 'shift_jis', 21: 'windows-1250', 22: 'windows-1251',
+  23: 'windows-1252', 24: 'windows-1256', 25: 'utf-16be', 26: 'utf-8', 27: 'us-ascii',
+  28: 'big5', 29: 'gb18030', 30: 'euc-kr'
+};
+
+// Luminance of every pixel, with transparency composited over white
+function toLuminance({ data, width, height }) {
+  const lum = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < lum.length; i++, p += 4) {
+    const alpha = data[p + 3] / 255;
+    const value = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+    lum[i] = Math.round(value * alpha + 255 * (1 - alpha));
+  }
+  return lum;
+}
+
+// Global Otsu threshold; returns 1 for dark pixels
+function binarize(lum) {
+  const histogram = new Array(256).fill(0);
+  lum.forEach(v => histogram[v]++);
+
+  const total = lum.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumDark = 0;
+  let weightDark = 0;
+  let best = { variance: -1, threshold: 127, darkMean: 0, lightMean: 255 };
+  for (let t = 0; t < 256; t++) {
+    weightDark += histogram[t];
+    if (!weightDark) continue;
+    const weightLight = total - weightDark;
+    if (!weightLight) break;
+    sumDark += t * histogram[t];
+    const darkMean = sumDark / weightDark;
+    const lightMean = (sum - sumDark) / weightLight;
+    const variance = weightDark * weightLight * (darkMean - lightMean) ** 2;
+    if (variance > best.variance) best = { variance, threshold: t, darkMean, lightMean };
+  }
+
+  if (best.lightMean - best.darkMean < MIN_CONTRAST) {
+    throw new Error('Contrast between foreground and background is too low');
+  }
+
+  const bits = new Uint8Array(total);
+  for (let i = 0; i < total; i++) bits[i] = lum[i] <= best.threshold ? 1 : 0;
+  return bits;
+}
+
+// Check run lengths against the 1:1:3:1:1 finder pattern ratio
+function isFinderRatio(runs) {
+  const total = runs.reduce((a, b) => a + b, 0);
+  if (total < 7) return false;
+  const unit = total / 7;
+  const variance = unit / 2;
+  return Math.abs(unit - runs[0]) < variance &&
+    Math.abs(unit - runs[1]) < variance &&
+    Math.abs(3 * unit - runs[2]) < 3 * variance &&
+    Math.abs(unit - runs[3]) < variance &&
+    Math.abs(unit - runs[4]) < variance;
+}
+
+// Measure the five runs through (x, y) along one axis; returns the refined center or null
+function crossCheck(image, x, y, dx, dy) {
+  const { bits, width, height } = image;
+  const at = (px, py) => px >= 0 && py >= 0 && px < width && py < height ? bits[py * width + px] : -1;
+  if (at(x, y) !== 1) return null;
+
+  const runs = [0, 0, 0, 0, 0];
+  let px = x;
+  let py = y;
+  // Walk backwards through the center, the light ring and the outer dark ring
+  for (const [index, color] of [[2, 1], [1, 0], [0, 1]]) {
+    while (at(px, py) === color) {
+      runs[index]++;
+      px -= dx;
+      py -= dy;
+    }
+    if (!runs[index]) return null;
+  }
+  const start = dx ? px + 1 : py + 1;
+
+  px = x + dx;
+  py = y + dy;
+  for (const [index, color] of [[2, 1], [3, 0], [4, 1]]) {
+    while (at(px, py) === color) {
+      runs[index]++;
+      px += dx;
+      py += dy;
+    }
+    if (!runs[index]) return null;
+  }
+
+  if (!isFinderRatio(runs)) return null;
+  return {
+    center: start + runs[0] + runs[1] + runs[2] / 2,
+    unit: runs.reduce((a, b) => a + b, 0) / 7
+  };
+}
+
+function findFinderCandidates(image) {
+  const { bits, width, height } = image;
+  const candidates = [];
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    const runs = [];
+    let start = 0;
+    for (let x = 1; x <= width; x++) {
+      if (x === width || bits[row + x] !== bits[row + start]) {
+        runs.push({ start, length: x - start, dark: bits[row + start] === 1 });
+        start = x;
+      }
+    }
+
+    for (let i = 0; i + 4 < runs.length; i++) {
+      if (!runs[i].dark) continue;
+      const window = runs.slice(i, i + 5);
+      if (!isFinderRatio(window.map(r => r.length))) continue;
+
+      const cx = Math.floor(window[2].start + window[2].length / 2);
+      const vertical = crossCheck(image, cx, y, 0, 1);
+      if (!vertical) continue;
+      const cy = Math.floor(vertical.center);
+      const horizontal = crossCheck(image, cx, cy, 1, 0);
+      if (!horizontal) continue;
+
+      const candidate = {
+        x: horizontal.center,
+        y: vertical.center,
+        unit: (horizontal.unit + vertical.unit) / 2,
+        hits: 1
+      };
+      const existing = candidates.find(c =>
+        Math.hypot(c.x - candidate.x, c.y - candidate.y) < c.unit * 2 &&
+        Math.abs(c.unit - candidate.unit) < c.unit * 0.5
+      );
+      if (existing) {
+        existing.x = (existing.x * existing.hits + candidate.x) / (existing.hits + 1);
+        existing.y = (existing.y * existing.hits + candidate.y) / (existing.hits + 1);
+        existing.unit = (existing.unit * existing.hits + candidate.unit) / (existing.hits + 1);
+        existing.hits++;
+      } else {
+        candidates.push(candidate);
+      }
+    }
+  }
+
+  return candidates.filter(c => c.hits >= 2).sort((a, b) => b.hits - a.hits).slice(0, 8);
+}
+
+// Pick the three candidates that best form a right isosceles triangle
+function selectFinders(candidates) {
+  let best = null;
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      for (let k = j + 1; k < candidates.length; k++) {
+        const trio = [candidates[i], candidates[j], candidates[k]];
+        const units = trio.map(c => c.unit);
+        if (Math.max(...units) > Math.min(...units) * 1.5) continue;
+
+        // The corner finder sits opposite the longest side
+        const sides = [0, 1, 2].map(n => {
+          const a = trio[(n + 1) % 3];
+          const b = trio[(n + 2) % 3];
+          return Math.hypot(a.x - b.x, a.y - b.y);
+        });
+        const corner = sides.indexOf(Math.max(...sides));
+        const legs = sides.filter((_, n) => n !== corner);
+        const error = Math.abs(legs[0] - legs[1]) / Math.max(...legs) +
+          Math.abs(sides[corner] - Math.hypot(legs[0], legs[1])) / sides[corner];
+        if (error > 0.2 || (best && best.error <= error)) continue;
+
+        const topLeft = trio[corner];
+        let [a, b] = trio.filter((_, n) => n !== corner);
+        const cross = (a.x - topLeft.x) * (b.y - topLeft.y) - (a.y - topLeft.y) * (b.x - topLeft.x);
+        if (cross < 0) [a, b] = [b, a];
+        best = { error, topLeft, topRight: a, bottomLeft: b };
+      }
+    }
+  }
+  if (!best) throw new Error('Could not locate the three finder patterns');
+  return best;
+}
+
+// Sample the module grid for a given symbol size using the finder centers
+function sampleGrid(image, finders, size) {
+  const { bits, width, height } = image;
+  const { topLeft, topRight, bottomLeft } = finders;
+  const span = size - 7;
+  const grid = Array.from({ length: size }, () => new Uint8Array(size));
+
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const u = (c + 0.5 - 3.5) / span;
+      const v = (r + 0.5 - 3.5) / span;
+      const x = Math.floor(topLeft.x + u * (topRight.x - topLeft.x) + v * (bottomLeft.x - topLeft.x));
+      const y = Math.floor(topLeft.y + u * (topRight.y - topLeft.y) + v * (bottomLeft.y - topLeft.y));
+      if (x < 0 || y < 0 || x >= width || y >= height) {
+        throw new Error('Symbol extends beyond the image');
+      }
+      grid[r][c] = bits[y * width + x];
+    }
+  }
+  return grid;
+}
+
+function hamming(a, b) {
+  let x = a ^ b;
+  let count = 0;
+  while (x) {
+    count += x & 1;
+    x >>>= 1;
+  }
+  return count;
+}
+
+function readBits(grid, positions) {
+  return positions.reduce((value, [r, c], i) => value | (grid[r][c] << i), 0);
+}
+
+function readFormat(grid) {
+  const copies = formatPositions(grid.length).map(positions => readBits(grid, positions));
+  let best = { distance: 4 };
+  EC_LEVELS.forEach(ecLevel => {
+    for (let mask = 0; mask < 8; mask++) {
+      const expected = formatBits(ecLevel, mask);
+      copies.forEach(bits => {
+        const distance = hamming(bits, expected);
+        if (distance < best.distance) best = { distance, ecLevel, mask };
+      });
+    }
+  });
+  if (!best.ecLevel) throw new Error('Format information is unreadable');
+  return best;
+}
+
+function readVersion(grid) {
+  const copies = versionPositions(grid.length).map(positions => readBits(grid, positions));
+  let best = { distance: 4 };
+  for (let version = 7; version <= 40; version++) {
+    copies.forEach(bits => {
+      const distance = hamming(bits, versionBits(version));
+      if (distance < best.distance) best = { distance, version };
+    });
+  }
+  return best.version || null;
+}
+
+// Extract, de-interleave and error-correct the data codewords of a symbol
+function readCodewords(grid, version, ecLevel, mask) {
+  const order = dataModuleOrder(version, functionRegions(version));
+  const layout = blockLayout(version, ecLevel);
+  const codewords = new Uint8Array(layout.total);
+  for (let i = 0; i < layout.total * 8; i++) {
+    const [r, c] = order[i];
+    const bit = grid[r][c] ^ (MASKS[mask](r, c) ? 1 : 0);
+    codewords[i >>> 3] |= bit << (7 - (i & 7));
+  }
+
+  const blocks = Array.from({ length: layout.blocks }, () => []);
+  codewordBlocks(version, ecLevel).forEach(([block, index], i) => {
+    blocks[block][index] = codewords[i];
+  });
+
+  let corrected = 0;
+  const data = [];
+  blocks.forEach(block => {
+    corrected += rsDecode(block, layout.ecPerBlock);
+    data.push(...block.slice(0, block.length - layout.ecPerBlock));
+  });
+  return { data, corrected };
+}
+
+class BitReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  get remaining() {
+    return this.bytes.length * 8 - this.offset;
+  }
+
+  read(count) {
+    if (count > this.remaining) throw new Error('Data ends unexpectedly');
+    let value = 0;
+    for (let i = 0; i < count; i++, this.offset++) {
+      value = (value << 1) | ((this.bytes[this.offset >>> 3] >>> (7 - (this.offset & 7))) & 1);
+    }
+    return value;
+  }
+}
+
+function decodeBytes(bytes, charset) {
+  const array = Uint8Array.from(bytes);
+  if (charset) return new TextDecoder(charset).decode(array);
+  // Without an ECI header, prefer UTF-8 when the bytes are valid UTF-8
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(array);
+  } catch {
+    return new TextDecoder('iso-8859-1').decode(array);
+  }
+}
+
+// Parse the segments of a corrected data bit stream
+function parseSegments(data, version) {
+  const reader = new BitReader(data);
+  const result = { text: '', segments: [], structuredAppend: null, eci: null };
+  let charset = null;
+
+  while (reader.remaining >= 4) {
+    const mode = reader.read(4);
+    if (mode === 0) break;
+
+    if (mode === MODE.ECI) {
+      let value = reader.read(8);
+      if ((value & 0xC0) === 0x80) value = ((value & 0x3F) << 8) | reader.read(8);
+      else if ((value & 0xE0) === 0xC0) value = ((value & 0x1F) << 16) | reader.read(16);
+      charset = ECI_CHARSETS[value];
+      if (!charset) throw new Error(`Unsupported ECI ${value}`);
+      result.eci = value;
+      continue;
+    }
+    if (mode === MODE.STRUCTURED_APPEND) {
+      const index = reader.read(4);
+      const total = reader.read(4) + 1;
+      result.structuredAppend = { index, total, parity: reader.read(8) };
+      continue;
+    }
+    if (mode === MODE.FNC1_FIRST) continue;
+    if (mode === MODE.FNC1_SECOND) {
+      reader.read(8);
+      continue;
+    }
+
+    const count = reader.read(charCountBits(mode, version));
+    let text = '';
+    if (mode === MODE.NUMERIC) {
+      for (let left = count; left > 0; left -= 3) {
+        const digits = Math.min(left, 3);
+        const value = reader.read([0, 4, 7, 10][digits]);
+        text += String(value).padStart(digits, '0');
+      }
+    } else if (mode === MODE.ALPHANUMERIC) {
+      for (let left = count; left > 0; left -= 2) {
+        if (left >= 2) {
+          const value = reader.read(11);
+          text += ALPHANUMERIC_CHARSET[Math.floor(value / 45)] + ALPHANUMERIC_CHARSET[value % 45];
+        } else {
+          text += ALPHANUMERIC_CHARSET[reader.read(6)];
+        }
+      }
+    } else if (mode === MODE.BYTE) {
+      const bytes = [];
+      for (let i = 0; i < count; i++) bytes.push(reader.read(8));
+      text = decodeBytes(bytes, charset);
+    } else if (mode === MODE.KANJI) {
+      const bytes = [];
+      for (let i = 0; i < count; i++) {
+        const value = reader.read(13);
+        let code = (Math.floor(value / 0xC0) << 8) | (value % 0xC0);
+        code += code < 0x1F00 ? 0x8140 : 0xC140;
+        bytes.push(code >> 8, code & 0xFF);
+      }
+      text = decodeBytes(bytes, 'shift_jis');
+    } else {
+      throw new Error(`Unknown segment mode ${mode}`);
+    }
+
+    result.text += text;
+    result.segments.push({ mode, text });
+  }
+
+  return result;
+}
+
+function decodeGrid(grid) {
+  const version = (grid.length - 17) / 4;
+  const { ecLevel, mask } = readFormat(grid);
+  const { data, corrected } = readCodewords(grid, version, ecLevel, mask);
+  return { ...parseSegments(data, version), version, ecLevel, mask, corrected };
+}
+
+// Decode a QR symbol from RGBA image data ({ data, width, height })
+export function decodeImageData(imageData) {
+  const image = {
+    bits: binarize(toLuminance(imageData)),
+    width: imageData.width,
+    height: imageData.height
+  };
+  const finders = selectFinders(findFinderCandidates(image));
+  const { topLeft, topRight, bottomLeft } = finders;
+
+  const distance = (Math.hypot(topRight.x - topLeft.x, topRight.y - topLeft.y) +
+    Math.hypot(bottomLeft.x - topLeft.x, bottomLeft.y - topLeft.y)) / 2;
+  const unit = (topLeft.unit + topRight.unit + bottomLeft.unit) / 3;
+  let estimate = Math.round((Math.round(distance / unit) + 7 - 17) / 4);
+
+  if (estimate >= 7 && estimate <= 40) {
+    const version = readVersion(sampleGrid(image, finders, symbolSize(estimate)));
+    if (version) estimate = version;
+  }
+
+  // Try the estimated version first, then its neighbours
+  let lastError = new Error('No QR code found');
+  for (const version of [estimate, estimate - 1, estimate + 1]) {
+    if (version < 1 || version > 40) continue;
+    try {
+      return decodeGrid(sampleGrid(image, finders, symbolSize(version)));
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+export function decodeCanvas(canvas) {
+  const ctx = canvas.getContext('2d');
+  return decodeImageData(ctx.getImageData(0, 0, canvas.width, canvas.height));
+}
+
+// Rasterize SVG markup the way a browser would display it, then decode it
+export async function decodeSVG(svg) {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  try {
+    const img = new Image();
+    await new Promise((resolve, reject) => {
+      img.addEventListener('load', resolve);
+      img.addEventListener('error', () => reject(new Error('SVG could not be rendered')));
+      img.src = url;
+    });
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth || img.width;
+    canvas.height = img.naturalHeight || img.height;
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return decodeCanvas(canvas);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
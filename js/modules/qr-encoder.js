@@ -0,0 +1,505 @@
+// QR Encoder Module
+// Builds QR symbols from text: data encoding, error correction, module placement and masking
+
+import {
+  ALPHANUMERIC_CHARSET, EC_LEVELS, MASKS, MODE, REGION, alignmentCenters, blockLayout, charCountBits, dataCodewords,
+  dataModuleOrder, finderOrigins, formatBits, formatPositions, functionRegions, symbolSize,
+  versionBits, versionPositions
+} from './qr-spec.js';
+import { rsEncode } from './reed-solomon.js';
+
+const PAD_BYTES = [0xEC, 0x11];
+
+// Modes a user can force; 'auto' splits the text into the cheapest mix
+export const ENCODINGS = {
+  numeric: MODE.NUMERIC,
+  alphanumeric: MODE.ALPHANUMERIC,
+  byte: MODE.BYTE,
+  kanji: MODE.KANJI
+};
+
+const ECI_UTF8 = 26;
+// Header segments carry no character count
+const HEADER_MODES = [MODE.ECI, MODE.STRUCTURED_APPEND];
+// Structured Append links at most 16 symbols
+export const MAX_SYMBOLS = 16;
+// Count indicator widths change after versions 9 and 26, so one split serves each range
+const RANGE_ENDS = [9, 26, 40];
+const QR_MODES = [MODE.BYTE, MODE.ALPHANUMERIC, MODE.NUMERIC, MODE.KANJI];
+
+// Shift JIS codes of every character Kanji mode can hold, built on first use
+let kanjiCodes = null;
+function kanjiTable() {
+  if (kanjiCodes) return kanjiCodes;
+  kanjiCodes = new Map();
+  let decoder;
+  try {
+    decoder = new TextDecoder('shift_jis', { fatal: true });
+  } catch {
+    return kanjiCodes; // No Shift JIS support: Kanji mode stays unused
+  }
+  [[0x8140, 0x9FFC], [0xE040, 0xEBBF]].forEach(([start, end]) => {
+    for (let code = start; code <= end; code++) {
+      const low = code & 0xFF;
+      if (low < 0x40 || low > 0xFC || low === 0x7F) continue;
+      try {
+        const char = decoder.decode(new Uint8Array([code >> 8, low]));
+        if (char.length === 1 && !kanjiCodes.has(char)) kanjiCodes.set(char, code);
+      } catch {
+        // Unassigned code
+      }
+    }
+  });
+  return kanjiCodes;
+}
+
+const utf8Length = char => {
+  const code = char.codePointAt(0);
+  return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+};
+
+function canEncode(mode, char) {
+  if (mode === MODE.NUMERIC) return char >= '0' && char <= '9';
+  if (mode === MODE.ALPHANUMERIC) return ALPHANUMERIC_CHARSET.includes(char);
+  if (mode === MODE.KANJI) return char > '\x7F' && kanjiTable().has(char);
+  return true;
+}
+
+// Data bits per character in sixths, so numeric (10 bits per 3) and
+// alphanumeric (11 bits per 2) compare exactly with whole-bit modes
+function charCost(mode, char) {
+  if (mode === MODE.NUMERIC) return 20;
+  if (mode === MODE.ALPHANUMERIC) return 33;
+  if (mode === MODE.KANJI) return 78;
+  return utf8Length(char) * 48;
+}
+
+// One character further: the cheapest cost of ending in each mode, and the mode each
+// came from. `headCosts` are the segment headers in sixths.
+function costStep(costs, char, modes, headCosts) {
+  const from = modes.map(mode => (canEncode(mode, char) ? mode : null));
+  const next = modes.map((mode, j) => (from[j] === null ? Infinity : costs[j] + charCost(mode, char)));
+  // Switching modes: end the segment after this character and pay the next header
+  const extended = next.slice();
+  modes.forEach((_, j) => modes.forEach((mode, k) => {
+    if (extended[k] === Infinity) return;
+    const cost = Math.ceil(extended[k] / 6) * 6 + headCosts[j];
+    if (cost < next[j]) {
+      next[j] = cost;
+      from[j] = mode;
+    }
+  }));
+  return { next, from };
+}
+
+// Cheapest mode for every character (ISO/IEC 18004 Annex J, done exactly).
+// `headerBits(mode)` is the size of a segment header: mode indicator and count.
+function charModes(chars, modes, headerBits) {
+  const headCosts = modes.map(mode => headerBits(mode) * 6);
+  let costs = headCosts.slice();
+  const steps = chars.map(char => {
+    const { next, from } = costStep(costs, char, modes, headCosts);
+    costs = next;
+    return from;
+  });
+
+  const result = [];
+  let mode = modes[costs.indexOf(Math.min(...costs))];
+  for (let i = chars.length - 1; i >= 0; i--) {
+    mode = steps[i][modes.indexOf(mode)];
+    result[i] = mode;
+  }
+  return result;
+}
+
+// One segment: its data as [value, bitLength] chunks so every mode is written the same way
+function segment(mode, chars) {
+  const text = chars.join('');
+  const chunks = [];
+  if (mode === MODE.NUMERIC) {
+    for (let i = 0; i < text.length; i += 3) {
+      const digits = text.slice(i, i + 3);
+      chunks.push([parseInt(digits, 10), [0, 4, 7, 10][digits.length]]);
+    }
+  } else if (mode === MODE.ALPHANUMERIC) {
+    for (let i = 0; i < text.length; i += 2) {
+      const [a, b] = [text[i], text[i + 1]].map(c => (c === undefined ? -1 : ALPHANUMERIC_CHARSET.indexOf(c)));
+      chunks.push(b < 0 ? [a, 6] : [a * 45 + b, 11]);
+    }
+  } else if (mode === MODE.KANJI) {
+    chars.forEach(char => {
+      const sjis = kanjiTable().get(char);
+      const code = sjis - (sjis <= 0x9FFC ? 0x8140 : 0xC140);
+      chunks.push([(code >> 8) * 0xC0 + (code & 0xFF), 13]);
+    });
+  } else {
+    new TextEncoder().encode(text).forEach(byte => chunks.push([byte, 8]));
+  }
+  return { mode, count: mode === MODE.BYTE ? chunks.length : chars.length, text, chunks };
+}
+
+// Kanji mode only helps non-ASCII text and needs the Shift JIS table
+function usableModes(text, modes) {
+  return modes.filter(mode => mode !== MODE.KANJI || (/[^\x00-\x7F]/.test(text) && kanjiTable().size));
+}
+
+// Split text into the cheapest segments using the given modes, or into one
+// segment of a forced `encoding`. Returns null when a character fits none of them.
+// Shared with the Micro QR encoder, whose headers are smaller.
+export function segmentText(text, modes, headerBits, encoding = 'auto') {
+  const chars = Array.from(text);
+  if (encoding !== 'auto') {
+    const mode = ENCODINGS[encoding];
+    if (!mode) throw new Error(`Unknown encoding mode: ${encoding}`);
+    return modes.includes(mode) && chars.every(char => canEncode(mode, char)) ? [segment(mode, chars)] : null;
+  }
+
+  const usable = usableModes(text, modes);
+  if (!chars.every(char => usable.some(mode => canEncode(mode, char)))) return null;
+
+  const runs = [];
+  charModes(chars, usable, headerBits).forEach((mode, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.mode === mode) last.chars.push(chars[i]);
+    else runs.push({ mode, chars: [chars[i]] });
+  });
+  return runs.map(({ mode, chars: run }) => segment(mode, run));
+}
+
+// Split text into segments for a version. `encoding` forces one mode
+// ('auto' mixes them); `eci` 'auto' declares UTF-8 when byte data is not plain ASCII.
+export function makeSegments(text, { encoding = 'auto', eci = 'auto' } = {}, version = 40) {
+  const segments = segmentText(text, QR_MODES, mode => 4 + charCountBits(mode, version), encoding);
+  if (!segments) throw new Error(`The content has characters that ${encoding} mode cannot encode`);
+
+  const needsEci = segments.some(s => s.mode === MODE.BYTE && /[^\x00-\x7F]/.test(s.text));
+  if (eci === 'auto' && needsEci) segments.unshift({ mode: MODE.ECI, count: 0, text: '', chunks: [[ECI_UTF8, 8]] });
+  return segments;
+}
+
+// Bits needed for the segments at a version, or Infinity if a count does not fit
+export function bitLength(segments, version) {
+  let bits = 0;
+  for (const s of segments) {
+    if (HEADER_MODES.includes(s.mode)) {
+      bits += 4 + s.chunks.reduce((sum, [, length]) => sum + length, 0);
+      continue;
+    }
+    const countBits = charCountBits(s.mode, version);
+    if (s.count >= 2 ** countBits) return Infinity;
+    bits += 4 + countBits + s.chunks.reduce((sum, [, length]) => sum + length, 0);
+  }
+  return bits;
+}
+
+// Segments for each version range, computed once per text
+function segmentPlan(text, options) {
+  const plan = new Map();
+  return version => {
+    const end = RANGE_ENDS.find(limit => version <= limit);
+    if (!plan.has(end)) plan.set(end, makeSegments(text, options, end));
+    return plan.get(end);
+  };
+}
+
+function fitsIn(segments, version, ec) {
+  return bitLength(segments, version) <= dataCodewords(version, ec) * 8;
+}
+
+// Whether the text fits in one symbol of a version
+export function fits(text, version, ec, options = {}) {
+  return fitsIn(makeSegments(text, options, version), version, ec);
+}
+
+// Smallest version from `min` up that holds the text, or 0 if none does
+export function fitVersion(text, ec, options = {}, min = 1) {
+  const segmentsAt = segmentPlan(text, options);
+  for (let version = min; version <= 40; version++) {
+    if (fitsIn(segmentsAt(version), version, ec)) return version;
+  }
+  return 0;
+}
+
+// Bytes used versus available at every error correction level for a version
+export function capacity(text, version, options = {}) {
+  const segments = makeSegments(text, options, version);
+  const bits = bitLength(segments, version);
+  return EC_LEVELS.map(ec => {
+    const available = dataCodewords(version, ec);
+    return { ec, used: Math.ceil(bits / 8), available, fits: bits <= available * 8 };
+  });
+}
+
+// Structured Append parity: XOR of every byte of the whole message
+export function structuredParity(text) {
+  return new TextEncoder().encode(text).reduce((parity, byte) => parity ^ byte, 0);
+}
+
+function sequenceSegment({ index, total, parity }) {
+  return { mode: MODE.STRUCTURED_APPEND, count: 0, text: '', chunks: [[index, 4], [total - 1, 4], [parity, 8]] };
+}
+
+// How many characters from `start` fit in `bits` of data, using `modes`. One pass of
+// the segment cost search finds the cut, instead of segmenting every candidate cut
+// anew. Room for a UTF-8 ECI (12 bits) is kept once a non-ASCII character is in,
+// though the part may not need one.
+function fittingLength(chars, start, version, bits, modes, eci = 'auto') {
+  const headCosts = modes.map(mode => (4 + charCountBits(mode, version)) * 6);
+  let costs = headCosts.slice();
+  let eciBits = 0;
+  let end = start;
+  for (; end < chars.length; end++) {
+    costs = costStep(costs, chars[end], modes, headCosts).next;
+    if (eci === 'auto' && chars[end] > '\x7F') eciBits = 12;
+    if (Math.ceil(Math.min(...costs) / 6) + eciBits > bits) break;
+  }
+  return end - start;
+}
+
+// Data bits of the cheapest segment plan for all of the text, ignoring count limits,
+// for each version range
+function minimumBitsAt(chars, { encoding = 'auto' }) {
+  const modes = encoding === 'auto' ? usableModes(chars.join(''), QR_MODES) : [ENCODINGS[encoding]];
+  const plan = new Map();
+  return version => {
+    const end = RANGE_ENDS.find(limit => version <= limit);
+    if (!plan.has(end)) {
+      const headCosts = modes.map(mode => (4 + charCountBits(mode, end)) * 6);
+      const costs = chars.reduce((sums, char) => costStep(sums, char, modes, headCosts).next, headCosts);
+      plan.set(end, Math.ceil(Math.min(...costs) / 6));
+    }
+    return plan.get(end);
+  };
+}
+
+// Greedily fill symbols of one version; null when more than `limit` are needed
+function splitAt(chars, version, ec, options, limit = MAX_SYMBOLS) {
+  const header = bitLength([sequenceSegment({ index: 0, total: 1, parity: 0 })], version);
+  const bits = dataCodewords(version, ec) * 8 - header;
+  const holds = (start, end) => bitLength(makeSegments(chars.slice(start, end).join(''), options, version), version) <= bits;
+  const { encoding = 'auto', eci = 'auto' } = options;
+  const modes = encoding === 'auto' ? usableModes(chars.join(''), QR_MODES) : [ENCODINGS[encoding]];
+
+  const parts = [];
+  for (let start = 0; start < chars.length;) {
+    if (parts.length === limit) return null;
+    let end = start + fittingLength(chars, start, version, bits, modes, eci);
+    // Take back room kept for an ECI the part turned out not to need
+    while (end < chars.length && holds(start, end + 1)) end++;
+    if (end === start) return null;
+    parts.push(chars.slice(start, end).join(''));
+    start = end;
+  }
+  return parts;
+}
+
+// Split text across as few Structured Append symbols as possible, all of the
+// smallest version that still needs no more of them. A fixed `version` is kept.
+export function splitText(text, ec, options = {}, version = 0) {
+  const chars = Array.from(text);
+  // Characters the chosen encoding cannot hold fail here, not as a length problem
+  makeSegments(text, options);
+  if (version) {
+    const parts = splitAt(chars, version, ec, options);
+    if (!parts) throw new Error(`Content needs more than ${MAX_SYMBOLS} version ${version} symbols at level ${ec}`);
+    return { version, parts };
+  }
+
+  const fewest = splitAt(chars, 40, ec, options);
+  if (!fewest) throw new Error(`Content is too long even for ${MAX_SYMBOLS} linked QR codes at level ${ec}`);
+  // Splitting only adds headers, so the whole text in one segment plan is a lower
+  // bound; versions whose symbols cannot hold that many bits are skipped, and the
+  // rest give up as soon as they need more symbols than version 40
+  const minimumBits = minimumBitsAt(chars, options);
+  for (let v = 1; v < 40; v++) {
+    if (dataCodewords(v, ec) * 8 * fewest.length < minimumBits(v)) continue;
+    const parts = splitAt(chars, v, ec, options, fewest.length);
+    if (parts) return { version: v, parts };
+  }
+  return { version: 40, parts: fewest };
+}
+
+// Data codewords: segments, terminator, bit padding and pad bytes
+function dataBytes(segments, version, ec) {
+  const capacityBits = dataCodewords(version, ec) * 8;
+  const bits = [];
+  const put = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  segments.forEach(segment => {
+    put(segment.mode, 4);
+    if (!HEADER_MODES.includes(segment.mode)) put(segment.count, charCountBits(segment.mode, version));
+    segment.chunks.forEach(([value, length]) => put(value, length));
+  });
+  put(0, Math.min(4, capacityBits - bits.length));
+  while (bits.length % 8) bits.push(0);
+
+  const bytes = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    bytes.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let i = 0; bytes.length < capacityBits / 8; i++) bytes.push(PAD_BYTES[i % 2]);
+  return bytes;
+}
+
+// Split data into blocks, add error correction and interleave
+function interleave(data, version, ec) {
+  const { blocks, ecPerBlock, shortBlocks, shortDataLength } = blockLayout(version, ec);
+  const dataBlocks = [];
+  const ecBlocks = [];
+  let offset = 0;
+  for (let b = 0; b < blocks; b++) {
+    const length = shortDataLength + (b < shortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    dataBlocks.push(block);
+    ecBlocks.push(rsEncode(block, ecPerBlock));
+  }
+
+  const result = [];
+  for (let i = 0; i <= shortDataLength; i++) {
+    dataBlocks.forEach(block => { if (i < block.length) result.push(block[i]); });
+  }
+  for (let i = 0; i < ecPerBlock; i++) {
+    ecBlocks.forEach(block => result.push(block[i]));
+  }
+  return result;
+}
+
+// Function patterns and unmasked data, as rows of 0/1
+function placeModules(version, codewords, regions) {
+  const size = symbolSize(version);
+  const modules = Array.from({ length: size }, () => new Uint8Array(size));
+
+  for (let i = 0; i < size; i++) {
+    if (regions[6][i] === REGION.TIMING) modules[6][i] = i % 2 === 0 ? 1 : 0;
+    if (regions[i][6] === REGION.TIMING) modules[i][6] = i % 2 === 0 ? 1 : 0;
+  }
+  finderOrigins(size).forEach(([top, left]) => {
+    for (let r = 0; r < 7; r++) {
+      for (let c = 0; c < 7; c++) {
+        modules[top + r][left + c] = Math.max(Math.abs(r - 3), Math.abs(c - 3)) === 2 ? 0 : 1;
+      }
+    }
+  });
+  alignmentCenters(version).forEach(([row, col]) => {
+    for (let r = -2; r <= 2; r++) {
+      for (let c = -2; c <= 2; c++) {
+        modules[row + r][col + c] = Math.max(Math.abs(r), Math.abs(c)) === 1 ? 0 : 1;
+      }
+    }
+  });
+  modules[size - 8][8] = 1;
+
+  dataModuleOrder(version, regions).forEach(([r, c], bit) => {
+    const codeword = codewords[bit >> 3];
+    if (codeword !== undefined) modules[r][c] = (codeword >>> (7 - (bit & 7))) & 1;
+  });
+  return modules;
+}
+
+function applyMask(base, regions, version, ec, mask) {
+  const size = base.length;
+  const modules = base.map((row, r) => row.map((dark, c) =>
+    regions[r][c] === REGION.DATA && MASKS[mask](r, c) ? dark ^ 1 : dark
+  ));
+
+  const format = formatBits(ec, mask);
+  formatPositions(size).forEach(list => list.forEach(([r, c], i) => {
+    modules[r][c] = (format >>> i) & 1;
+  }));
+  if (version >= 7) {
+    const info = versionBits(version);
+    versionPositions(size).forEach(list => list.forEach(([r, c], i) => {
+      modules[r][c] = (info >>> i) & 1;
+    }));
+  }
+  return modules;
+}
+
+// Penalty score from ISO/IEC 18004 section 7.8.3; the lowest-scoring mask is used
+function lineRuns(line) {
+  let score = 0;
+  let run = 1;
+  for (let i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      run++;
+    } else {
+      if (run >= 5) score += run - 2;
+      run = 1;
+    }
+  }
+
+  // 1:1:3:1:1 finder-like pattern with four light modules on either side
+  const light = (from, to) => {
+    for (let i = from; i < to; i++) if (i >= 0 && i < line.length && line[i]) return false;
+    return true;
+  };
+  for (let i = 0; i + 7 <= line.length; i++) {
+    if (line[i] && !line[i + 1] && line[i + 2] && line[i + 3] && line[i + 4] && !line[i + 5] && line[i + 6] &&
+      (light(i - 4, i) || light(i + 7, i + 11))) score += 40;
+  }
+  return score;
+}
+
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+  let dark = 0;
+
+  for (let i = 0; i < size; i++) {
+    score += lineRuns(modules[i]);
+    score += lineRuns(modules.map(row => row[i]));
+  }
+  for (let r = 0; r < size - 1; r++) {
+    for (let c = 0; c < size - 1; c++) {
+      const v = modules[r][c];
+      if (v === modules[r][c + 1] && v === modules[r + 1][c] && v === modules[r + 1][c + 1]) score += 3;
+    }
+    dark += modules[r].reduce((sum, v) => sum + v, 0);
+  }
+  dark += modules[size - 1].reduce((sum, v) => sum + v, 0);
+
+  const total = size * size;
+  score += Math.floor(Math.abs(dark * 100 / total - 50) / 5) * 10;
+  return score;
+}
+
+// Encode text into a symbol. `version` 0 and `mask` -1 choose automatically;
+// `encoding` and `eci` are passed to makeSegments(). `sequence` ({ index, total, parity })
+// marks the symbol as part of a Structured Append set.
+export function encodeText(text, { ec = 'M', version = 0, mask = -1, encoding = 'auto', eci = 'auto', sequence = null } = {}) {
+  if (!EC_LEVELS.includes(ec)) throw new Error(`Unknown error correction level: ${ec}`);
+  if (version && (version < 1 || version > 40)) throw new Error(`Version must be between 1 and 40, got ${version}`);
+
+  const options = { encoding, eci };
+  const chosen = version || fitVersion(text, ec, options);
+  if (!chosen) throw new Error(`Content is too long for a QR code at error correction level ${ec}`);
+  const segments = makeSegments(text, options, chosen);
+  if (sequence) segments.unshift(sequenceSegment(sequence));
+  if (!fitsIn(segments, chosen, ec)) {
+    const bytes = Math.ceil(bitLength(segments, chosen) / 8);
+    throw new Error(`Content needs ${bytes} bytes but version ${chosen} holds ${dataCodewords(chosen, ec)} at level ${ec}`);
+  }
+
+  const regions = functionRegions(chosen);
+  const codewords = interleave(dataBytes(segments, chosen, ec), chosen, ec);
+  const base = placeModules(chosen, codewords, regions);
+
+  let best = null;
+  const masks = mask >= 0 && mask <= 7 ? [mask] : [0, 1, 2, 3, 4, 5, 6, 7];
+  masks.forEach(m => {
+    const modules = applyMask(base, regions, chosen, ec, m);
+    const score = masks.length > 1 ? penalty(modules) : 0;
+    if (!best || score < best.score) best = { mask: m, modules, score };
+  });
+
+  return {
+    version: chosen,
+    ec,
+    mask: best.mask,
+    segments,
+    matrix: best.modules.map(row => Array.from(row, v => v === 1))
+  };
+}
@@ -0,0 +1,230 @@
+// QR Layout Module
+// One geometry model (module shapes, eyes, quiet zone, logo box) shared by every exporter.
+// Paths are lists of commands: ['M', x, y], ['L', x, y], ['C', x1, y1, x2, y2, x, y], ['Z']
+
+import { alignmentCenters, finderOrigins, functionRegions, REGION } from './qr-spec.js';
+import { rmqrRegions, rmqrVersionOf } from './rmqr.js';
+
+// Control point offset for approximating a quarter circle with a cubic Bézier
+const KAPPA = 0.5522847498;
+
+export function rectPath(x, y, w, h) {
+  return [['M', x, y], ['L', x + w, y], ['L', x + w, y + h], ['L', x, y + h], ['Z']];
+}
+
+// `r` is one radius or [topLeft, topRight, bottomRight, bottomLeft]
+export function roundRectPath(x, y, w, h, r) {
+  const [tl, tr, br, bl] = (Array.isArray(r) ? r : [r, r, r, r]).map(v => Math.max(0, Math.min(v, w / 2, h / 2)));
+  if (!tl && !tr && !br && !bl) return rectPath(x, y, w, h);
+  const path = [['M', x + tl, y], ['L', x + w - tr, y]];
+  if (tr) path.push(['C', x + w - tr + tr * KAPPA, y, x + w, y + tr - tr * KAPPA, x + w, y + tr]);
+  path.push(['L', x + w, y + h - br]);
+  if (br) path.push(['C', x + w, y + h - br + br * KAPPA, x + w - br + br * KAPPA, y + h, x + w - br, y + h]);
+  path.push(['L', x + bl, y + h]);
+  if (bl) path.push(['C', x + bl - bl * KAPPA, y + h, x, y + h - bl + bl * KAPPA, x, y + h - bl]);
+  path.push(['L', x, y + tl]);
+  if (tl) path.push(['C', x, y + tl - tl * KAPPA, x + tl - tl * KAPPA, y, x + tl, y]);
+  path.push(['Z']);
+  return path;
+}
+
+export function circlePath(cx, cy, r) {
+  const k = r * KAPPA;
+  return [
+    ['M', cx + r, cy],
+    ['C', cx + r, cy + k, cx + k, cy + r, cx, cy + r],
+    ['C', cx - k, cy + r, cx - r, cy + k, cx - r, cy],
+    ['C', cx - r, cy - k, cx - k, cy - r, cx, cy - r],
+    ['C', cx + k, cy - r, cx + r, cy - k, cx + r, cy],
+    ['Z']
+  ];
+}
+
+// Outline of one dark module in the chosen dot style
+function modulePath(style, x, y, cell) {
+  if (style === 'rounded') return roundRectPath(x, y, cell, cell, cell * 0.3);
+  if (style === 'dots') return circlePath(x + cell / 2, y + cell / 2, cell * 0.4);
+  return rectPath(x, y, cell, cell);
+}
+
+// Square outline of `side` in one of the eye shapes. Leaf eyes round two opposite
+// corners; `flip` picks the other diagonal so the three finders mirror each other.
+// `inset` is the distance from the outer eye edge, which keeps rounded rings concentric.
+function eyeShapePath(shape, x, y, side, flip, inset = 0) {
+  if (shape === 'circle') return circlePath(x + side / 2, y + side / 2, side / 2);
+  if (shape === 'rounded') return roundRectPath(x, y, side, side, Math.max(0, (side + inset * 2) * 0.25 - inset));
+  if (shape === 'leaf') {
+    const r = side / 2;
+    return roundRectPath(x, y, side, side, flip ? [0, r, 0, r] : [r, 0, r, 0]);
+  }
+  return rectPath(x, y, side, side);
+}
+
+// Outer eye: the shape with a one-module-smaller copy cut out, filled even-odd
+function eyeRingPath(shape, x, y, side, cell, flip) {
+  return [
+    ...eyeShapePath(shape, x, y, side, flip),
+    ...eyeShapePath(shape, x + cell, y + cell, side - cell * 2, flip, cell)
+  ];
+}
+
+// Finder and alignment patterns as { kind, top, left, span, flip } in modules.
+// A Micro QR symbol has a single finder, an rMQR symbol a finder and a sub-finder
+// (drawn as an alignment pattern); returns none for other matrices.
+export function findEyes(count, symbol = 'qr', columns = count) {
+  if (symbol === 'micro') return [{ kind: 'finder', top: 0, left: 0, span: 7, flip: false }];
+  if (symbol === 'rmqr') {
+    return [
+      { kind: 'finder', top: 0, left: 0, span: 7, flip: false },
+      { kind: 'alignment', top: count - 5, left: columns - 5, span: 5, flip: false }
+    ];
+  }
+  const version = (count - 17) / 4;
+  if (!Number.isInteger(version) || version < 1 || version > 40) return [];
+  const finders = finderOrigins(count).map(([top, left], i) => ({ kind: 'finder', top, left, span: 7, flip: i > 0 }));
+  const alignment = alignmentCenters(version).map(([row, col]) => ({ kind: 'alignment', top: row - 2, left: col - 2, span: 5, flip: false }));
+  return [...finders, ...alignment];
+}
+
+// Fit the logo inside a square box, preserving its aspect ratio
+function logoBox(logo, dimension, logoPercent) {
+  const maxSize = dimension * (logoPercent / 100);
+  const ratio = (logo.naturalWidth || logo.width) / (logo.naturalHeight || logo.height);
+  const [width, height] = ratio >= 1 ? [maxSize, maxSize / ratio] : [maxSize * ratio, maxSize];
+  const x = (dimension - width) / 2;
+  const y = (dimension - height) / 2;
+  const pad = Math.max(width, height) * 0.1;
+  const bounds = { x: x - pad, y: y - pad, width: width + pad * 2, height: height + pad * 2 };
+  return {
+    x, y, width, height, bounds,
+    backdrop: roundRectPath(bounds.x, bounds.y, bounds.width, bounds.height, pad * 0.5)
+  };
+}
+
+// Data modules whose cell overlaps the logo bounds; function patterns are never included
+function knockoutModules(count, cell, quietZone, bounds) {
+  const version = (count - 17) / 4;
+  const regions = functionRegions(version);
+  const first = index => Math.max(0, Math.floor((index - quietZone) / cell));
+  const last = index => Math.min(count - 1, Math.ceil((index - quietZone) / cell) - 1);
+  const cleared = [];
+  for (let r = first(bounds.y); r <= last(bounds.y + bounds.height); r++) {
+    for (let c = first(bounds.x); c <= last(bounds.x + bounds.width); c++) {
+      if (regions[r][c] === REGION.DATA) cleared.push([r, c]);
+    }
+  }
+  return cleared;
+}
+
+// The Swiss cross of a QR-bill: 7 mm on a 46 mm symbol, a black square with a white
+// border and a white cross whose arms are 6/32 wide and 20/32 long. Flagged as
+// `overlay` because its colors are fixed by the standard, not the design.
+function swissCrossLayers(offset, side) {
+  const center = offset + side / 2;
+  const square = (length, paint) => ({ paint, overlay: true, path: rectPath(center - length / 2, center - length / 2, length, length) });
+  const black = side * 6 / 46;
+  const [arm, width] = [black * 20 / 32, black * 6 / 32];
+  return [
+    square(side * 7 / 46, 'crossLight'),
+    square(black, 'crossDark'),
+    {
+      paint: 'crossLight',
+      overlay: true,
+      path: [
+        ...rectPath(center - width / 2, center - arm / 2, width, arm),
+        ...rectPath(center - arm / 2, center - width / 2, arm, width)
+      ]
+    }
+  ];
+}
+
+// Compute the full drawing for a module matrix. Every coordinate is in output pixels;
+// the cell size is a whole number so raster and vector output line up exactly.
+// Finder and alignment patterns ("eyes") and the timing patterns get their own
+// layers so they can take other shapes and colors; `eyeOuter`/`eyeInner` of
+// 'match' keep the dot style.
+// A logo either sits on a padded backdrop over the modules ('overlay') or replaces
+// the whole data modules beneath it ('knockout', listed in `knockout`).
+// `symbol` is 'qr', 'micro' or 'rmqr'; Micro QR has one finder and timing along its edges,
+// and rMQR is wider than tall, with timing along every edge and down its alignment columns.
+// `overlay` 'swiss-cross' adds the Swiss cross a QR-bill requires in the middle.
+export function computeLayout(matrix, { size, margin, style, logoPercent, logo, logoMode = 'overlay', eyeOuter = 'match', eyeInner = 'match', symbol = 'qr', overlay = null }) {
+  // `size` sets the width; rMQR symbols are less tall
+  const rows = matrix.length;
+  const count = matrix[0].length;
+  const cell = Math.max(1, Math.floor(size / (count + margin * 2)));
+  const dimension = cell * (count + margin * 2);
+  const height = cell * (rows + margin * 2);
+  const quietZone = cell * margin;
+  const at = index => quietZone + index * cell;
+
+  const eyes = findEyes(rows, symbol, count);
+  const isMicro = symbol === 'micro';
+  const isRegular = !isMicro && symbol !== 'rmqr' && eyes.length > 0;
+  const logoArea = logo ? logoBox(logo, dimension, logoPercent) : null;
+  const knockout = logoArea && logoMode === 'knockout' && isRegular
+    ? knockoutModules(count, cell, quietZone, logoArea.bounds)
+    : [];
+
+  // Modules drawn elsewhere (eyes) or not at all (knocked out)
+  const skip = Array.from({ length: rows }, () => new Uint8Array(count));
+  knockout.forEach(([r, c]) => { skip[r][c] = 1; });
+  const paths = { finder: { outer: [], inner: [] }, alignment: { outer: [], inner: [] } };
+
+  eyes.forEach(({ kind, top, left, span, flip }) => {
+    const { outer, inner } = paths[kind];
+    const center = (span - 1) / 2;
+    const innerSpan = span - 4;
+    for (let r = 0; r < span; r++) {
+      for (let c = 0; c < span; c++) {
+        skip[top + r][left + c] = 1;
+        if (!matrix[top + r][left + c]) continue;
+        const isInner = Math.abs(r - center) <= (innerSpan - 1) / 2 && Math.abs(c - center) <= (innerSpan - 1) / 2;
+        const shape = isInner ? eyeInner : eyeOuter;
+        if (shape === 'match') (isInner ? inner : outer).push(...modulePath(style, at(left + c), at(top + r), cell));
+      }
+    }
+    if (eyeOuter !== 'match') outer.push(...eyeRingPath(eyeOuter, at(left), at(top), span * cell, cell, flip));
+    if (eyeInner !== 'match') inner.push(...eyeShapePath(eyeInner, at(left + 2), at(top + 2), innerSpan * cell, flip));
+  });
+
+  // Timing patterns run along row 6 and column 6 between the finders (row 0 and column 0
+  // on Micro QR); on rMQR the corner and small alignment patterns join them
+  const timingLine = isMicro ? 0 : isRegular ? 6 : -1;
+  const rmqr = symbol === 'rmqr' ? rmqrRegions(rmqrVersionOf(rows, count)) : null;
+  const isTiming = rmqr
+    ? (r, c) => rmqr[r][c] === REGION.TIMING || rmqr[r][c] === REGION.ALIGNMENT
+    : (r, c) => r === timingLine || c === timingLine;
+  const modules = [];
+  const timing = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < count; c++) {
+      if (!matrix[r][c] || skip[r][c]) continue;
+      const target = isTiming(r, c) ? timing : modules;
+      target.push(...modulePath(style, at(c), at(r), cell));
+    }
+  }
+
+  // Layers are painted in order; `paint` names a fill resolved by the renderer and
+  // `image` marks where the logo is drawn
+  const ring = eyeOuter === 'match' ? 'nonzero' : 'evenodd';
+  const layers = [
+    { paint: 'bg', path: rectPath(0, 0, dimension, height) },
+    { paint: 'fg', path: modules },
+    { paint: 'timing', path: timing },
+    { paint: 'eyeOuter', path: paths.finder.outer, fillRule: ring },
+    { paint: 'eyeInner', path: paths.finder.inner },
+    { paint: 'alignOuter', path: paths.alignment.outer, fillRule: ring },
+    { paint: 'alignInner', path: paths.alignment.inner }
+  ];
+
+  if (logoArea && logoMode === 'knockout') {
+    // Function patterns under the logo stay visible on top of it
+    layers.splice(1, 0, { image: 'logo' });
+  } else if (logoArea) {
+    layers.push({ paint: 'bg', path: logoArea.backdrop }, { image: 'logo' });
+  }
+  if (overlay === 'swiss-cross') layers.push(...swissCrossLayers(quietZone, count * cell));
+
+  return { count, rows, cell, size: dimension, width: dimension, height, quietZone, layers, logo: logoArea, knockout };
+}
@@ -0,0 +1,331 @@
+// QR Rendering Core
+// Encodes content and draws it to a canvas or SVG without touching the page DOM.
+// Used by the page, batch export and any script that provides a canvas.
+// Both renderers draw the same layout (see qr-layout.js), so exports match pixel for pixel.
+
+import { encodeText, fits, fitVersion, splitText, structuredParity } from './qr-encoder.js';
+import { encodeMicro } from './micro-qr.js';
+import { encodeRMQR } from './rmqr.js';
+import { computeLayout } from './qr-layout.js';
+import { blockLayout, codewordBlocks, dataModuleOrder } from './qr-spec.js';
+
+// How many versions above the smallest a knockout logo may push the code
+const MAX_KNOCKOUT_STEPS = 5;
+// Modules of light space between the symbols of a Structured Append set, quiet zones included
+const MIN_SET_GAP = 4;
+
+// Quiet zone each symbol type calls for, in modules
+export const QUIET_ZONE = { qr: 4, micro: 2, rmqr: 2 };
+
+export const DEFAULT_OPTIONS = {
+  size: 350,
+  fg: '#000000',
+  bg: '#ffffff',
+  ec: 'M',
+  symbol: 'qr',
+  version: 0,
+  mask: -1,
+  encoding: 'auto',
+  eci: 'auto',
+  margin: 2,
+  style: 'square',
+  eyeOuter: 'match',
+  eyeInner: 'match',
+  eyeOuterColor: null,
+  eyeInnerColor: null,
+  fill: 'solid',
+  gradientColors: null,
+  gradientAngle: 45,
+  alignmentColor: null,
+  timingColor: null,
+  logoPercent: 20,
+  logoMode: 'overlay',
+  logo: null,
+  overlay: null
+};
+
+// Worst share of a block's repair capacity used by codewords under a knockout logo;
+// above 1 the code cannot be decoded. Every hidden module is counted as damaged
+// because the logo may read as either color.
+export function knockoutUsage(layout, ec) {
+  if (!layout.knockout.length) return 0;
+  const version = (layout.count - 17) / 4;
+  const { blocks, ecPerBlock, total } = blockLayout(version, ec);
+  const positions = codewordBlocks(version, ec);
+  const bitIndex = new Map(dataModuleOrder(version).map(([r, c], bit) => [r * layout.count + c, bit]));
+
+  const hidden = new Set();
+  layout.knockout.forEach(([r, c]) => {
+    const codeword = Math.floor(bitIndex.get(r * layout.count + c) / 8);
+    if (codeword < total) hidden.add(codeword);
+  });
+
+  const perBlock = new Array(blocks).fill(0);
+  hidden.forEach(codeword => perBlock[positions[codeword][0]]++);
+  return Math.max(...perBlock) / Math.floor(ecPerBlock / 2);
+}
+
+function tracePath(ctx, path) {
+  ctx.beginPath();
+  path.forEach(([op, ...args]) => {
+    if (op === 'M') ctx.moveTo(...args);
+    else if (op === 'L') ctx.lineTo(...args);
+    else if (op === 'C') ctx.bezierCurveTo(...args);
+    else ctx.closePath();
+  });
+}
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+
+// Gradient stop colors from an array or a comma-separated string
+export function parseColors(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(color => color.trim()).filter(color => HEX_COLOR.test(color));
+}
+
+// Gradient across the symbol (quiet zone excluded) in layout pixels. Linear angles
+// turn clockwise from left-to-right; radial gradients reach the corners.
+export function gradientPaint(type, colors, angle, layout) {
+  const width = layout.count * layout.cell;
+  const height = layout.rows * layout.cell;
+  const cx = layout.quietZone + width / 2;
+  const cy = layout.quietZone + height / 2;
+  const stops = colors.map((color, i) => ({ offset: i / (colors.length - 1), color }));
+  if (type === 'radial') return { type, cx, cy, r: Math.hypot(width, height) / 2, stops };
+
+  const rad = (angle || 0) * Math.PI / 180;
+  const dx = Math.cos(rad);
+  const dy = Math.sin(rad);
+  const half = (Math.abs(dx) * width + Math.abs(dy) * height) / 2;
+  return {
+    type: 'linear',
+    x1: cx - dx * half, y1: cy - dy * half,
+    x2: cx + dx * half, y2: cy + dy * half,
+    stops
+  };
+}
+
+// Fills for the layout's named paints: a color string or a gradient object
+function resolvePaints(opts, layout) {
+  // The Swiss cross keeps its own colors whatever the design
+  return { ...designPaints(opts, layout), crossDark: '#000000', crossLight: '#ffffff' };
+}
+
+function designPaints(opts, layout) {
+  const { fg, bg, fill } = opts;
+  const eyeOuter = opts.eyeOuterColor || fg;
+  const eyeInner = opts.eyeInnerColor || fg;
+
+  if (fill === 'linear' || fill === 'radial') {
+    const colors = parseColors(opts.gradientColors);
+    const gradient = gradientPaint(fill, colors.length >= 2 ? colors : [fg, fg], opts.gradientAngle, layout);
+    return { bg, fg: gradient, timing: gradient, eyeOuter: gradient, eyeInner: gradient, alignOuter: gradient, alignInner: gradient };
+  }
+  if (fill === 'regions') {
+    const alignment = opts.alignmentColor || fg;
+    return { bg, fg, timing: opts.timingColor || fg, eyeOuter, eyeInner, alignOuter: alignment, alignInner: alignment };
+  }
+  return { bg, fg, timing: fg, eyeOuter, eyeInner, alignOuter: eyeOuter, alignInner: eyeInner };
+}
+
+function canvasFill(ctx, paint) {
+  if (typeof paint === 'string') return paint;
+  const gradient = paint.type === 'radial'
+    ? ctx.createRadialGradient(paint.cx, paint.cy, 0, paint.cx, paint.cy, paint.r)
+    : ctx.createLinearGradient(paint.x1, paint.y1, paint.x2, paint.y2);
+  paint.stops.forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+  return gradient;
+}
+
+function drawLayers(ctx, layout, paints, logo) {
+  layout.layers.forEach(layer => {
+    if (layer.image) {
+      const { x, y, width, height } = layout.logo;
+      ctx.drawImage(logo, x, y, width, height);
+      return;
+    }
+    if (!layer.path.length) return;
+    ctx.fillStyle = canvasFill(ctx, paints[layer.paint]);
+    tracePath(ctx, layer.path);
+    ctx.fill(layer.fillRule || 'nonzero');
+  });
+}
+
+function drawCanvas(canvas, layout, paints, logo) {
+  canvas.width = layout.width;
+  canvas.height = layout.height;
+  drawLayers(canvas.getContext('2d'), layout, paints, logo);
+  return canvas;
+}
+
+const num = n => String(+n.toFixed(3));
+
+// SVG path data for a layout path
+export function pathData(path) {
+  return path.map(([op, ...args]) => op + args.map(num).join(' ')).join('');
+}
+
+function svgGradient(paint, id) {
+  const stops = paint.stops.map(stop => `<stop offset="${num(stop.offset)}" stop-color="${stop.color}"/>`).join('');
+  if (paint.type === 'radial') {
+    return `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${num(paint.cx)}" cy="${num(paint.cy)}" r="${num(paint.r)}">${stops}</radialGradient>`;
+  }
+  return `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${num(paint.x1)}" y1="${num(paint.y1)}" x2="${num(paint.x2)}" y2="${num(paint.y2)}">${stops}</linearGradient>`;
+}
+
+// Gradient definitions and drawing elements; `prefix` keeps gradient ids unique
+// when several symbols share one document
+function svgParts(layout, paints, logo, prefix = 'qr-fill') {
+  const gradients = new Map();
+  const fillFor = paint => {
+    if (typeof paint === 'string') return paint;
+    if (!gradients.has(paint)) gradients.set(paint, `${prefix}-${gradients.size}`);
+    return `url(#${gradients.get(paint)})`;
+  };
+
+  const body = layout.layers
+    .filter(layer => layer.image || layer.path.length)
+    .map(layer => {
+      if (layer.image) {
+        const { x, y, width, height } = layout.logo;
+        return `<image href="${logo.src}" x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" preserveAspectRatio="none"/>`;
+      }
+      const rule = layer.fillRule === 'evenodd' ? ' fill-rule="evenodd"' : '';
+      return `<path d="${pathData(layer.path)}" fill="${fillFor(paints[layer.paint])}"${rule}/>`;
+    })
+    .join('');
+  const defs = Array.from(gradients, ([paint, id]) => svgGradient(paint, id)).join('');
+  return { defs, body };
+}
+
+function svgDocument(width, height, defs, body) {
+  return `<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${defs ? `<defs>${defs}</defs>` : ''}${body}</svg>`;
+}
+
+function buildSVG(layout, paints, logo) {
+  const { defs, body } = svgParts(layout, paints, logo);
+  return svgDocument(layout.width, layout.height, defs, body);
+}
+
+// Single entry point: encode content once, render it as often as needed.
+// `version` 0 picks the smallest that fits and `mask` -1 the lowest-penalty mask.
+// `symbol` 'micro' makes a Micro QR code instead (versions M1-M4, masks 0-3, no logo),
+// 'rmqr' a rectangular Micro QR code (versions 1-32 for R7x43-R17x139, levels M and H,
+// one fixed mask, no logo).
+// `overlay` 'swiss-cross' marks a QR-bill, which takes no logo of its own.
+export function createQR(content, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  if (opts.symbol === 'micro') return createMicroQR(content, opts);
+  if (opts.symbol === 'rmqr') return createRMQR(content, opts);
+  if (opts.overlay && opts.logo) throw new Error('A QR-bill carries the Swiss cross and no other logo. Remove the logo.');
+  const encodeAt = version => encodeText(content, {
+    ec: opts.ec, version, mask: opts.mask, encoding: opts.encoding, eci: opts.eci, sequence: opts.sequence
+  });
+  let symbol = encodeAt(opts.version);
+  let layout = computeLayout(symbol.matrix, opts);
+
+  // A knockout logo must leave every block repairable; a larger version spreads
+  // the hidden codewords differently, so try a few before giving up. A version
+  // chosen by the user is kept as is.
+  const limit = opts.version ? symbol.version : Math.min(40, symbol.version + MAX_KNOCKOUT_STEPS);
+  while (knockoutUsage(layout, opts.ec) > 1) {
+    if (symbol.version >= limit) {
+      const larger = opts.version ? ', choose a larger version' : '';
+      throw new Error(`The logo hides more data than error correction level ${opts.ec} can recover. Make the logo smaller${larger} or switch to overlay.`);
+    }
+    symbol = encodeAt(symbol.version + 1);
+    layout = computeLayout(symbol.matrix, opts);
+  }
+  return qrResult(content, opts, symbol, layout);
+}
+
+function createMicroQR(content, opts) {
+  if (opts.logo) throw new Error('Micro QR codes are too small for a logo. Remove the logo or switch to a regular QR code.');
+  const symbol = encodeMicro(content, { ec: opts.ec, version: opts.version, mask: opts.mask, encoding: opts.encoding });
+  return qrResult(content, opts, symbol, computeLayout(symbol.matrix, opts));
+}
+
+function createRMQR(content, opts) {
+  if (opts.logo) throw new Error('rMQR codes are too narrow for a logo. Remove the logo or switch to a regular QR code.');
+  const symbol = encodeRMQR(content, { ec: opts.ec, version: opts.version, encoding: opts.encoding });
+  return qrResult(content, opts, symbol, computeLayout(symbol.matrix, opts));
+}
+
+function qrResult(content, opts, symbol, layout) {
+  const { matrix } = symbol;
+  const paints = resolvePaints(opts, layout);
+
+  return {
+    content,
+    options: opts,
+    count: matrix[0].length,
+    rows: matrix.length,
+    version: symbol.version,
+    mask: symbol.mask,
+    segments: symbol.segments,
+    matrix,
+    layout,
+    paints,
+    isDark: (row, col) => matrix[row][col],
+    renderCanvas: canvas => drawCanvas(canvas, layout, paints, opts.logo),
+    renderSVG: () => buildSVG(layout, paints, opts.logo)
+  };
+}
+
+// Content too long for one symbol is split into up to 16 linked Structured Append
+// symbols of one version, which compliant readers join back together. Returns a
+// plain createQR() result when the content fits in one symbol. The set renders
+// as one combined image, `columns` symbols wide. Micro QR and rMQR have no Structured Append.
+export function createQRSet(content, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const encoding = { encoding: opts.encoding, eci: opts.eci };
+  if (opts.symbol === 'micro' || opts.symbol === 'rmqr') return createQR(content, opts);
+  if (opts.version ? fits(content, opts.version, opts.ec, encoding) : fitVersion(content, opts.ec, encoding)) {
+    return createQR(content, opts);
+  }
+
+  const { version, parts } = splitText(content, opts.ec, encoding, opts.version);
+  const parity = structuredParity(content);
+  const symbols = parts.map((part, index) =>
+    createQR(part, { ...opts, version, sequence: { index, total: parts.length, parity } })
+  );
+
+  const columns = Math.min(parts.length, Math.ceil(Math.sqrt(parts.length)));
+  const rows = Math.ceil(parts.length / columns);
+  const { size: side, cell } = symbols[0].layout;
+  // Keep symbols apart even with a narrow quiet zone
+  const gap = cell * Math.max(0, MIN_SET_GAP - opts.margin);
+  const width = columns * side + (columns - 1) * gap;
+  const height = rows * side + (rows - 1) * gap;
+  const origin = i => [(i % columns) * (side + gap), Math.floor(i / columns) * (side + gap)];
+
+  return {
+    content,
+    options: opts,
+    version,
+    symbols,
+    columns,
+    width,
+    height,
+    renderCanvas: canvas => {
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = opts.bg;
+      ctx.fillRect(0, 0, width, height);
+      symbols.forEach((symbol, i) => {
+        ctx.save();
+        ctx.translate(...origin(i));
+        drawLayers(ctx, symbol.layout, symbol.paints, opts.logo);
+        ctx.restore();
+      });
+      return canvas;
+    },
+    renderSVG: () => {
+      const parts = symbols.map((symbol, i) => svgParts(symbol.layout, symbol.paints, opts.logo, `qr-fill-${i}`));
+      const body = parts.map(({ body }, i) => `<g transform="translate(${origin(i).join(' ')})">${body}</g>`).join('');
+      return svgDocument(width, height, parts.map(part => part.defs).join(''),
+        `<rect width="${width}" height="${height}" fill="${opts.bg}"/>${body}`);
+    }
+  };
+}
@@ -0,0 +1,266 @@
+// QR Specification Module
+// Shared ISO/IEC 18004 tables, Galois field arithmetic and symbol geometry
+
+export const EC_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Two-bit error correction indicator stored in the format information
+export const EC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Error correction codewords per block, indexed by version (1-40)
+const EC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+// Number of error correction blocks, indexed by version (1-40)
+const EC_BLOCK_COUNT = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+export const MODE = {
+  NUMERIC: 0x1,
+  ALPHANUMERIC: 0x2,
+  STRUCTURED_APPEND: 0x3,
+  BYTE: 0x4,
+  FNC1_FIRST: 0x5,
+  ECI: 0x7,
+  KANJI: 0x8,
+  FNC1_SECOND: 0x9
+};
+
+export const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Width of the character count indicator for a mode at a given version
+export function charCountBits(mode, version) {
+  const range = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+  switch (mode) {
+    case MODE.NUMERIC: return [10, 12, 14][range];
+    case MODE.ALPHANUMERIC: return [9, 11, 13][range];
+    case MODE.BYTE: return [8, 16, 16][range];
+    case MODE.KANJI: return [8, 10, 12][range];
+    default: throw new Error(`Unknown mode ${mode}`);
+  }
+}
+
+export const symbolSize = version => version * 4 + 17;
+
+// Modules available for data and error correction codewords
+export function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    result -= (25 * align - 10) * align - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+export function blockLayout(version, ecLevel) {
+  const ecPerBlock = EC_CODEWORDS_PER_BLOCK[ecLevel][version];
+  const blocks = EC_BLOCK_COUNT[ecLevel][version];
+  const total = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blocks - total % blocks;
+  const shortBlockLength = Math.floor(total / blocks);
+  return {
+    blocks,
+    ecPerBlock,
+    total,
+    shortBlocks,
+    shortDataLength: shortBlockLength - ecPerBlock,
+    dataCodewords: total - ecPerBlock * blocks
+  };
+}
+
+export const dataCodewords = (version, ecLevel) => blockLayout(version, ecLevel).dataCodewords;
+
+export function alignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = symbolSize(version) - 7; result.length < count; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+// Galois field GF(2^8) with the QR primitive polynomial x^8 + x^4 + x^3 + x^2 + 1
+export const GF_EXP = new Uint8Array(512);
+export const GF_LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    GF_EXP[i] = x;
+    GF_LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= 0x11D;
+  }
+  for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+})();
+
+export function gfMul(a, b) {
+  return a && b ? GF_EXP[GF_LOG[a] + GF_LOG[b]] : 0;
+}
+
+export function gfDiv(a, b) {
+  if (!b) throw new Error('Division by zero in GF(256)');
+  return a ? GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255] : 0;
+}
+
+// 15-bit format information (BCH code, masked) for an EC level and mask
+export function formatBits(ecLevel, mask) {
+  const data = (EC_FORMAT_BITS[ecLevel] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+// 18-bit version information (BCH code) for versions 7 and up
+export function versionBits(version) {
+  let rem = version;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+  return (version << 12) | rem;
+}
+
+// Module coordinates ([row, col]) of both format information copies, bit 0 first
+export function formatPositions(size) {
+  const first = [];
+  const second = [];
+  for (let i = 0; i <= 5; i++) first.push([i, 8]);
+  first.push([7, 8], [8, 8], [8, 7]);
+  for (let i = 9; i < 15; i++) first.push([8, 14 - i]);
+  for (let i = 0; i < 8; i++) second.push([8, size - 1 - i]);
+  for (let i = 8; i < 15; i++) second.push([size - 15 + i, 8]);
+  return [first, second];
+}
+
+// Module coordinates ([row, col]) of both version information copies, bit 0 first
+export function versionPositions(size) {
+  const first = [];
+  const second = [];
+  for (let i = 0; i < 18; i++) {
+    const a = size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    first.push([b, a]);
+    second.push([a, b]);
+  }
+  return [first, second];
+}
+
+export const MASKS = [
+  (r, c) => (r + c) % 2 === 0,
+  (r, c) => r % 2 === 0,
+  (r, c) => c % 3 === 0,
+  (r, c) => (r + c) % 3 === 0,
+  (r, c) => (Math.floor(r / 2) + Math.floor(c / 3)) % 2 === 0,
+  (r, c) => (r * c) % 2 + (r * c) % 3 === 0,
+  (r, c) => ((r * c) % 2 + (r * c) % 3) % 2 === 0,
+  (r, c) => ((r + c) % 2 + (r * c) % 3) % 2 === 0
+];
+
+export const REGION = {
+  DATA: 0,
+  FINDER: 1,
+  SEPARATOR: 2,
+  TIMING: 3,
+  ALIGNMENT: 4,
+  FORMAT: 5,
+  VERSION: 6,
+  DARK: 7
+};
+
+// Top-left corners of the three finder patterns: top-left, top-right, bottom-left
+export const finderOrigins = size => [[0, 0], [0, size - 7], [size - 7, 0]];
+
+// Centers of the alignment patterns, skipping the three that would overlap a finder
+export function alignmentCenters(version) {
+  const align = alignmentPositions(version);
+  const last = align.length - 1;
+  const centers = [];
+  align.forEach((row, i) => {
+    align.forEach((col, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      centers.push([row, col]);
+    });
+  });
+  return centers;
+}
+
+// Classify every module of a version's symbol by the pattern it belongs to
+export function functionRegions(version) {
+  const size = symbolSize(version);
+  const regions = Array.from({ length: size }, () => new Uint8Array(size));
+  const mark = (r, c, region) => {
+    if (r >= 0 && r < size && c >= 0 && c < size) regions[r][c] = region;
+  };
+
+  for (let i = 0; i < size; i++) {
+    mark(6, i, REGION.TIMING);
+    mark(i, 6, REGION.TIMING);
+  }
+
+  finderOrigins(size).forEach(([top, left]) => {
+    for (let r = -1; r <= 7; r++) {
+      for (let c = -1; c <= 7; c++) {
+        const inside = r >= 0 && r < 7 && c >= 0 && c < 7;
+        mark(top + r, left + c, inside ? REGION.FINDER : REGION.SEPARATOR);
+      }
+    }
+  });
+
+  alignmentCenters(version).forEach(([row, col]) => {
+    for (let r = -2; r <= 2; r++) {
+      for (let c = -2; c <= 2; c++) mark(row + r, col + c, REGION.ALIGNMENT);
+    }
+  });
+
+  formatPositions(size).flat().forEach(([r, c]) => mark(r, c, REGION.FORMAT));
+  if (version >= 7) {
+    versionPositions(size).flat().forEach(([r, c]) => mark(r, c, REGION.VERSION));
+  }
+  mark(size - 8, 8, REGION.DARK);
+
+  return regions;
+}
+
+// Data module coordinates ([row, col]) in codeword bit order
+export function dataModuleOrder(version, regions = functionRegions(version)) {
+  const size = symbolSize(version);
+  const order = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const row = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const col = right - j;
+        if (regions[row][col] === REGION.DATA) order.push([row, col]);
+      }
+    }
+  }
+  return order;
+}
+
+// Position of each interleaved codeword within its block: [block, index]
+export function codewordBlocks(version, ecLevel) {
+  const { blocks, ecPerBlock, shortBlocks, shortDataLength } = blockLayout(version, ecLevel);
+  const positions = [];
+  const longDataLength = shortDataLength + 1;
+  for (let i = 0; i < longDataLength; i++) {
+    for (let b = 0; b < blocks; b++) {
+      if (i < shortDataLength || b >= shortBlocks) positions.push([b, i]);
+    }
+  }
+  for (let i = 0; i < ecPerBlock; i++) {
+    for (let b = 0; b < blocks; b++) {
+      const dataLength = b < shortBlocks ? shortDataLength : longDataLength;
+      positions.push([b, dataLength + i]);
+    }
+  }
+  return positions;
+}
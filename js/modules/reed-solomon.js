@@ -0,0 +1,112 @@
+// Reed-Solomon Module
+// Error correction encoding and decoding over GF(256) as used by QR symbols
+
+import { GF_EXP, GF_LOG, gfMul, gfDiv } from './qr-spec.js';
+
+const generators = new Map();
+
+// Generator polynomial with roots α^0 … α^(degree-1), highest power first
+function generator(degree) {
+  if (generators.has(degree)) return generators.get(degree);
+  let poly = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(poly.length + 1).fill(0);
+    for (let j = 0; j < poly.length; j++) {
+      next[j] ^= poly[j];
+      next[j + 1] ^= gfMul(poly[j], GF_EXP[i]);
+    }
+    poly = next;
+  }
+  generators.set(degree, poly);
+  return poly;
+}
+
+// Error correction codewords for a block of data codewords
+export function rsEncode(data, ecCount) {
+  const gen = generator(ecCount);
+  const result = new Array(ecCount).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    for (let i = 0; i < ecCount; i++) result[i] ^= gfMul(gen[i + 1], factor);
+  }
+  return result;
+}
+
+// Evaluate a polynomial stored lowest power first
+function evalLow(poly, x) {
+  let result = 0;
+  for (let i = poly.length - 1; i >= 0; i--) result = gfMul(result, x) ^ poly[i];
+  return result;
+}
+
+// Correct a received block (data followed by EC codewords) in place.
+// Returns the number of corrected codewords or throws when unrecoverable.
+export function rsDecode(block, ecCount) {
+  const n = block.length;
+  const syndromes = new Array(ecCount);
+  let clean = true;
+  for (let i = 0; i < ecCount; i++) {
+    let s = 0;
+    for (let j = 0; j < n; j++) s = gfMul(s, GF_EXP[i]) ^ block[j];
+    syndromes[i] = s;
+    if (s) clean = false;
+  }
+  if (clean) return 0;
+
+  // Berlekamp-Massey: error locator polynomial, lowest power first
+  let locator = [1];
+  let previous = [1];
+  let length = 0;
+  let shift = 1;
+  let lastDiscrepancy = 1;
+  for (let k = 0; k < ecCount; k++) {
+    let delta = syndromes[k];
+    for (let i = 1; i <= length; i++) delta ^= gfMul(locator[i] || 0, syndromes[k - i]);
+    if (delta === 0) {
+      shift++;
+      continue;
+    }
+    const coef = gfDiv(delta, lastDiscrepancy);
+    const updated = locator.slice();
+    for (let i = 0; i < previous.length; i++) {
+      updated[i + shift] = (updated[i + shift] || 0) ^ gfMul(coef, previous[i]);
+    }
+    if (2 * length <= k) {
+      previous = locator;
+      length = k + 1 - length;
+      lastDiscrepancy = delta;
+      shift = 1;
+    } else {
+      shift++;
+    }
+    locator = updated;
+  }
+  if (2 * length > ecCount) throw new Error('Too many errors to correct');
+
+  // Chien search: position j holds the coefficient of x^(n-1-j)
+  const positions = [];
+  for (let j = 0; j < n; j++) {
+    const inverse = GF_EXP[(255 - (n - 1 - j) % 255) % 255];
+    if (evalLow(locator, inverse) === 0) positions.push(j);
+  }
+  if (positions.length !== length) throw new Error('Too many errors to correct');
+
+  // Forney: error evaluator Ω = S·Λ mod x^ecCount
+  const evaluator = new Array(ecCount).fill(0);
+  for (let i = 0; i < ecCount; i++) {
+    for (let j = 0; j <= i && j < locator.length; j++) {
+      evaluator[i] ^= gfMul(locator[j], syndromes[i - j]);
+    }
+  }
+  const derivative = locator.map((c, i) => (i % 2 ? c : 0)).slice(1);
+
+  for (const j of positions) {
+    const x = GF_EXP[(n - 1 - j) % 255];
+    const xInverse = GF_EXP[(255 - GF_LOG[x]) % 255];
+    const denominator = evalLow(derivative, xInverse);
+    if (!denominator) throw new Error('Too many errors to correct');
+    block[j] ^= gfMul(x, gfDiv(evalLow(evaluator, xInverse), denominator));
+  }
+  return positions.length;
+}
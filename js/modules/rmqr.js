@@ -0,0 +1,316 @@
+// rMQR Module
+// Rectangular Micro QR symbols R7x43-R17x139 (ISO/IEC 23941): a finder pattern at the
+// top left, a sub-finder at the bottom right, corner patterns in the other two corners,
+// timing along every edge and down the alignment columns, and a single fixed mask.
+// Only levels M and H exist.
+
+import { segmentText } from './qr-encoder.js';
+import { MASKS, MODE, REGION } from './qr-spec.js';
+import { rsEncode } from './reed-solomon.js';
+
+// Height, width, alignment pattern columns, then error correction codewords and
+// blocks at M and H, for versions 1-32 (version indicator 0-31)
+const SPECS = [
+  [7, 43, [21], [7, 1], [10, 1]],
+  [7, 59, [19, 39], [9, 1], [14, 1]],
+  [7, 77, [25, 51], [12, 1], [22, 1]],
+  [7, 99, [23, 49, 75], [16, 1], [30, 1]],
+  [7, 139, [27, 55, 83, 111], [24, 1], [44, 2]],
+  [9, 43, [21], [9, 1], [14, 1]],
+  [9, 59, [19, 39], [12, 1], [22, 1]],
+  [9, 77, [25, 51], [18, 1], [32, 2]],
+  [9, 99, [23, 49, 75], [24, 1], [44, 2]],
+  [9, 139, [27, 55, 83, 111], [36, 2], [66, 3]],
+  [11, 27, [], [8, 1], [10, 1]],
+  [11, 43, [21], [12, 1], [20, 1]],
+  [11, 59, [19, 39], [16, 1], [32, 2]],
+  [11, 77, [25, 51], [24, 1], [44, 2]],
+  [11, 99, [23, 49, 75], [32, 2], [60, 2]],
+  [11, 139, [27, 55, 83, 111], [48, 2], [90, 3]],
+  [13, 27, [], [9, 1], [14, 1]],
+  [13, 43, [21], [14, 1], [28, 1]],
+  [13, 59, [19, 39], [22, 1], [40, 2]],
+  [13, 77, [25, 51], [32, 2], [56, 2]],
+  [13, 99, [23, 49, 75], [40, 2], [78, 3]],
+  [13, 139, [27, 55, 83, 111], [60, 3], [112, 4]],
+  [15, 43, [21], [18, 1], [36, 2]],
+  [15, 59, [19, 39], [26, 1], [48, 2]],
+  [15, 77, [25, 51], [36, 2], [72, 3]],
+  [15, 99, [23, 49, 75], [48, 2], [88, 4]],
+  [15, 139, [27, 55, 83, 111], [72, 3], [130, 5]],
+  [17, 43, [21], [22, 1], [40, 2]],
+  [17, 59, [19, 39], [32, 2], [60, 2]],
+  [17, 77, [25, 51], [44, 2], [84, 3]],
+  [17, 99, [23, 49, 75], [60, 3], [104, 4]],
+  [17, 139, [27, 55, 83, 111], [80, 4], [156, 6]]
+];
+
+// Character count bits per version for numeric, alphanumeric, byte and Kanji
+const COUNT_BITS = [
+  [4, 3, 3, 2], [5, 5, 4, 3], [6, 5, 5, 4], [7, 6, 5, 5], [7, 6, 6, 5],
+  [5, 5, 4, 3], [6, 5, 5, 4], [7, 6, 5, 5], [7, 6, 6, 5], [8, 7, 6, 6],
+  [4, 4, 3, 2], [6, 5, 5, 4], [7, 6, 5, 5], [7, 6, 6, 5], [8, 7, 6, 6], [8, 7, 7, 6],
+  [5, 5, 4, 3], [6, 6, 5, 5], [7, 6, 6, 5], [7, 7, 6, 6], [8, 7, 7, 6], [8, 8, 7, 7],
+  [7, 6, 6, 5], [7, 7, 6, 5], [8, 7, 7, 6], [8, 7, 7, 6], [9, 8, 7, 7],
+  [7, 6, 6, 5], [8, 7, 6, 6], [8, 7, 7, 6], [8, 8, 7, 6], [9, 8, 8, 7]
+];
+
+export const RMQR_VERSIONS = SPECS.map((_, i) => i + 1);
+export const rmqrLevels = () => ['M', 'H'];
+export const rmqrDimensions = version => SPECS[version - 1].slice(0, 2);
+export const rmqrName = version => `R${SPECS[version - 1][0]}x${SPECS[version - 1][1]}`;
+
+// Version of a matrix with the given rows and columns, or 0 if no rMQR size matches
+export const rmqrVersionOf = (rows, columns) => SPECS.findIndex(([h, w]) => h === rows && w === columns) + 1;
+
+// Auto sizing picks the symbol with the fewest modules, the shorter one on a tie
+const BY_AREA = RMQR_VERSIONS.slice().sort((a, b) => {
+  const [ha, wa] = rmqrDimensions(a);
+  const [hb, wb] = rmqrDimensions(b);
+  return ha * wa - hb * wb || ha - hb;
+});
+
+// Modes in mode indicator order (001-100); indicators are 3 bits
+const MODES = [MODE.NUMERIC, MODE.ALPHANUMERIC, MODE.BYTE, MODE.KANJI];
+const countBits = (mode, version) => COUNT_BITS[version - 1][MODES.indexOf(mode)];
+
+// The only mask rMQR uses is QR mask 4
+const RMQR_MASK = MASKS[4];
+
+// Format information masks for the finder and sub-finder sides
+const FORMAT_MASKS = [0x1FAB2, 0x20A7B];
+
+export function rmqrRegions(version) {
+  const [height, width, alignment] = SPECS[version - 1];
+  const regions = Array.from({ length: height }, () => new Uint8Array(width));
+  const mark = (top, left, rows, columns, region) => {
+    for (let r = top; r < top + rows; r++) {
+      for (let c = left; c < left + columns; c++) {
+        if (r >= 0 && r < height && c >= 0 && c < width) regions[r][c] = region;
+      }
+    }
+  };
+
+  mark(0, 0, 1, width, REGION.TIMING);
+  mark(height - 1, 0, 1, width, REGION.TIMING);
+  mark(0, 0, height, 1, REGION.TIMING);
+  mark(0, width - 1, height, 1, REGION.TIMING);
+  alignment.forEach(col => {
+    mark(0, col, height, 1, REGION.TIMING);
+    mark(0, col - 1, 3, 3, REGION.ALIGNMENT);
+    mark(height - 3, col - 1, 3, 3, REGION.ALIGNMENT);
+  });
+  // Corner patterns: top right and, below the finder's separator, bottom left
+  mark(0, width - 3, 1, 3, REGION.ALIGNMENT);
+  mark(1, width - 2, 1, 2, REGION.ALIGNMENT);
+  if (height > 7) {
+    mark(height - 1, 0, 1, 3, REGION.ALIGNMENT);
+    mark(height - 2, 0, 1, 2, REGION.ALIGNMENT);
+  }
+
+  mark(0, 0, 8, 8, REGION.SEPARATOR);
+  mark(0, 0, 7, 7, REGION.FINDER);
+  mark(height - 5, width - 5, 5, 5, REGION.ALIGNMENT);
+
+  mark(1, 8, 5, 3, REGION.FORMAT);
+  mark(1, 11, 3, 1, REGION.FORMAT);
+  mark(height - 6, width - 8, 5, 3, REGION.FORMAT);
+  mark(height - 6, width - 5, 1, 3, REGION.FORMAT);
+  return regions;
+}
+
+// Error correction blocks: total codewords, data codewords and block sizes
+function blockLayout(version, ec) {
+  const [height, width, , m, h] = SPECS[version - 1];
+  const regions = rmqrRegions(version);
+  const modules = regions.reduce((sum, row) => sum + row.filter(region => region === REGION.DATA).length, 0);
+  const total = Math.floor(modules / 8);
+  const [ecCount, blocks] = ec === 'H' ? h : m;
+  const data = total - ecCount;
+  return {
+    height, width, regions, total, data, blocks,
+    ecPerBlock: ecCount / blocks,
+    shortBlocks: blocks - data % blocks,
+    shortDataLength: Math.floor(data / blocks)
+  };
+}
+
+const headerBits = version => mode => 3 + countBits(mode, version);
+
+// Segments for the text at a version, or null if no mode can encode it
+export function rmqrSegments(text, version, encoding = 'auto') {
+  return segmentText(text, MODES, headerBits(version), encoding);
+}
+
+// Bits needed for the segments at a version, or Infinity if they cannot be encoded
+function bitLength(segments, version) {
+  if (!segments) return Infinity;
+  let bits = 0;
+  for (const s of segments) {
+    const length = countBits(s.mode, version);
+    if (s.count >= 2 ** length) return Infinity;
+    bits += 3 + length + s.chunks.reduce((sum, [, size]) => sum + size, 0);
+  }
+  return bits;
+}
+
+const capacityBits = (version, ec) => blockLayout(version, ec).data * 8;
+
+// Smallest symbol holding the text at a level, or 0 if none does
+export function fitRmqrVersion(text, ec, { encoding = 'auto' } = {}) {
+  return BY_AREA.find(version => bitLength(rmqrSegments(text, version, encoding), version) <= capacityBits(version, ec)) || 0;
+}
+
+// Bytes used versus available at each level
+export function rmqrCapacity(text, version, { encoding = 'auto' } = {}) {
+  const bits = bitLength(rmqrSegments(text, version, encoding), version);
+  return rmqrLevels().map(ec => {
+    const available = capacityBits(version, ec);
+    return { ec, used: Math.ceil(bits / 8), available: available / 8, fits: bits <= available };
+  });
+}
+
+// Data module coordinates in bit order: two-column zigzag from the right edge
+function moduleOrder(height, width, regions) {
+  const order = [];
+  for (let right = width - 2, pair = 0; right >= 1; right -= 2, pair++) {
+    for (let vert = 0; vert < height; vert++) {
+      const row = pair % 2 === 0 ? height - 1 - vert : vert;
+      for (let col = right; col > right - 2; col--) {
+        if (regions[row][col] === REGION.DATA) order.push([row, col]);
+      }
+    }
+  }
+  return order;
+}
+
+// 18-bit format information: level and version indicator, BCH coded; each side has its own mask
+function formatBits(version, ec) {
+  const data = ((ec === 'H' ? 1 : 0) << 5) | (version - 1);
+  let rem = data;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+  return FORMAT_MASKS.map(mask => ((data << 12) | rem) ^ mask);
+}
+
+// Data codewords: segments, terminator and pad bytes
+function dataCodewords(segments, version, capacity) {
+  const bits = [];
+  const put = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  segments.forEach(segment => {
+    put(MODES.indexOf(segment.mode) + 1, 3);
+    put(segment.count, countBits(segment.mode, version));
+    segment.chunks.forEach(([value, length]) => put(value, length));
+  });
+  put(0, Math.min(3, capacity * 8 - bits.length));
+  while (bits.length % 8) bits.push(0);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  for (let i = 0; codewords.length < capacity; i++) codewords.push(i % 2 ? 0x11 : 0xEC);
+  return codewords;
+}
+
+// Interleave the data and error correction codewords of every block
+function interleave(codewords, layout) {
+  const { blocks, ecPerBlock, shortBlocks, shortDataLength } = layout;
+  const dataBlocks = [];
+  for (let b = 0, offset = 0; b < blocks; b++) {
+    const length = shortDataLength + (b < shortBlocks ? 0 : 1);
+    dataBlocks.push(codewords.slice(offset, offset + length));
+    offset += length;
+  }
+  const ecBlocks = dataBlocks.map(block => rsEncode(block, ecPerBlock));
+  const result = [];
+  for (let i = 0; i <= shortDataLength; i++) {
+    dataBlocks.forEach(block => {
+      if (i < block.length) result.push(block[i]);
+    });
+  }
+  for (let i = 0; i < ecPerBlock; i++) ecBlocks.forEach(block => result.push(block[i]));
+  return result;
+}
+
+// Finder, sub-finder, corner, alignment and timing modules
+function drawPatterns(modules, height, width, alignment) {
+  for (let c = 0; c < width; c++) {
+    modules[0][c] = modules[height - 1][c] = c % 2 === 0 ? 1 : 0;
+  }
+  for (let r = 0; r < height; r++) {
+    modules[r][0] = modules[r][width - 1] = r % 2 === 0 ? 1 : 0;
+  }
+  alignment.forEach(col => {
+    for (let r = 0; r < height; r++) modules[r][col] = r % 2 === 0 ? 1 : 0;
+    [1, height - 2].forEach(center => {
+      for (let r = -1; r <= 1; r++) {
+        for (let c = -1; c <= 1; c++) modules[center + r][col + c] = r || c ? 1 : 0;
+      }
+    });
+  });
+
+  modules[0][width - 2] = modules[0][width - 3] = modules[1][width - 1] = 1;
+  modules[1][width - 2] = 0;
+  if (height > 7) {
+    modules[height - 1][1] = modules[height - 1][2] = modules[height - 2][0] = 1;
+    modules[height - 2][1] = 0;
+  }
+
+  for (let r = 0; r < Math.min(8, height); r++) {
+    for (let c = 0; c < 8; c++) {
+      const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+      modules[r][c] = ring === 2 || ring === 4 ? 0 : ring < 4 ? 1 : modules[r][c];
+    }
+  }
+  for (let r = 0; r < 5; r++) {
+    for (let c = 0; c < 5; c++) {
+      modules[height - 5 + r][width - 5 + c] = Math.max(Math.abs(r - 2), Math.abs(c - 2)) === 1 ? 0 : 1;
+    }
+  }
+}
+
+// Encode text as an rMQR symbol. `version` 0 picks the smallest; 1-32 are R7x43-R17x139.
+export function encodeRMQR(text, { ec = 'M', version = 0, encoding = 'auto' } = {}) {
+  if (version && !RMQR_VERSIONS.includes(version)) throw new Error(`rMQR version must be 1 to ${RMQR_VERSIONS.length}, got ${version}`);
+  if (!rmqrLevels().includes(ec)) throw new Error('rMQR supports error correction M and H only');
+
+  const chosen = version || fitRmqrVersion(text, ec, { encoding });
+  if (!chosen) throw new Error(`Content is too long for rMQR at error correction level ${ec}`);
+  const segments = rmqrSegments(text, chosen, encoding);
+  if (!segments) throw new Error(`rMQR ${rmqrName(chosen)} cannot encode these characters`);
+  const layout = blockLayout(chosen, ec);
+  const needed = bitLength(segments, chosen);
+  if (needed > layout.data * 8) {
+    throw new Error(`Content needs ${Math.ceil(needed / 8)} bytes but ${rmqrName(chosen)} holds ${layout.data} at level ${ec}`);
+  }
+
+  const { height, width, regions } = layout;
+  const bits = [];
+  interleave(dataCodewords(segments, chosen, layout.data), layout).forEach(byte => {
+    for (let i = 7; i >= 0; i--) bits.push((byte >>> i) & 1);
+  });
+
+  const modules = Array.from({ length: height }, () => new Uint8Array(width));
+  drawPatterns(modules, height, width, SPECS[chosen - 1][2]);
+  moduleOrder(height, width, regions).forEach(([r, c], i) => {
+    modules[r][c] = (bits[i] || 0) ^ (RMQR_MASK(r, c) ? 1 : 0);
+  });
+
+  // Format information, least significant bit first, down columns of five beside
+  // the finder and beside the sub-finder
+  const [left, right] = formatBits(chosen, ec);
+  for (let i = 0; i < 18; i++) {
+    const [r, c] = i < 15 ? [1 + i % 5, 8 + Math.floor(i / 5)] : [1 + i - 15, 11];
+    const [rr, rc] = i < 15 ? [height - 6 + i % 5, width - 8 + Math.floor(i / 5)] : [height - 6, width - 5 + i - 15];
+    modules[r][c] = (left >>> i) & 1;
+    modules[rr][rc] = (right >>> i) & 1;
+  }
+
+  return {
+    version: chosen,
+    ec,
+    mask: 0,
+    segments,
+    matrix: modules.map(row => Array.from(row, v => v === 1))
+  };
+}
@@ -0,0 +1,261 @@
+// Scannability Module
+// Checks a generated code for problems scanners commonly trip over, each with a suggested fix
+
+import { blockLayout, functionRegions, REGION } from './qr-spec.js';
+import { knockoutUsage, QUIET_ZONE } from './qr-render.js';
+
+const MIN_CONTRAST = 3;
+const GOOD_CONTRAST = 4.5;
+// A module should span at least 1/250 of the scan distance (the usual 10:1 rule for a 25-module code)
+const DISTANCE_PER_MODULE = 250;
+const MIN_QUIET_ZONE = 2;
+const SAFE_LOGO_USAGE = 0.6;
+const MIN_LOGO_PERCENT = 10;
+
+// WCAG relative luminance of a #rrggbb color
+export function relativeLuminance(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  const [r, g, b] = [value >> 16, (value >> 8) & 0xff, value & 0xff].map(c => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+export function contrastRatio(a, b) {
+  const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// Darken a color in steps until it reaches the target contrast against `bg`
+export function darkenForContrast(hex, bg, target = GOOD_CONTRAST) {
+  const value = parseInt(hex.slice(1), 16);
+  const rgb = [value >> 16, (value >> 8) & 0xff, value & 0xff];
+  for (let scale = 1; scale >= 0; scale -= 0.05) {
+    const candidate = '#' + rgb.map(c => Math.round(c * scale).toString(16).padStart(2, '0')).join('');
+    if (contrastRatio(candidate, bg) >= target) return candidate;
+  }
+  return '#000000';
+}
+
+// Design keys holding module colors for each fill mode
+function colorKeys(fill) {
+  if (fill === 'linear' || fill === 'radial') return ['gradientColors'];
+  if (fill === 'regions') return ['fg', 'eyeOuterColor', 'eyeInnerColor', 'alignmentColor', 'timingColor'];
+  return ['fg', 'eyeOuterColor', 'eyeInnerColor'];
+}
+
+const splitColors = value => String(value || '').split(',').map(c => c.trim()).filter(c => /^#[0-9A-Fa-f]{6}$/.test(c));
+
+// Colors that actually paint modules, gradient stops included
+function moduleColors(qr) {
+  const colors = new Set();
+  qr.layout.layers.forEach(layer => {
+    if (layer.image || layer.overlay || layer.paint === 'bg' || !layer.path.length) return;
+    const paint = qr.paints[layer.paint];
+    if (typeof paint === 'string') colors.add(paint.toLowerCase());
+    else paint.stops.forEach(stop => colors.add(stop.color.toLowerCase()));
+  });
+  return Array.from(colors);
+}
+
+// Share of the error-correction capacity used up by data modules hidden under the logo
+export function logoBudget(qr) {
+  const { layout, options } = qr;
+  if (!layout.logo) return null;
+
+  const version = (layout.count - 17) / 4;
+  const regions = functionRegions(version);
+  const dataModules = regions.reduce((sum, row) => sum + row.filter(region => region === REGION.DATA).length, 0);
+
+  // Knockout clears exact modules, so the per-block damage is known
+  if (layout.knockout.length) {
+    return { share: layout.knockout.length / dataModules, usage: knockoutUsage(layout, options.ec) };
+  }
+
+  const { x, y, width, height } = layout.logo.bounds;
+  let covered = 0;
+  for (let r = 0; r < layout.count; r++) {
+    for (let c = 0; c < layout.count; c++) {
+      if (regions[r][c] !== REGION.DATA) continue;
+      const cx = layout.quietZone + (c + 0.5) * layout.cell;
+      const cy = layout.quietZone + (r + 0.5) * layout.cell;
+      if (cx >= x && cx <= x + width && cy >= y && cy <= y + height) covered++;
+    }
+  }
+
+  // Each block can repair half as many codewords as it has EC codewords
+  const { ecPerBlock, shortDataLength } = blockLayout(version, options.ec);
+  const capacity = Math.floor(ecPerBlock / 2) / (shortDataLength + ecPerBlock);
+  const share = covered / dataModules;
+  return { share, usage: share / capacity };
+}
+
+// Smallest printed width (quiet zone included) that scans from `distance` mm away
+export function minimumPrintSize(count, margin, distance) {
+  const module = distance / DISTANCE_PER_MODULE;
+  return { module, symbol: module * (count + margin * 2) };
+}
+
+// Full report for a createQR() result. `distance` and `printSize` are in mm.
+export function analyzeCode(qr, { distance, printSize = null }) {
+  const design = qr.options;
+  const issues = [];
+  const colors = moduleColors(qr);
+  const bgLuminance = relativeLuminance(design.bg);
+
+  const ratios = colors.map(color => ({ color, ratio: contrastRatio(color, design.bg) }));
+  const worst = ratios.reduce((a, b) => (b.ratio < a.ratio ? b : a), ratios[0] || { ratio: 21 });
+  const inverted = colors.some(color => relativeLuminance(color) > bgLuminance);
+
+  if (inverted) {
+    const fix = design.fill === 'solid'
+      ? { label: 'Swap colors', design: swapColors(design) }
+      : { label: 'Use a white background', design: { bg: '#ffffff' } };
+    issues.push({
+      level: 'error',
+      message: 'Modules are lighter than the background. Many scanners only read dark modules on a light background.',
+      fix
+    });
+  } else if (worst.ratio < GOOD_CONTRAST) {
+    issues.push({
+      level: worst.ratio < MIN_CONTRAST ? 'error' : 'warning',
+      message: `Contrast of ${worst.ratio.toFixed(1)}:1 between ${worst.color} and the background is ${worst.ratio < MIN_CONTRAST ? 'too low to scan reliably' : 'below the recommended 4.5:1'}.`,
+      fix: contrastFix(design)
+    });
+  }
+
+  const budget = logoBudget(qr);
+  if (budget && budget.usage >= SAFE_LOGO_USAGE) {
+    const over = budget.usage >= 1;
+    const percent = Math.floor(design.logoPercent * Math.sqrt(SAFE_LOGO_USAGE / budget.usage) / 5) * 5;
+    let fix = null;
+    if (design.ec !== 'H') fix = { label: 'Raise error correction to H', design: { ec: 'H' } };
+    else if (percent >= MIN_LOGO_PERCENT) fix = { label: `Shrink logo to ${percent}%`, design: { logoPercent: percent } };
+    issues.push({
+      level: over ? 'error' : 'warning',
+      message: `The logo hides about ${Math.round(budget.share * 100)}% of the data, ${over ? 'more than' : `${Math.round(budget.usage * 100)}% of what`} error correction level ${design.ec} can repair${over ? '' : ', leaving little margin for wear'}.`,
+      fix
+    });
+  }
+
+  if (design.margin < MIN_QUIET_ZONE) {
+    const quietZone = QUIET_ZONE[design.symbol] || QUIET_ZONE.qr;
+    issues.push({
+      level: 'warning',
+      message: `A quiet zone of ${design.margin} module${design.margin === 1 ? '' : 's'} is too narrow unless the code sits on a plain background.`,
+      fix: { label: `Use a ${quietZone}-module margin`, design: { margin: quietZone } }
+    });
+  }
+
+  if (design.style === 'dots' && design.eyeInner === 'match') {
+    issues.push({
+      level: 'warning',
+      message: 'Eye centers drawn as separate dots are hard for scanners to locate.',
+      fix: { label: 'Use solid eye centers', design: { eyeInner: 'circle' } }
+    });
+  }
+
+  const minSize = minimumPrintSize(qr.count, design.margin, distance);
+  if (printSize && printSize < minSize.symbol) {
+    issues.push({
+      level: 'warning',
+      message: `The PDF print size is smaller than the ${minSize.symbol.toFixed(0)} mm needed at this scan distance.`,
+      fix: { label: `Print at ${Math.ceil(minSize.symbol)} mm`, printSize: Math.ceil(minSize.symbol) }
+    });
+  }
+
+  return { contrast: worst.ratio, inverted, budget, minSize, issues };
+}
+
+function swapColors(design) {
+  const patch = { fg: design.bg, bg: design.fg };
+  ['eyeOuterColor', 'eyeInnerColor'].forEach(key => {
+    if (design[key] === design.fg) patch[key] = design.bg;
+  });
+  return patch;
+}
+
+function contrastFix(design) {
+  // Even black cannot reach the target on a dark background
+  if (contrastRatio('#000000', design.bg) < GOOD_CONTRAST) {
+    return { label: 'Use a white background', design: { bg: '#ffffff' } };
+  }
+  const patch = {};
+  colorKeys(design.fill).forEach(key => {
+    if (key === 'gradientColors') {
+      patch[key] = splitColors(design[key]).map(c => darkenForContrast(c, design.bg)).join(',');
+    } else if (design[key]) {
+      patch[key] = darkenForContrast(design[key], design.bg);
+    }
+  });
+  return { label: 'Darken module colors', design: patch };
+}
+
+export class ScannabilityPanel {
+  constructor({ applyDesign, getPrintSize, setPrintSize }) {
+    this.applyDesign = applyDesign;
+    this.getPrintSize = getPrintSize;
+    this.setPrintSize = setPrintSize;
+
+    this.metrics = document.getElementById('analyzer-metrics');
+    this.issues = document.getElementById('analyzer-issues');
+    this.distance = document.getElementById('scan-distance');
+    this.qr = null;
+
+    if (!this.metrics || !this.issues || !this.distance) {
+      console.error('ScannabilityPanel: Required elements not found');
+      return;
+    }
+
+    this.distance.addEventListener('input', () => this.render());
+  }
+
+  update(qr) {
+    this.qr = qr;
+    this.render();
+  }
+
+  render() {
+    if (!this.qr || !this.metrics) return;
+
+    const distance = Math.max(1, parseFloat(this.distance.value) || 30) * 10;
+    const report = analyzeCode(this.qr, { distance, printSize: this.getPrintSize() });
+    const { budget, minSize } = report;
+
+    const rows = [
+      ['Contrast', `${report.contrast.toFixed(1)}:1${report.inverted ? ' (inverted)' : ''}`],
+      ['Logo EC use', budget ? `${Math.round(budget.usage * 100)}% of level ${this.qr.options.ec}` : 'No logo'],
+      ['Min. size', `${minSize.symbol.toFixed(0)} mm (${(minSize.symbol / 25.4).toFixed(2)} in)`],
+      ['Modules', `${this.qr.count} × ${this.qr.rows}`]
+    ];
+    this.metrics.innerHTML = rows.map(([term, value]) => `<div><dt>${term}</dt><dd>${value}</dd></div>`).join('');
+
+    this.issues.innerHTML = '';
+    if (!report.issues.length) {
+      this.issues.innerHTML = '<li class="analyzer-issue analyzer-ok"><i class="bi bi-check-circle" aria-hidden="true"></i> No problems found</li>';
+      return;
+    }
+
+    report.issues.forEach(issue => {
+      const item = document.createElement('li');
+      item.className = `analyzer-issue analyzer-${issue.level}`;
+      const icon = issue.level === 'error' ? 'bi-x-octagon' : 'bi-exclamation-triangle';
+      item.innerHTML = `<i class="bi ${icon}" aria-hidden="true"></i> <span></span>`;
+      item.querySelector('span').textContent = issue.message;
+
+      if (issue.fix) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-primary analyzer-fix';
+        button.textContent = issue.fix.label;
+        button.addEventListener('click', () => {
+          if (issue.fix.design) this.applyDesign(issue.fix.design);
+          if (issue.fix.printSize) this.setPrintSize(issue.fix.printSize);
+        });
+        item.appendChild(button);
+      }
+      this.issues.appendChild(item);
+    });
+  }
+}
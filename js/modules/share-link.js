@@ -0,0 +1,116 @@
+// Share Link Module
+// Serializes the generator state into the URL #fragment, which browsers never send to the server
+
+const FRAGMENT_KEY = 'qr';
+const FORMAT_VERSION = 1;
+
+// UTF-8 safe base64url encoding
+export function encodeState(data) {
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeState(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+  const data = JSON.parse(new TextDecoder().decode(bytes));
+  if (!data || typeof data !== 'object' || data.v !== FORMAT_VERSION) {
+    throw new Error('Unsupported share link');
+  }
+  return data;
+}
+
+export class ShareLink {
+  constructor({ getTemplate, selectTemplate, getDesign, applyDesign, onRestore, showStatus }) {
+    this.getTemplate = getTemplate;
+    this.selectTemplate = selectTemplate;
+    this.getDesign = getDesign;
+    this.applyDesign = applyDesign;
+    this.onRestore = onRestore;
+    this.showStatus = showStatus;
+
+    this.button = document.getElementById('share-link-btn');
+    this.sensitiveToggle = document.getElementById('share-sensitive');
+
+    if (!this.button || !this.sensitiveToggle) {
+      console.error('ShareLink: Required elements not found');
+      return;
+    }
+
+    this.init();
+  }
+
+  init() {
+    this.button.addEventListener('click', () => this.copy());
+    window.addEventListener('hashchange', () => this.restore());
+  }
+
+  templateInputs(template) {
+    return Array.from(document.querySelectorAll(`#input-${template} .qr-input`));
+  }
+
+  serialize(includeSensitive) {
+    const template = this.getTemplate();
+    const fields = {};
+    this.templateInputs(template).forEach(input => {
+      if ('sensitive' in input.dataset && !includeSensitive) return;
+      fields[input.id] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    return { v: FORMAT_VERSION, t: template, f: fields, d: this.getDesign() };
+  }
+
+  buildUrl(includeSensitive = this.sensitiveToggle.checked) {
+    const url = new URL(window.location.href);
+    url.hash = `${FRAGMENT_KEY}=${encodeState(this.serialize(includeSensitive))}`;
+    return url.toString();
+  }
+
+  async copy() {
+    const url = this.buildUrl();
+    // Keep the address bar in sync without adding a history entry
+    history.replaceState(null, '', url);
+
+    try {
+      await navigator.clipboard.writeText(url);
+      this.showStatus('<i class="bi bi-link-45deg"></i> Share link copied', 'success', 2000);
+    } catch {
+      this.showStatus('<i class="bi bi-link-45deg"></i> Share link is in the address bar', 'success', 3000);
+    }
+  }
+
+  // Apply state from the current #fragment; returns true when something was restored
+  restore() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const encoded = params.get(FRAGMENT_KEY);
+    if (!encoded) return false;
+
+    try {
+      const data = decodeState(encoded);
+      if (typeof data.t === 'string' && document.getElementById(`input-${data.t}`)) {
+        this.selectTemplate(data.t);
+        const inputs = this.templateInputs(data.t);
+        Object.entries(data.f || {}).forEach(([id, value]) => {
+          const input = inputs.find(i => i.id === id);
+          if (!input) return;
+          if (input.type === 'checkbox') {
+            input.checked = value === true;
+          } else if (input.tagName === 'SELECT') {
+            if (Array.from(input.options).some(o => o.value === String(value))) input.value = value;
+          } else {
+            input.value = String(value);
+          }
+        });
+      }
+      if (data.d && typeof data.d === 'object') this.applyDesign(data.d);
+      this.onRestore();
+      this.showStatus('<i class="bi bi-link-45deg"></i> Settings loaded from link', 'success', 2000);
+      return true;
+    } catch {
+      this.showStatus('<i class="bi bi-exclamation-triangle"></i> Share link is invalid or damaged', 'error');
+      return false;
+    }
+  }
+}
@@ -0,0 +1,208 @@
+// Template Form Module
+// Builds a template's button and input panel from its descriptor and keeps the
+// parts that follow other fields in sync: conditional fields, live hints,
+// character counters and the payload preview.
+//
+// Items of `fields` are either field specs or layout groups.
+// Field spec:
+//   id, type      'text' (default), 'textarea', 'select', 'checkbox', 'number',
+//                 'email', 'url', 'tel', 'date' or 'datetime-local'
+//   label         shown above the input (`hideLabel` keeps it for screen readers only)
+//   default       initial value; selects fall back to their first option
+//   options       for selects: [[value, label], ...]
+//   placeholder, help, attrs (extra attributes such as { maxlength: 70 })
+//   required, validate   (value, fields) => message, or '' when the value is fine;
+//                 'tel', 'email' and 'url' fields are checked by type unless they have one
+//   info          (value, fields) => hint text shown in place of `help`
+//   fill          (value, fields) => values for other fields, or null; applied as the user types
+//   counter       show the number of characters
+//   sensitive     left out of share links unless the user opts in
+//   showIf        fields => whether the field is shown
+//   col           column width (1-12) inside a row
+// Layout groups hold `fields` of their own:
+//   { layout: 'row', align: 'end' }   fields side by side
+//   { layout: 'details', summary }    a collapsible section
+//   { id, showIf }                    a plain block, e.g. shown for one option only
+// `{ note: '...' }` adds a line of help text.
+
+import { getTemplate, templateFields } from './template-registry.js';
+
+// Elements that follow the form's values, per template name
+const bindings = new Map();
+
+function element(tag, className, attributes = {}) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  Object.entries(attributes).forEach(([name, value]) => {
+    if (value != null && value !== false) el.setAttribute(name, value === true ? '' : value);
+  });
+  return el;
+}
+
+export function renderTemplateButton(template, active = false) {
+  const col = element('div', 'col-4 col-sm-3');
+  const button = element('button', `template-btn${active ? ' active' : ''}`, {
+    type: 'button',
+    'data-template': template.name,
+    role: 'radio',
+    'aria-checked': String(active),
+    'aria-label': `${template.label} template`
+  });
+  const icon = element('i', `bi ${template.icon || 'bi-qr-code'}`, { 'aria-hidden': 'true' });
+  const caption = element('small');
+  caption.textContent = template.label;
+  button.append(icon, caption);
+  col.appendChild(button);
+  return col;
+}
+
+function renderControl(field) {
+  const attributes = { id: field.id, placeholder: field.placeholder, ...field.attrs };
+  if (field.sensitive) attributes['data-sensitive'] = true;
+  if (field.help || field.info) attributes['aria-describedby'] = `${field.id}-help`;
+
+  if (field.type === 'select') {
+    const select = element('select', 'form-select form-select-sm qr-input', attributes);
+    field.options.forEach(([value, label]) => select.add(new Option(label, value)));
+    if (field.default != null) select.value = String(field.default);
+    return select;
+  }
+  if (field.type === 'textarea') {
+    const textarea = element('textarea', 'form-control form-control-sm qr-input', { rows: 2, ...attributes });
+    textarea.value = field.default ?? '';
+    return textarea;
+  }
+  if (field.type === 'checkbox') {
+    const checkbox = element('input', 'form-check-input qr-input', { type: 'checkbox', ...attributes });
+    checkbox.checked = field.default === true;
+    return checkbox;
+  }
+  const input = element('input', 'form-control form-control-sm qr-input', { type: field.type || 'text', ...attributes });
+  if (field.default != null) input.value = String(field.default);
+  return input;
+}
+
+// One field: label, control, message slot for checks and help text. `column` is
+// its width inside a row.
+function renderField(field, bound, column = 0) {
+  const isCheckbox = field.type === 'checkbox';
+  const wrapper = element('div', isCheckbox ? `form-check ${column ? 'mb-1' : 'mb-2'}` : column ? `col-${column}` : 'mb-2');
+  const label = element('label', isCheckbox ? 'form-check-label small' : `form-label small${field.hideLabel ? ' visually-hidden' : ''}`, { for: field.id });
+  label.textContent = field.label;
+  const control = renderControl(field);
+  wrapper.append(...(isCheckbox ? [control, label] : [label, control]), element('div', 'invalid-feedback'));
+
+  let help = null;
+  if (field.help || field.info) {
+    help = element('div', 'form-text mb-0', { id: `${field.id}-help` });
+    help.textContent = field.help || '';
+    if (field.info) bound.hints.push({ field, help });
+  }
+  if (field.counter) {
+    // Help text and counter share one line
+    const line = element('div', 'd-flex justify-content-between align-items-center mt-1');
+    const counter = element('div', 'form-text mb-0', { id: `${field.id}-count` });
+    bound.counters.push({ field, counter });
+    line.append(help || element('div'), counter);
+    wrapper.appendChild(line);
+  } else if (help) {
+    wrapper.appendChild(help);
+  }
+  // Check boxes keep their own padding, so a column wraps them
+  let outer = wrapper;
+  if (isCheckbox && column) {
+    outer = element('div', `col-${column}`);
+    outer.appendChild(wrapper);
+  }
+  if (field.showIf) bound.conditions.push({ showIf: field.showIf, el: outer });
+  return outer;
+}
+
+function renderItems(items, bound, inRow = false) {
+  return items.map(item => {
+    if (item.note) {
+      const note = element('div', 'form-text mb-2');
+      note.textContent = item.note;
+      return note;
+    }
+    if (!item.fields) return renderField(item, bound, inRow ? item.col || 6 : 0);
+
+    let group;
+    if (item.layout === 'row') {
+      group = element('div', `row g-2 mb-2${item.align ? ` align-items-${item.align}` : ''}`, { id: item.id });
+      group.append(...renderItems(item.fields, bound, true));
+    } else if (item.layout === 'details') {
+      group = element('details', 'mb-2', { id: item.id });
+      const summary = element('summary', 'small');
+      summary.textContent = item.summary;
+      const body = element('div', 'pt-2');
+      body.append(...renderItems(item.fields, bound));
+      group.append(summary, body);
+    } else {
+      group = element('div', null, { id: item.id });
+      group.append(...renderItems(item.fields, bound));
+    }
+    if (item.showIf) bound.conditions.push({ showIf: item.showIf, el: group });
+    return group;
+  });
+}
+
+// The input panel of a template, hidden unless it is the active one
+export function renderTemplateForm(template, active = false) {
+  const bound = { conditions: [], hints: [], counters: [], preview: null };
+  const form = element('div', 'template-input', {
+    id: `input-${template.name}`,
+    role: 'group',
+    'aria-labelledby': `${template.name}-heading`
+  });
+  if (!active) form.style.display = 'none';
+
+  const heading = element('h6', 'visually-hidden', { id: `${template.name}-heading` });
+  heading.textContent = template.heading || template.label;
+  form.append(heading, ...renderItems(template.fields, bound));
+
+  if (template.preview) {
+    const preview = element('div', 'form-text', { id: `${template.name}-preview` });
+    bound.preview = element('span', null, { id: `${template.name}-preview-url` });
+    preview.append('Preview: ', bound.preview);
+    form.appendChild(preview);
+  }
+  (template.actions || []).forEach(action => {
+    const button = element('button', 'btn btn-sm btn-outline-secondary', { type: 'button', id: action.id, 'aria-label': action.description || action.label });
+    button.append(element('i', `bi ${action.icon}`, { 'aria-hidden': 'true' }), ` ${action.label}`);
+    form.appendChild(button);
+  });
+
+  bindings.set(template.name, bound);
+  return form;
+}
+
+// Bring conditional fields, hints, counters and the preview in line with `fields`
+export function updateTemplateForm(name, fields) {
+  const bound = bindings.get(name);
+  if (!bound) return;
+  bound.conditions.forEach(({ showIf, el }) => {
+    el.style.display = showIf(fields) ? '' : 'none';
+  });
+  bound.hints.forEach(({ field, help }) => {
+    help.textContent = field.info(fields[field.id], fields) || field.help || '';
+  });
+  bound.counters.forEach(({ field, counter }) => {
+    const count = String(fields[field.id] || '').length;
+    counter.textContent = `${count} character${count === 1 ? '' : 's'}`;
+  });
+  if (bound.preview) bound.preview.textContent = getTemplate(name).build(fields);
+}
+
+// Put values into a template's inputs; unknown ids and unlisted options are skipped
+export function writeFields(name, values) {
+  const template = getTemplate(name);
+  if (!template) return;
+  templateFields(template).forEach(field => {
+    const input = document.getElementById(field.id);
+    if (!input || !(field.id in values)) return;
+    const value = values[field.id];
+    if (field.type === 'checkbox') input.checked = value === true;
+    else if (field.type !== 'select' || field.options.some(([option]) => String(option) === String(value))) input.value = String(value);
+  });
+}
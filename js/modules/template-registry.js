@@ -0,0 +1,104 @@
+// Template Registry Module
+// Templates are descriptors registered by name. A descriptor declares the fields of
+// its form, builds the payload and may parse one back, check its fields and ask for
+// render options. The input panel, clearing, checks and batch mapping all derive
+// from the descriptors, so a template can be added from a module of its own.
+
+import { TYPE_CHECKS } from './field-checks.js';
+
+const registry = new Map();
+
+// A descriptor holds:
+//   name      unique key; the form is 'input-<name>' and field ids usually start with it
+//   label     button caption; `icon` a Bootstrap icon class; `heading` the form's name
+//   fields    field specs and layout groups in display order (see template-form.js)
+//   build     fields => payload text, with fields keyed by input id
+//   parse     optional: payload text => fields, or null when the text is not this type
+//   validate  optional: fields => [{ id, message }] for checks spanning several fields
+//   options   optional: render options the template's standard requires
+//   preview   optional: show the payload under the form
+//   actions   optional: buttons offering the payload as a file, [{ id, label, icon, file }],
+//             where `file.build` may build the file's text instead of the payload
+// Registering a name again replaces that template in place.
+export function registerTemplate(descriptor) {
+  if (!descriptor || !descriptor.name || typeof descriptor.build !== 'function') {
+    throw new Error('A template needs a name and a build function');
+  }
+  registry.set(descriptor.name, { fields: [], ...descriptor });
+  return registry.get(descriptor.name);
+}
+
+export function getTemplate(name) {
+  return registry.get(name) || null;
+}
+
+export function listTemplates() {
+  return Array.from(registry.values());
+}
+
+// Field specs of a template with layout groups flattened. A field inside a group
+// that has `showIf` is only shown (and checked) when both conditions hold.
+export function templateFields(template, items = template.fields, showIf = null) {
+  return items.flatMap(item => {
+    const condition = showIf && item.showIf
+      ? fields => showIf(fields) && item.showIf(fields)
+      : showIf || item.showIf || null;
+    if (item.fields) return templateFields(template, item.fields, condition);
+    return item.id ? [{ ...item, showIf: condition }] : [];
+  });
+}
+
+// Value of a field before the user touches it
+function defaultValue(field) {
+  if (field.type === 'checkbox') return field.default === true;
+  if (field.default != null) return String(field.default);
+  return field.type === 'select' ? String(field.options[0][0]) : '';
+}
+
+export function defaultFields(template) {
+  return Object.fromEntries(templateFields(template).map(field => [field.id, defaultValue(field)]));
+}
+
+// Values after clearing: free text is emptied, choices go back to their defaults
+export function clearedFields(template) {
+  return Object.fromEntries(templateFields(template).map(field => {
+    const keep = ['select', 'checkbox', 'number'].includes(field.type);
+    return [field.id, keep ? defaultValue(field) : ''];
+  }));
+}
+
+// A field's own check, or the one for its input type (phone, email, URL)
+const fieldCheck = field => field.validate || TYPE_CHECKS[field.type] || null;
+
+export function hasChecks(template) {
+  return Boolean(template.validate) || templateFields(template).some(field => field.required || fieldCheck(field));
+}
+
+// Problems as [{ id, message }]: the checks of each shown field, then the template's own.
+// Empty fields are only checked for being required.
+export function validateTemplate(template, fields) {
+  const problems = [];
+  templateFields(template).forEach(field => {
+    if (field.showIf && !field.showIf(fields)) return;
+    const value = fields[field.id];
+    const empty = value == null || value === false || String(value).trim() === '';
+    if (field.required && empty) {
+      problems.push({ id: field.id, message: `${field.label} is required` });
+      return;
+    }
+    const check = fieldCheck(field);
+    const message = check && !empty ? check(value, fields) : '';
+    if (message) problems.push({ id: field.id, message });
+  });
+  return problems.concat(template.validate ? template.validate(fields) : []);
+}
+
+// The template and field values a payload was built from, tried in registration
+// order; null when no template's parser recognizes it
+export function parseContent(text) {
+  for (const template of registry.values()) {
+    const fields = template.parse ? template.parse(text) : null;
+    if (fields) return { template: template.name, fields: { ...defaultFields(template), ...fields } };
+  }
+  return null;
+}
@@ -1,227 +1,911 @@
 // QR Code Templates Module
-// Generates QR code content for different template types
-
-export const Templates = {
-  text: () => document.getElementById('text-content')?.value || 'https://github.com',
-
-  wifi: () => {
-    const ssidEl = document.getElementById('wifi-ssid');
-    const passEl = document.getElementById('wifi-password');
-    const encEl = document.getElementById('wifi-encryption');
-    const hiddenEl = document.getElementById('wifi-hidden');
-    
-    if (!ssidEl || !encEl) return 'WIFI:T:WPA;S:WiFi;;';
-    
-    const ssid = ssidEl.value || 'WiFi';
-    const pass = passEl ? passEl.value : '';
-    const enc = encEl.value;
-    const hidden = hiddenEl ? hiddenEl.checked : false;
-    
-    let s = `WIFI:T:${enc};S:${ssid};`;
-    if (pass && enc !== 'nopass') s += `P:${pass};`;
+// The built-in templates, registered as descriptors (see template-registry.js),
+// and helpers that read the active template's fields from the page
+
+import { buildBIP21, describeAddress, validateBIP21 } from './bitcoin.js';
+import { checkEmailList, checkUrl, compactPhone, normalizePhone } from './field-checks.js';
+import { buildGeo, formatCoordinate, GEO_OUTPUTS, readGeoURI, readLocation, referencePoint, validateGeo } from './geo.js';
+import { buildCalendar } from './ical.js';
+import { buildLink, catalogOptions, checkHandle, LINK_CATALOG } from './link-catalog.js';
+import { buildEIP681, buildEPC, buildSwissQR, buildUPI, ETHEREUM_CHAINS, validateEIP681, validateEPC, validateSwissQR, validateUPI } from './payments.js';
+import { getTemplate, registerTemplate, templateFields, validateTemplate } from './template-registry.js';
+import { buildVCard, SOCIAL_PROFILES } from './vcard.js';
+
+export { clearedFields, defaultFields, getTemplate, hasChecks, listTemplates, parseContent, registerTemplate, templateFields } from './template-registry.js';
+
+// Special characters in WIFI: values are escaped with a backslash
+export function escapeWifi(value) {
+  return String(value).replace(/[\\;,:"]/g, '\\$&');
+}
+
+// Field values of one template without the id prefix, e.g. 'epc-iban' as 'iban'
+function unprefixed(fields, prefix) {
+  return Object.fromEntries(Object.entries(fields)
+    .filter(([id]) => id.startsWith(`${prefix}-`))
+    .map(([id, value]) => [id.slice(prefix.length + 1), value]));
+}
+
+// Payment checks report fields without their prefix; map them back to input ids
+const withPrefix = (prefix, check) => fields =>
+  check(unprefixed(fields, prefix)).map(({ field, message }) => ({ id: `${prefix}-${field}`, message }));
+
+// Query parameters of a URI; '+' stays a plus, as the builders percent-encode spaces
+function queryParams(uri) {
+  const query = uri.includes('?') ? uri.slice(uri.indexOf('?') + 1) : '';
+  return Object.fromEntries(query.split('&').filter(Boolean).map(pair => {
+    const [key, value = ''] = pair.split('=');
+    try {
+      return [key.toLowerCase(), decodeURIComponent(value)];
+    } catch {
+      return [key.toLowerCase(), value];
+    }
+  }));
+}
+
+// WIFI: payload fields, e.g. { T: 'WPA', S: 'Office' }, with escapes undone
+function wifiEntries(text) {
+  const entries = {};
+  let [key, value, escaped] = ['', null, false];
+  for (const char of text.slice(5)) {
+    if (value === null) {
+      if (char === ':') value = '';
+      else key += char;
+    } else if (escaped) {
+      value += char;
+      escaped = false;
+    } else if (char === '\\') {
+      escaped = true;
+    } else if (char === ';') {
+      entries[key.toUpperCase()] = value;
+      [key, value] = ['', null];
+    } else {
+      value += char;
+    }
+  }
+  return entries;
+}
+
+// Phone numbers with a country code are encoded in E.164 form, others as dialled
+const phone = value => normalizePhone(value) || compactPhone(value);
+
+// Problems with the WiFi fields as [{ id, message }], keyed by input id
+function validateWifi(fields) {
+  const enc = fields['wifi-encryption'] || 'WPA';
+  const pass = fields['wifi-password'] || '';
+  const problems = [];
+  const add = (id, message) => problems.push({ id, message });
+
+  if (new TextEncoder().encode(fields['wifi-ssid'] || '').length > 32) {
+    add('wifi-ssid', 'A network name can be at most 32 bytes long');
+  }
+
+  if (enc === 'WPA') {
+    const hexKey = /^[0-9A-Fa-f]{64}$/.test(pass);
+    if (!/^[\x20-\x7E]*$/.test(pass)) add('wifi-password', 'WPA passwords can only use printable ASCII characters');
+    else if (!hexKey && (pass.length < 8 || pass.length > 63)) add('wifi-password', 'WPA passwords are 8 to 63 characters (or 64 hex digits)');
+  } else if (enc === 'SAE') {
+    if (pass.length < 8) add('wifi-password', 'WPA3 passwords are at least 8 characters');
+  } else if (enc === 'WEP') {
+    const hex = /^[0-9A-Fa-f]+$/.test(pass) && [10, 26].includes(pass.length);
+    if (!hex && ![5, 13].includes(pass.length)) add('wifi-password', 'WEP keys are 5 or 13 characters, or 10 or 26 hex digits');
+  } else if (enc === 'WPA2-EAP') {
+    if (!fields['wifi-identity']) add('wifi-identity', 'Enterprise networks need an identity (user name)');
+    if (!pass && fields['wifi-eap-method'] !== 'TLS') add('wifi-password', 'This EAP method needs a password');
+  }
+  return problems;
+}
+
+// An event must end after it starts, and a repeat must not end before the first one
+function validateEvent(fields) {
+  const start = fields['event-start'] || '';
+  const end = fields['event-end'] || '';
+  const problems = [];
+  if (start && end) {
+    const allDay = fields['event-all-day'] === true;
+    if (allDay ? end.slice(0, 10) < start.slice(0, 10) : end <= start) {
+      problems.push({ id: 'event-end', message: allDay ? 'The last day is before the first day' : 'The end must be after the start' });
+    }
+  }
+  const until = fields['event-repeat-end'] === 'until' && fields['event-repeat'] !== 'none' ? fields['event-repeat-until'] : '';
+  if (start && until && until < start.slice(0, 10)) {
+    problems.push({ id: 'event-repeat-until', message: 'The last date is before the event starts' });
+  }
+  return problems;
+}
+
+// The event form as a calendar; `options` as for buildCalendar
+function eventCalendar(fields, options) {
+  return buildCalendar({
+    title: fields['event-title'] || 'Event',
+    start: fields['event-start'],
+    end: fields['event-end'],
+    allDay: fields['event-all-day'] === true,
+    timeZone: fields['event-timezone'] || 'UTC',
+    location: fields['event-location'],
+    description: fields['event-description'],
+    repeat: fields['event-repeat'] || 'none',
+    interval: parseInt(fields['event-repeat-interval'], 10) || 1,
+    count: fields['event-repeat-end'] === 'count' ? parseInt(fields['event-repeat-count'], 10) || 0 : 0,
+    until: fields['event-repeat-end'] === 'until' ? fields['event-repeat-until'] : '',
+    reminder: fields['event-reminder'] ? parseInt(fields['event-reminder'], 10) : null
+  }, options);
+}
+
+const TIME_ZONES = [
+  ['UTC', 'UTC'], ['America/New_York', 'Eastern Time'], ['America/Chicago', 'Central Time'],
+  ['America/Denver', 'Mountain Time'], ['America/Los_Angeles', 'Pacific Time'], ['America/Sao_Paulo', 'São Paulo'],
+  ['Europe/London', 'London'], ['Europe/Paris', 'Paris'], ['Europe/Berlin', 'Berlin'], ['Asia/Kolkata', 'India'],
+  ['Asia/Singapore', 'Singapore'], ['Asia/Tokyo', 'Tokyo'], ['Australia/Sydney', 'Sydney']
+];
+
+const amountAttrs = { inputmode: 'decimal', autocomplete: 'off' };
+const codeAttrs = { autocomplete: 'off', spellcheck: 'false' };
+
+// Structured address rows of a Swiss QR-bill party
+const swissAddress = (prefix, nameLabel, country) => [
+  { id: `${prefix}name`, label: nameLabel, attrs: { maxlength: 70 } },
+  {
+    layout: 'row',
+    fields: [
+      { id: `${prefix}street`, label: 'Street', col: 8, attrs: { maxlength: 70 } },
+      { id: `${prefix}building`, label: 'No.', col: 4, attrs: { maxlength: 16 } }
+    ]
+  },
+  {
+    layout: 'row',
+    fields: [
+      { id: `${prefix}postal`, label: 'Postal Code', col: 4, attrs: { maxlength: 16 } },
+      { id: `${prefix}town`, label: 'Town', col: 5, attrs: { maxlength: 35 } },
+      { id: `${prefix}country`, label: 'Country', col: 3, attrs: { maxlength: 2 }, ...country }
+    ]
+  }
+];
+
+// Each template's builder takes a plain object of field values keyed by input id,
+// e.g. { 'wifi-ssid': 'Office', 'wifi-hidden': true }, so it can run without a
+// page (batch rows, scripts, tests)
+registerTemplate({
+  name: 'text',
+  label: 'URL/Text',
+  icon: 'bi-link-45deg',
+  heading: 'Text or URL',
+  fields: [
+    {
+      id: 'text-content',
+      type: 'textarea',
+      label: 'Text or URL content',
+      hideLabel: true,
+      default: 'https://github.com',
+      placeholder: 'Enter text or URL...',
+      help: 'Enter any text or URL to encode in the QR code',
+      required: true,
+      counter: true
+    }
+  ],
+  build: fields => fields['text-content'] || 'https://github.com'
+});
+
+registerTemplate({
+  name: 'wifi',
+  label: 'WiFi',
+  icon: 'bi-wifi',
+  heading: 'WiFi Configuration',
+  fields: [
+    { id: 'wifi-ssid', label: 'Network Name (SSID)', default: 'MyWiFi', placeholder: 'Network Name (SSID)', help: 'The name of your WiFi network' },
+    {
+      id: 'wifi-encryption',
+      type: 'select',
+      label: 'Security Type',
+      options: [['WPA', 'WPA/WPA2'], ['SAE', 'WPA3 (SAE)'], ['WPA2-EAP', 'WPA2/WPA3-Enterprise (EAP)'], ['WEP', 'WEP'], ['nopass', 'Open (No Password)']],
+      help: "Select your network's security type"
+    },
+    {
+      id: 'wifi-enterprise',
+      showIf: fields => fields['wifi-encryption'] === 'WPA2-EAP',
+      fields: [
+        {
+          layout: 'row',
+          fields: [
+            { id: 'wifi-eap-method', type: 'select', label: 'EAP Method', options: [['PEAP', 'PEAP'], ['TTLS', 'TTLS'], ['TLS', 'TLS (certificate)'], ['PWD', 'PWD']] },
+            { id: 'wifi-phase2', type: 'select', label: 'Phase 2 Auth', options: [['', 'None'], ['MSCHAPV2', 'MSCHAPv2'], ['GTC', 'GTC'], ['PAP', 'PAP'], ['MSCHAP', 'MSCHAP']] }
+          ]
+        },
+        { id: 'wifi-identity', label: 'Identity', placeholder: 'user@example.com', attrs: { autocomplete: 'off' }, sensitive: true },
+        {
+          id: 'wifi-anonymous-identity',
+          label: 'Anonymous Identity',
+          placeholder: 'anonymous@example.com',
+          attrs: { autocomplete: 'off' },
+          help: 'Outer identity sent before the encrypted tunnel; optional',
+          sensitive: true
+        }
+      ]
+    },
+    { id: 'wifi-password', label: 'Password', placeholder: 'Password', help: 'Leave empty for open networks', sensitive: true },
+    { id: 'wifi-hidden', type: 'checkbox', label: 'Hidden Network', help: "Check if your network doesn't broadcast its name" }
+  ],
+  validate: validateWifi,
+  build: fields => {
+    const ssid = fields['wifi-ssid'] || 'WiFi';
+    const pass = fields['wifi-password'] || '';
+    const enc = fields['wifi-encryption'] || 'WPA';
+    const hidden = fields['wifi-hidden'] === true;
+
+    let s = `WIFI:T:${enc};S:${escapeWifi(ssid)};`;
+    if (pass && enc !== 'nopass') s += `P:${escapeWifi(pass)};`;
     if (hidden) s += 'H:true;';
+    if (enc === 'WPA2-EAP') {
+      s += `E:${fields['wifi-eap-method'] || 'PEAP'};`;
+      if (fields['wifi-anonymous-identity']) s += `A:${escapeWifi(fields['wifi-anonymous-identity'])};`;
+      if (fields['wifi-identity']) s += `I:${escapeWifi(fields['wifi-identity'])};`;
+      if (fields['wifi-phase2']) s += `PH2:${fields['wifi-phase2']};`;
+    }
     return s + ';';
   },
+  parse: text => {
+    if (!/^WIFI:/i.test(text)) return null;
+    const entries = wifiEntries(text);
+    return {
+      'wifi-ssid': entries.S || '',
+      'wifi-encryption': entries.T || 'nopass',
+      'wifi-password': entries.P || '',
+      'wifi-hidden': entries.H === 'true',
+      'wifi-eap-method': entries.E || 'PEAP',
+      'wifi-phase2': entries.PH2 || '',
+      'wifi-identity': entries.I || '',
+      'wifi-anonymous-identity': entries.A || ''
+    };
+  }
+});
 
-  vcard: () => {
-    const nameEl = document.getElementById('vcard-name');
-    if (!nameEl) return 'BEGIN:VCARD\nVERSION:3.0\nN:;John Doe;;;\nFN:John Doe\nEND:VCARD';
-    
-    const name = nameEl.value || 'John Doe';
-    const parts = name.split(' ');
-    const last = parts.length > 1 ? parts.pop() : '';
-    const first = parts.join(' ') || name;
-    
-    let v = `BEGIN:VCARD\nVERSION:3.0\nN:${last};${first};;;\nFN:${name}\n`;
-    const orgEl = document.getElementById('vcard-org');
-    const titleEl = document.getElementById('vcard-title');
-    const phoneEl = document.getElementById('vcard-phone');
-    const emailEl = document.getElementById('vcard-email');
-    const urlEl = document.getElementById('vcard-url');
-    const addrEl = document.getElementById('vcard-address');
-    
-    if (orgEl?.value) v += `ORG:${orgEl.value}\n`;
-    if (titleEl?.value) v += `TITLE:${titleEl.value}\n`;
-    if (phoneEl?.value) v += `TEL:${phoneEl.value}\n`;
-    if (emailEl?.value) v += `EMAIL:${emailEl.value}\n`;
-    if (urlEl?.value) v += `URL:${urlEl.value}\n`;
-    if (addrEl?.value) v += `ADR:;;${addrEl.value};;;;\n`;
-    return v + 'END:VCARD';
-  },
+registerTemplate({
+  name: 'vcard',
+  label: 'vCard',
+  icon: 'bi-person-vcard',
+  heading: 'Contact Information',
+  fields: [
+    {
+      id: 'vcard-version',
+      type: 'select',
+      label: 'vCard Version',
+      options: [['3.0', '3.0 (widest support)'], ['4.0', '4.0']],
+      help: 'Most phones read both; choose 3.0 for older devices'
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'vcard-prefix', label: 'Prefix', col: 4, placeholder: 'Dr.' },
+        { id: 'vcard-given', label: 'First Name', col: 8, placeholder: 'First Name', default: 'John' }
+      ]
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'vcard-middle', label: 'Middle Name', col: 8, placeholder: 'Middle Name' },
+        { id: 'vcard-suffix', label: 'Suffix', col: 4, placeholder: 'Jr.' }
+      ]
+    },
+    { id: 'vcard-family', label: 'Last Name', placeholder: 'Last Name', default: 'Doe' },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'vcard-org', label: 'Organization', placeholder: 'Organization' },
+        { id: 'vcard-title', label: 'Title/Position', placeholder: 'Title/Position' }
+      ]
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'vcard-phone-cell', type: 'tel', label: 'Mobile Phone', col: 4, placeholder: 'Mobile' },
+        { id: 'vcard-phone-work', type: 'tel', label: 'Work Phone', col: 4, placeholder: 'Work' },
+        { id: 'vcard-phone-home', type: 'tel', label: 'Home Phone', col: 4, placeholder: 'Home' }
+      ]
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'vcard-email-work', type: 'email', label: 'Work Email', placeholder: 'Work email' },
+        { id: 'vcard-email-home', type: 'email', label: 'Home Email', placeholder: 'Home email' }
+      ]
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'vcard-url', type: 'url', label: 'Website', placeholder: 'https://example.com' },
+        { id: 'vcard-birthday', type: 'date', label: 'Birthday' }
+      ]
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'vcard-street', label: 'Street', col: 8, placeholder: 'Street and number' },
+        { id: 'vcard-address-type', type: 'select', label: 'Address Type', col: 4, options: [['work', 'Work'], ['home', 'Home']] }
+      ]
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'vcard-city', label: 'City', placeholder: 'City' },
+        { id: 'vcard-region', label: 'State/Region', placeholder: 'State/Region' }
+      ]
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'vcard-postal', label: 'Postal Code', placeholder: 'Postal Code' },
+        { id: 'vcard-country', label: 'Country', placeholder: 'Country' }
+      ]
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'vcard-social-linkedin', label: 'LinkedIn', placeholder: 'Profile URL or user name' },
+        { id: 'vcard-social-x', label: 'X', placeholder: '@username' }
+      ]
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'vcard-social-instagram', label: 'Instagram', placeholder: '@username' },
+        { id: 'vcard-social-github', label: 'GitHub', placeholder: 'username' }
+      ]
+    },
+    { id: 'vcard-note', type: 'textarea', label: 'Note', placeholder: 'Note' }
+  ],
+  validate: fields => (['prefix', 'given', 'middle', 'family', 'suffix'].some(part => String(fields[`vcard-${part}`] || '').trim())
+    ? []
+    : [{ id: 'vcard-given', message: 'Enter a first or last name' }]),
+  build: fields => {
+    const name = {
+      prefix: fields['vcard-prefix'],
+      given: fields['vcard-given'],
+      middle: fields['vcard-middle'],
+      family: fields['vcard-family'],
+      suffix: fields['vcard-suffix']
+    };
+    if (!Object.values(name).some(Boolean)) Object.assign(name, { given: 'John', family: 'Doe' });
 
-  mecard: () => {
-    const fields = [];
-    const nameEl = document.getElementById('mecard-name');
-    const phoneEl = document.getElementById('mecard-phone');
-    const emailEl = document.getElementById('mecard-email');
-    const urlEl = document.getElementById('mecard-url');
-    const addrEl = document.getElementById('mecard-address');
-    const bdayEl = document.getElementById('mecard-birthday');
-    const noteEl = document.getElementById('mecard-note');
-    
-    if (nameEl?.value) fields.push(`N:${nameEl.value}`);
-    if (phoneEl?.value) fields.push(`TEL:${phoneEl.value}`);
-    if (emailEl?.value) fields.push(`EMAIL:${emailEl.value}`);
-    if (urlEl?.value) fields.push(`URL:${urlEl.value}`);
-    if (addrEl?.value) fields.push(`ADR:${addrEl.value}`);
-    if (bdayEl?.value) fields.push(`BDAY:${bdayEl.value}`);
-    if (noteEl?.value) fields.push(`NOTE:${noteEl.value}`);
-    return 'MECARD:' + fields.join(';') + ';';
-  },
+    return buildVCard({
+      name,
+      org: fields['vcard-org'],
+      title: fields['vcard-title'],
+      phones: ['cell', 'work', 'home'].map(type => ({ type, value: phone(fields[`vcard-phone-${type}`]) })),
+      emails: ['work', 'home'].map(type => ({ type, value: fields[`vcard-email-${type}`] })),
+      address: {
+        type: fields['vcard-address-type'],
+        street: fields['vcard-street'],
+        city: fields['vcard-city'],
+        region: fields['vcard-region'],
+        postal: fields['vcard-postal'],
+        country: fields['vcard-country']
+      },
+      url: fields['vcard-url'],
+      birthday: fields['vcard-birthday'],
+      note: fields['vcard-note'],
+      social: Object.keys(SOCIAL_PROFILES).map(service => ({ service, value: fields[`vcard-social-${service}`] }))
+    }, fields['vcard-version'] || '3.0');
+  }
+});
 
-  event: () => {
-    const titleEl = document.getElementById('event-title');
-    const startEl = document.getElementById('event-start');
-    const endEl = document.getElementById('event-end');
-    const locEl = document.getElementById('event-location');
-    const descEl = document.getElementById('event-description');
-    const tzEl = document.getElementById('event-timezone');
-    
-    if (!titleEl) return 'BEGIN:VEVENT\nSUMMARY:Event\nEND:VEVENT';
-    
-    const title = titleEl.value || 'Event';
-    const start = startEl ? startEl.value : '';
-    const end = endEl ? endEl.value : '';
-    const location = locEl ? locEl.value : '';
-    const description = descEl ? descEl.value : '';
-    const timezone = tzEl ? tzEl.value : 'UTC';
-    
-    let v = `BEGIN:VEVENT\nSUMMARY:${title}\n`;
-    if (start) v += `DTSTART:${formatDate(new Date(start), timezone)}\n`;
-    if (end) v += `DTEND:${formatDate(new Date(end), timezone)}\n`;
-    if (location) v += `LOCATION:${location}\n`;
-    if (description) v += `DESCRIPTION:${description}\n`;
-    return v + 'END:VEVENT';
+registerTemplate({
+  name: 'mecard',
+  label: 'MeCard',
+  icon: 'bi-person-lines-fill',
+  heading: 'Contact Information (MeCard)',
+  fields: [
+    { id: 'mecard-name', label: 'Name', placeholder: 'Name', default: 'John Doe', required: true },
+    { id: 'mecard-phone', type: 'tel', label: 'Phone', placeholder: 'Phone' },
+    { id: 'mecard-email', type: 'email', label: 'Email', placeholder: 'Email' },
+    { id: 'mecard-url', type: 'url', label: 'Website', placeholder: 'Website' },
+    { id: 'mecard-address', label: 'Address', placeholder: 'Address' },
+    { id: 'mecard-birthday', type: 'date', label: 'Birthday' },
+    { id: 'mecard-note', type: 'textarea', label: 'Note', placeholder: 'Note' }
+  ],
+  build: fields => {
+    const entries = [];
+    if (fields['mecard-name']) entries.push(`N:${fields['mecard-name']}`);
+    if (fields['mecard-phone']) entries.push(`TEL:${phone(fields['mecard-phone'])}`);
+    if (fields['mecard-email']) entries.push(`EMAIL:${fields['mecard-email']}`);
+    if (fields['mecard-url']) entries.push(`URL:${fields['mecard-url']}`);
+    if (fields['mecard-address']) entries.push(`ADR:${fields['mecard-address']}`);
+    if (fields['mecard-birthday']) entries.push(`BDAY:${fields['mecard-birthday']}`);
+    if (fields['mecard-note']) entries.push(`NOTE:${fields['mecard-note']}`);
+    return 'MECARD:' + entries.join(';') + ';';
   },
+  parse: text => {
+    if (!/^MECARD:/i.test(text)) return null;
+    const keys = { N: 'name', TEL: 'phone', EMAIL: 'email', URL: 'url', ADR: 'address', BDAY: 'birthday', NOTE: 'note' };
+    const fields = {};
+    text.slice(7).split(';').forEach(entry => {
+      const [key, ...value] = entry.split(':');
+      if (keys[key.toUpperCase()]) fields[`mecard-${keys[key.toUpperCase()]}`] = value.join(':');
+    });
+    return fields;
+  }
+});
 
-  bitcoin: () => {
-    const addrEl = document.getElementById('bitcoin-address');
-    const amtEl = document.getElementById('bitcoin-amount');
-    const labelEl = document.getElementById('bitcoin-label');
-    const msgEl = document.getElementById('bitcoin-message');
-    
-    if (!addrEl) return 'bitcoin:';
-    
-    const address = addrEl.value;
-    const amount = amtEl ? amtEl.value : '';
-    const label = labelEl ? labelEl.value : '';
-    const message = msgEl ? msgEl.value : '';
-    
-    let uri = 'bitcoin:';
-    if (address) uri += address;
-    const params = [];
-    if (amount) params.push(`amount=${amount}`);
-    if (label) params.push(`label=${encodeURIComponent(label)}`);
-    if (message) params.push(`message=${encodeURIComponent(message)}`);
-    return params.length ? uri + '?' + params.join('&') : uri;
-  },
+registerTemplate({
+  name: 'event',
+  label: 'Event',
+  icon: 'bi-calendar-event',
+  heading: 'Event/Calendar Information',
+  fields: [
+    { id: 'event-title', label: 'Event Title', placeholder: 'Event Title', default: 'My Event' },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'event-start', type: 'datetime-local', label: 'Start', required: true },
+        { id: 'event-end', type: 'datetime-local', label: 'End' }
+      ]
+    },
+    {
+      layout: 'row',
+      align: 'end',
+      fields: [
+        { id: 'event-timezone', type: 'select', label: 'Timezone', col: 7, options: TIME_ZONES },
+        { id: 'event-all-day', type: 'checkbox', label: 'All-day event', col: 5 }
+      ]
+    },
+    { note: "Start and end are times in this zone; calendars show them in the viewer's own time" },
+    { id: 'event-location', label: 'Location', placeholder: 'Event Location' },
+    { id: 'event-description', type: 'textarea', label: 'Description', placeholder: 'Event Description' },
+    {
+      layout: 'row',
+      fields: [
+        {
+          id: 'event-repeat',
+          type: 'select',
+          label: 'Repeat',
+          col: 7,
+          options: [
+            ['none', 'Does not repeat'], ['daily', 'Daily'], ['weekly', 'Weekly'], ['monthly', 'Monthly (same date)'],
+            ['monthly-weekday', 'Monthly (same weekday, e.g. 3rd Tuesday)'], ['yearly', 'Yearly']
+          ]
+        },
+        { id: 'event-repeat-interval', type: 'number', label: 'Every', col: 5, default: 1, attrs: { min: 1, max: 99, 'aria-label': 'Repeat every N periods' } }
+      ]
+    },
+    {
+      id: 'event-repeat-options',
+      layout: 'row',
+      showIf: fields => fields['event-repeat'] !== 'none',
+      fields: [
+        { id: 'event-repeat-end', type: 'select', label: 'Ends', col: 7, options: [['never', 'Never'], ['count', 'After a number of times'], ['until', 'On a date']] },
+        { id: 'event-repeat-count', type: 'number', label: 'Times', col: 5, default: 10, attrs: { min: 1, max: 999 }, showIf: fields => fields['event-repeat-end'] === 'count' },
+        { id: 'event-repeat-until', type: 'date', label: 'Last Date', col: 5, showIf: fields => fields['event-repeat-end'] === 'until' }
+      ]
+    },
+    {
+      id: 'event-reminder',
+      type: 'select',
+      label: 'Reminder',
+      options: [
+        ['', 'None'], ['0', 'At start time'], ['5', '5 minutes before'], ['15', '15 minutes before'],
+        ['30', '30 minutes before'], ['60', '1 hour before'], ['1440', '1 day before']
+      ]
+    }
+  ],
+  validate: validateEvent,
+  actions: [{
+    id: 'event-ics',
+    label: 'Download .ics',
+    icon: 'bi-calendar-plus',
+    description: 'Download the event as an iCalendar file',
+    file: {
+      type: 'text/calendar',
+      extension: 'ics',
+      name: fields => fields['event-title'] || 'event',
+      // Only the downloaded file is stamped, so the QR payload stays the same for the same event
+      build: fields => eventCalendar(fields, { stamp: new Date() })
+    }
+  }],
+  build: fields => eventCalendar(fields)
+});
 
-  geo: () => {
-    const latEl = document.getElementById('geo-latitude');
-    const lngEl = document.getElementById('geo-longitude');
-    const altEl = document.getElementById('geo-altitude');
-    const queryEl = document.getElementById('geo-query');
-    
-    if (!latEl || !lngEl) return 'geo:0,0';
-    
-    const lat = latEl.value;
-    const lng = lngEl.value;
-    const alt = altEl ? altEl.value : '';
-    const query = queryEl ? queryEl.value : '';
-    
-    if (!lat || !lng) return 'geo:0,0';
-    let uri = `geo:${lat},${lng}`;
-    if (alt) uri += `,${alt}`;
-    if (query) uri += `?q=${encodeURIComponent(query)}`;
-    return uri;
-  },
+registerTemplate({
+  name: 'bitcoin',
+  label: 'Bitcoin',
+  icon: 'bi-currency-bitcoin',
+  heading: 'Bitcoin Payment Information',
+  fields: [
+    {
+      id: 'bitcoin-address',
+      label: 'Bitcoin Address',
+      placeholder: 'bc1q… or 1… / 3…',
+      attrs: codeAttrs,
+      help: 'Checked locally: Base58Check, bech32 and bech32m',
+      info: value => describeAddress(value)
+    },
+    {
+      layout: 'row',
+      fields: [
+        {
+          id: 'bitcoin-amount',
+          label: 'Amount',
+          col: 8,
+          placeholder: '0.001',
+          attrs: amountAttrs,
+          info: (value, fields) => (fields['bitcoin-unit'] === 'sats' ? 'Whole satoshis' : 'BTC, up to 8 decimals')
+        },
+        { id: 'bitcoin-unit', type: 'select', label: 'Unit', col: 4, options: [['btc', 'BTC'], ['sats', 'sats']] }
+      ]
+    },
+    { id: 'bitcoin-label', label: 'Label', placeholder: 'Payment Label' },
+    { id: 'bitcoin-message', type: 'textarea', label: 'Message', placeholder: 'Payment Message' },
+    {
+      id: 'bitcoin-lightning',
+      type: 'textarea',
+      label: 'Lightning Invoice (optional)',
+      placeholder: 'lnbc…',
+      attrs: codeAttrs,
+      help: 'A BOLT11 invoice is added as lightning=; without an address the code holds the invoice alone'
+    }
+  ],
+  validate: withPrefix('bitcoin', validateBIP21),
+  build: fields => buildBIP21(unprefixed(fields, 'bitcoin')),
+  parse: text => {
+    if (/^lightning:/i.test(text)) return { 'bitcoin-address': '', 'bitcoin-lightning': text.slice(10).toLowerCase() };
+    if (!/^bitcoin:/i.test(text)) return null;
+    const params = queryParams(text);
+    return {
+      'bitcoin-address': text.slice(8).split('?')[0],
+      'bitcoin-amount': params.amount || '',
+      'bitcoin-unit': 'btc',
+      'bitcoin-label': params.label || '',
+      'bitcoin-message': params.message || '',
+      'bitcoin-lightning': params.lightning || ''
+    };
+  }
+});
 
-  social: () => {
-    const platformEl = document.getElementById('social-platform');
-    const usernameEl = document.getElementById('social-username');
-    
-    if (!platformEl || !usernameEl) return 'https://example.com';
-    
-    const platform = platformEl.value;
-    const username = usernameEl.value;
-    
-    if (platform === 'custom') return username || 'https://example.com';
-    
-    const urls = {
-      facebook: `https://facebook.com/${username}`,
-      twitter: `https://twitter.com/${username}`,
-      instagram: `https://instagram.com/${username}`,
-      linkedin: `https://linkedin.com/in/${username}`,
-      youtube: `https://youtube.com/@${username}`,
-      tiktok: `https://tiktok.com/@${username}`,
-      github: `https://github.com/${username}`
+registerTemplate({
+  name: 'epc',
+  label: 'SEPA',
+  icon: 'bi-bank',
+  heading: 'SEPA Credit Transfer',
+  fields: [
+    { id: 'epc-name', label: 'Beneficiary Name', placeholder: 'Red Cross', attrs: { maxlength: 70 } },
+    { id: 'epc-iban', label: 'IBAN', placeholder: 'DE89 3704 0044 0532 0130 00', attrs: { autocomplete: 'off' } },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'epc-bic', label: 'BIC (optional)', placeholder: 'COBADEFFXXX', attrs: { autocomplete: 'off' } },
+        { id: 'epc-amount', label: 'Amount (EUR)', placeholder: '12.50', attrs: amountAttrs }
+      ]
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'epc-reference', label: 'Creditor Reference', col: 8, placeholder: 'RF18 5390 0754 7034', attrs: { autocomplete: 'off' } },
+        { id: 'epc-purpose', label: 'Purpose Code', col: 4, placeholder: 'GDDS', attrs: { maxlength: 4, autocomplete: 'off' } }
+      ]
+    },
+    { id: 'epc-text', label: 'Remittance Text', placeholder: 'Invoice 2024-001', attrs: { maxlength: 140 }, help: 'Use either a creditor reference or a text' },
+    { id: 'epc-info', label: 'Note to Payer', placeholder: 'Thank you!', attrs: { maxlength: 70 } }
+  ],
+  validate: withPrefix('epc', validateEPC),
+  build: fields => buildEPC(unprefixed(fields, 'epc'))
+});
+
+registerTemplate({
+  name: 'swissqr',
+  label: 'QR-bill',
+  icon: 'bi-receipt',
+  heading: 'Swiss QR-bill',
+  fields: [
+    { id: 'swiss-iban', label: 'IBAN or QR-IBAN', placeholder: 'CH44 3199 9123 0008 8901 2', attrs: { autocomplete: 'off' } },
+    ...swissAddress('swiss-', 'Creditor Name', { default: 'CH' }),
+    {
+      layout: 'row',
+      fields: [
+        { id: 'swiss-amount', label: 'Amount', col: 8, placeholder: 'Empty: the payer fills it in', attrs: amountAttrs },
+        { id: 'swiss-currency', type: 'select', label: 'Currency', col: 4, options: [['CHF', 'CHF'], ['EUR', 'EUR']] }
+      ]
+    },
+    {
+      id: 'swiss-reference',
+      label: 'Reference',
+      placeholder: 'QR or RF creditor reference',
+      attrs: { autocomplete: 'off' },
+      help: 'A QR-IBAN needs a 27-digit QR reference; a regular IBAN takes an RF reference or none'
+    },
+    { id: 'swiss-message', label: 'Message', placeholder: 'Order of 15 June', attrs: { maxlength: 140 } },
+    { layout: 'details', summary: 'Payer (optional)', fields: swissAddress('swiss-debtor-', 'Payer Name', { placeholder: 'CH' }) },
+    { note: 'QR-bills use error correction level M and carry the Swiss cross in the middle' }
+  ],
+  // The standard mandates level M and a Swiss cross in the middle
+  options: { ec: 'M', symbol: 'qr', overlay: 'swiss-cross' },
+  validate: withPrefix('swiss', validateSwissQR),
+  build: fields => buildSwissQR(unprefixed(fields, 'swiss'))
+});
+
+registerTemplate({
+  name: 'upi',
+  label: 'UPI',
+  icon: 'bi-currency-rupee',
+  heading: 'UPI Payment',
+  fields: [
+    { id: 'upi-vpa', label: 'UPI ID', placeholder: 'shop@okaxis', attrs: { autocomplete: 'off' } },
+    { id: 'upi-name', label: 'Payee Name', placeholder: 'My Shop' },
+    { id: 'upi-amount', label: 'Amount (INR)', placeholder: 'Empty: the payer fills it in', attrs: amountAttrs },
+    { id: 'upi-note', label: 'Note', placeholder: 'Order 12', attrs: { maxlength: 80 } },
+    { id: 'upi-reference', label: 'Transaction Reference (optional)', attrs: { autocomplete: 'off', maxlength: 35 } }
+  ],
+  validate: withPrefix('upi', validateUPI),
+  build: fields => buildUPI(unprefixed(fields, 'upi')),
+  parse: text => {
+    if (!/^upi:\/\/pay\?/i.test(text)) return null;
+    const params = queryParams(text);
+    return {
+      'upi-vpa': params.pa || '',
+      'upi-name': params.pn || '',
+      'upi-amount': params.am || '',
+      'upi-note': params.tn || '',
+      'upi-reference': params.tr || ''
     };
-    return urls[platform] || `https://${platform}.com/${username}`;
-  },
+  }
+});
 
-  app: () => {
-    const platformEl = document.getElementById('app-platform');
-    const appIdEl = document.getElementById('app-id');
-    
-    if (!platformEl || !appIdEl) return 'https://example.com/app';
-    
-    const platform = platformEl.value;
-    const appId = appIdEl.value;
-    
-    if (platform === 'custom') return appId || 'https://example.com/app';
-    
-    const urls = {
-      ios: `https://apps.apple.com/app/id${appId}`,
-      android: `https://play.google.com/store/apps/details?id=${appId}`,
-      windows: `https://www.microsoft.com/store/apps/${appId}`,
-      amazon: `https://www.amazon.com/gp/product/${appId}`
+registerTemplate({
+  name: 'ethereum',
+  label: 'Ethereum',
+  icon: 'bi-coin',
+  heading: 'Ethereum Payment Request',
+  fields: [
+    { id: 'eth-address', label: 'Recipient Address', placeholder: '0x…', attrs: codeAttrs },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'eth-chain', type: 'select', label: 'Network', options: Object.entries(ETHEREUM_CHAINS) },
+        { id: 'eth-amount', label: 'Amount', placeholder: '0.05', attrs: amountAttrs }
+      ]
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'eth-token', label: 'Token Contract (optional)', col: 8, placeholder: '0x… for an ERC-20 token', attrs: codeAttrs },
+        { id: 'eth-decimals', label: 'Decimals', col: 4, default: 18, attrs: { inputmode: 'numeric' } }
+      ]
+    },
+    { note: 'Leave the token empty to request ether; amounts are in whole tokens and converted to base units' }
+  ],
+  validate: withPrefix('eth', validateEIP681),
+  build: fields => buildEIP681(unprefixed(fields, 'eth'))
+});
+
+registerTemplate({
+  name: 'geo',
+  label: 'Location',
+  icon: 'bi-geo-alt',
+  heading: 'Geographic Location',
+  fields: [
+    {
+      id: 'geo-paste',
+      label: 'Paste a Location',
+      placeholder: 'Coordinates, a map link or a Plus Code',
+      attrs: codeAttrs,
+      help: 'e.g. 40°42\'46"N 74°0\'22"W, a Google or Apple Maps link, or 87G7PX7V+4H; read locally',
+      info: (value, fields) => {
+        const location = value && readLocation(value, referencePoint(unprefixed(fields, 'geo')));
+        return location && !location.error ? `Read as ${formatCoordinate(location.lat)}, ${formatCoordinate(location.lon)}` : '';
+      },
+      // A location that reads fills in the coordinates below
+      fill: (value, fields) => {
+        const location = readLocation(value, referencePoint(unprefixed(fields, 'geo')));
+        if (location.error) return null;
+        return {
+          'geo-latitude': formatCoordinate(location.lat),
+          'geo-longitude': formatCoordinate(location.lon),
+          ...(location.altitude && { 'geo-altitude': location.altitude }),
+          ...(location.query && { 'geo-query': location.query })
+        };
+      }
+    },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'geo-latitude', label: 'Latitude', placeholder: '40.7128', attrs: { autocomplete: 'off' } },
+        { id: 'geo-longitude', label: 'Longitude', placeholder: '-74.0060', attrs: { autocomplete: 'off' } }
+      ]
+    },
+    { note: 'Decimal degrees or degrees, minutes and seconds, e.g. 40°42\'46"N' },
+    { id: 'geo-query', label: 'Location Name/Query', placeholder: 'New York City' },
+    {
+      layout: 'row',
+      fields: [
+        { id: 'geo-output', type: 'select', label: 'Opens As', col: 7, options: Object.entries(GEO_OUTPUTS) },
+        {
+          id: 'geo-altitude',
+          type: 'number',
+          label: 'Altitude (m)',
+          col: 5,
+          placeholder: 'Optional',
+          attrs: { step: 1 },
+          showIf: fields => (fields['geo-output'] || 'geo') === 'geo'
+        }
+      ]
+    },
+    { note: 'iPhone cameras ignore geo: codes; a map link opens on any phone. Google Maps and OpenStreetMap links show no name.' }
+  ],
+  validate: withPrefix('geo', validateGeo),
+  build: fields => buildGeo(unprefixed(fields, 'geo')),
+  parse: text => {
+    const location = readGeoURI(text);
+    if (!location) return null;
+    return {
+      'geo-latitude': formatCoordinate(location.lat),
+      'geo-longitude': formatCoordinate(location.lon),
+      'geo-altitude': location.altitude,
+      'geo-query': location.query,
+      'geo-output': 'geo'
     };
-    return urls[platform] || `https://store.${platform}.com/app/${appId}`;
-  },
+  }
+});
+
+registerTemplate({
+  name: 'social',
+  label: 'Social',
+  icon: 'bi-share',
+  heading: 'Social Media Profile',
+  fields: [
+    {
+      id: 'social-platform',
+      type: 'select',
+      label: 'Platform',
+      options: [...catalogOptions('social', 'messenger'), ['custom', 'Custom URL']]
+    },
+    {
+      id: 'social-username',
+      label: 'Username or URL',
+      placeholder: 'Handle, number or profile link',
+      attrs: codeAttrs,
+      required: true,
+      info: (value, fields) => LINK_CATALOG[fields['social-platform']]?.example || '',
+      validate: (value, fields) => (fields['social-platform'] === 'custom' ? checkUrl(value) : checkHandle(fields['social-platform'], value))
+    },
+    {
+      id: 'social-message',
+      type: 'textarea',
+      label: 'Message',
+      placeholder: 'Optional text filled in for the chat',
+      showIf: fields => Boolean(LINK_CATALOG[fields['social-platform']]?.message)
+    }
+  ],
+  preview: true,
+  build: fields => {
+    const platform = fields['social-platform'] || 'facebook';
+    const username = fields['social-username'] || '';
 
-  email: () => {
-    const toEl = document.getElementById('email-to');
-    const subjectEl = document.getElementById('email-subject');
-    const bodyEl = document.getElementById('email-body');
-    
-    if (!toEl) return 'mailto:test@example.com';
-    
-    const to = toEl.value || 'test@example.com';
+    if (platform === 'custom') return username || 'https://example.com';
+    return buildLink(platform, username, { message: fields['social-message'] });
+  }
+});
+
+registerTemplate({
+  name: 'app',
+  label: 'App',
+  icon: 'bi-phone',
+  heading: 'App Download',
+  fields: [
+    {
+      id: 'app-platform',
+      type: 'select',
+      label: 'Platform',
+      options: [...catalogOptions('app'), ['custom', 'Custom URL']]
+    },
+    {
+      id: 'app-id',
+      label: 'App ID or URL',
+      placeholder: 'App ID or full store URL',
+      attrs: codeAttrs,
+      required: true,
+      info: (value, fields) => LINK_CATALOG[fields['app-platform']]?.example || '',
+      validate: (value, fields) => (fields['app-platform'] === 'custom' ? checkUrl(value) : checkHandle(fields['app-platform'], value))
+    },
+    {
+      id: 'app-link',
+      type: 'select',
+      label: 'Opens In',
+      options: [['web', 'Store website (any device)'], ['deep', 'Store app (its own platform only)']],
+      showIf: fields => fields['app-platform'] !== 'custom'
+    }
+  ],
+  preview: true,
+  build: fields => {
+    const platform = fields['app-platform'] || 'ios';
+    const appId = fields['app-id'] || '';
+
+    if (platform === 'custom') return appId || 'https://example.com/app';
+    return buildLink(platform, appId, { deep: fields['app-link'] === 'deep' });
+  }
+});
+
+registerTemplate({
+  name: 'email',
+  label: 'Email',
+  icon: 'bi-envelope',
+  heading: 'Email Configuration',
+  fields: [
+    { id: 'email-to', type: 'email', label: 'To Email', placeholder: 'To Email', default: 'hello@example.com', attrs: { multiple: true }, required: true, validate: checkEmailList },
+    { id: 'email-subject', label: 'Subject', placeholder: 'Subject' },
+    { id: 'email-body', type: 'textarea', label: 'Body', placeholder: 'Body' }
+  ],
+  build: fields => {
+    const to = fields['email-to'] || 'test@example.com';
     let m = `mailto:${to}`;
     const p = [];
-    if (subjectEl?.value) p.push(`subject=${encodeURIComponent(subjectEl.value)}`);
-    if (bodyEl?.value) p.push(`body=${encodeURIComponent(bodyEl.value)}`);
+    if (fields['email-subject']) p.push(`subject=${encodeURIComponent(fields['email-subject'])}`);
+    if (fields['email-body']) p.push(`body=${encodeURIComponent(fields['email-body'])}`);
     return p.length ? m + '?' + p.join('&') : m;
   },
+  parse: text => {
+    if (!/^mailto:/i.test(text)) return null;
+    const params = queryParams(text);
+    return { 'email-to': decodeURIComponent(text.slice(7).split('?')[0]), 'email-subject': params.subject || '', 'email-body': params.body || '' };
+  }
+});
 
-  sms: () => {
-    const phoneEl = document.getElementById('sms-phone');
-    const messageEl = document.getElementById('sms-message');
-    
-    if (!phoneEl) return 'sms:+1234567890';
-    
-    const phone = phoneEl.value || '+1234567890';
-    const message = messageEl ? messageEl.value : '';
-    return message ? `sms:${phone}?body=${encodeURIComponent(message)}` : `sms:${phone}`;
+registerTemplate({
+  name: 'sms',
+  label: 'SMS',
+  icon: 'bi-chat-dots',
+  heading: 'SMS Configuration',
+  fields: [
+    { id: 'sms-phone', type: 'tel', label: 'Phone Number', placeholder: 'Phone Number', default: '+1234567890', required: true },
+    { id: 'sms-message', type: 'textarea', label: 'Message', placeholder: 'Message' }
+  ],
+  build: fields => {
+    const number = phone(fields['sms-phone'] || '+1234567890');
+    const message = fields['sms-message'] || '';
+    return message ? `sms:${number}?body=${encodeURIComponent(message)}` : `sms:${number}`;
   },
-
-  phone: () => {
-    const phoneEl = document.getElementById('phone-number');
-    return `tel:${phoneEl?.value || '+1234567890'}`;
+  parse: text => {
+    // sms:NUMBER?body=TEXT, or the older SMSTO:NUMBER:TEXT
+    const smsto = /^smsto:([^:]*):?(.*)$/is.exec(text);
+    if (smsto) return { 'sms-phone': smsto[1], 'sms-message': smsto[2] };
+    if (!/^sms:/i.test(text)) return null;
+    return { 'sms-phone': text.slice(4).split('?')[0], 'sms-message': queryParams(text).body || '' };
   }
-};
+});
 
-function formatDate(date, timezone) {
-  const year = date.getUTCFullYear();
-  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(date.getUTCDate()).padStart(2, '0');
-  const hours = String(date.getUTCHours()).padStart(2, '0');
-  const minutes = String(date.getUTCMinutes()).padStart(2, '0');
-  const seconds = String(date.getUTCSeconds()).padStart(2, '0');
-  return `${year}${month}${day}T${hours}${minutes}${seconds}Z`;
+registerTemplate({
+  name: 'phone',
+  label: 'Phone',
+  icon: 'bi-telephone',
+  heading: 'Phone Number',
+  fields: [
+    { id: 'phone-number', type: 'tel', label: 'Phone Number', placeholder: 'Phone Number', default: '+1234567890', required: true }
+  ],
+  build: fields => `tel:${phone(fields['phone-number'] || '+1234567890')}`,
+  parse: text => (/^tel:/i.test(text) ? { 'phone-number': text.slice(4) } : null)
+});
+
+export function getActiveTemplate() {
+  return document.querySelector('.template-btn.active')?.dataset.template || 'text';
+}
+
+// Current values of a template's inputs on the page
+export function readFields(template) {
+  const fields = {};
+  document.querySelectorAll(`#input-${template} .qr-input`).forEach(input => {
+    fields[input.id] = input.type === 'checkbox' ? input.checked : input.value;
+  });
+  return fields;
+}
+
+export function getContent(template = getActiveTemplate(), fields = readFields(template)) {
+  const descriptor = getTemplate(template);
+  return descriptor ? descriptor.build(fields) : 'https://github.com';
+}
+
+// Problems with a template's fields as [{ id, message }], keyed by input id
+export function validateFields(template = getActiveTemplate(), fields = readFields(template)) {
+  const descriptor = getTemplate(template);
+  return descriptor ? validateTemplate(descriptor, fields) : [];
 }
 
-export function getContent() {
-  const template = document.querySelector('.template-btn.active').dataset.template;
-  return Templates[template] ? Templates[template]() : 'https://github.com';
-}
\ No newline at end of file
+// A problem as one line away from its input, e.g. 'Work Phone: Phone numbers have 3 to 15 digits'
+export function describeProblem(template, { id, message }) {
+  const field = templateFields(getTemplate(template) || { fields: [] }).find(f => f.id === id);
+  return field && !message.startsWith(field.label) ? `${field.label}: ${message}` : message;
+}
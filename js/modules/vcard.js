@@ -0,0 +1,80 @@
+// vCard Module
+// Builds vCard 3.0 (RFC 2426) and 4.0 (RFC 6350) contacts with a structured name
+// and address, typed phones and emails, and escaped, folded CRLF lines
+
+import { contentLines, escapeText } from './content-lines.js';
+import { buildLink } from './link-catalog.js';
+
+export const VCARD_VERSIONS = ['3.0', '4.0'];
+
+// Profile services: display name and the link catalog entry that builds the URL
+export const SOCIAL_PROFILES = {
+  linkedin: ['LinkedIn', 'linkedin'],
+  x: ['X', 'twitter'],
+  instagram: ['Instagram', 'instagram'],
+  github: ['GitHub', 'github']
+};
+
+// TYPE parameters per version; 3.0 also marks voice numbers and internet addresses
+const PHONE_TYPES = {
+  '3.0': { cell: ['CELL'], work: ['WORK', 'VOICE'], home: ['HOME', 'VOICE'] },
+  '4.0': { cell: ['cell'], work: ['work', 'voice'], home: ['home', 'voice'] }
+};
+const EMAIL_TYPES = {
+  '3.0': { work: ['INTERNET', 'WORK'], home: ['INTERNET', 'HOME'] },
+  '4.0': { work: ['work'], home: ['home'] }
+};
+
+const structured = parts => parts.map(part => escapeText(part || '')).join(';');
+const typeParam = types => (types && types.length ? `;TYPE=${types.join(',')}` : '');
+
+function profileUrl(service, value) {
+  if (/^https?:\/\//i.test(value)) return value;
+  return buildLink(SOCIAL_PROFILES[service][1], value);
+}
+
+// `card` holds { name: { prefix, given, middle, family, suffix }, org, title,
+// phones: [{ type, value }], emails: [{ type, value }], address: { type, street,
+// city, region, postal, country }, url, birthday ('YYYY-MM-DD'), note,
+// social: [{ service, value }] }; empty values are left out.
+export function buildVCard(card, version = '3.0') {
+  if (!VCARD_VERSIONS.includes(version)) throw new Error(`Unsupported vCard version ${version}`);
+  const v4 = version === '4.0';
+  const name = card.name || {};
+  const formatted = [name.prefix, name.given, name.middle, name.family, name.suffix].filter(Boolean).join(' ');
+
+  const lines = ['BEGIN:VCARD', `VERSION:${version}`];
+  lines.push(`N:${structured([name.family, name.given, name.middle, name.prefix, name.suffix])}`);
+  lines.push(`FN:${escapeText(formatted || card.org || '')}`);
+  if (card.org) lines.push(`ORG:${escapeText(card.org)}`);
+  if (card.title) lines.push(`TITLE:${escapeText(card.title)}`);
+
+  (card.phones || []).filter(phone => phone.value).forEach(({ type, value }) => {
+    const types = typeParam(PHONE_TYPES[version][type]);
+    // 4.0 prefers tel: URIs, which cannot hold spaces or parentheses
+    lines.push(v4 ? `TEL;VALUE=uri${types}:tel:${value.replace(/[\s()]/g, '')}` : `TEL${types}:${escapeText(value)}`);
+  });
+  (card.emails || []).filter(email => email.value).forEach(({ type, value }) => {
+    lines.push(`EMAIL${typeParam(EMAIL_TYPES[version][type])}:${escapeText(value)}`);
+  });
+
+  const address = card.address || {};
+  if ([address.street, address.city, address.region, address.postal, address.country].some(Boolean)) {
+    const type = address.type ? [v4 ? address.type : address.type.toUpperCase()] : null;
+    lines.push(`ADR${typeParam(type)}:${structured(['', '', address.street, address.city, address.region, address.postal, address.country])}`);
+  }
+
+  if (card.url) lines.push(`URL:${card.url}`);
+  if (card.birthday) lines.push(`BDAY:${v4 ? card.birthday.replace(/-/g, '') : card.birthday}`);
+  (card.social || []).filter(profile => profile.value && SOCIAL_PROFILES[profile.service]).forEach(({ service, value }) => {
+    const url = profileUrl(service, value);
+    // 4.0 uses SOCIALPROFILE (RFC 9554); 3.0 readers know the X- form
+    lines.push(v4
+      ? `SOCIALPROFILE;SERVICE-TYPE=${SOCIAL_PROFILES[service][0]}:${url}`
+      : `X-SOCIALPROFILE;TYPE=${service}:${url}`);
+  });
+  if (card.note) lines.push(`NOTE:${escapeText(card.note)}`);
+
+  lines.push('END:VCARD');
+  return contentLines(lines);
+}
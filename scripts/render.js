@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// Render Script
+// Renders a QR code from the command line with the same core the page uses, as SVG
+// on stdout or into a file. No browser or DOM is involved.
+//
+//   node scripts/render.js "https://example.com" code.svg --ec H --style rounded
+//   node scripts/render.js --template wifi --field wifi-ssid=Office --field 'wifi-password=correct horse'
+
+import { writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { createQR } from '../js/modules/qr-render.js';
+import { rmqrName, rmqrVersionOf } from '../js/modules/rmqr.js';
+import { defaultFields, getContent, getTemplate, validateFields } from '../js/modules/templates.js';
+
+const USAGE = `Usage: node scripts/render.js [content] [output.svg] [options]
+
+  --template <name>     build the content with a template (wifi, vcard, email, ...)
+  --field <id=value>    a template field, repeatable
+  --ec <L|M|Q|H>        error correction level (default M)
+  --symbol <type>       qr, micro or rmqr (default qr)
+  --version <n>         version, 0 for the smallest that fits (default 0);
+                        rMQR also takes a size such as R13x43
+  --style <name>        dot style, e.g. square, rounded, dots (default square)
+  --size <px>           image size (default 350)
+  --fg <color>, --bg <color>`;
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+// Version number, or the rMQR version of a size written as R<rows>x<columns>
+function parseVersion(value) {
+  const size = /^R(\d+)x(\d+)$/i.exec(value);
+  if (!size) return parseInt(value, 10);
+  const version = rmqrVersionOf(Number(size[1]), Number(size[2]));
+  if (!version) fail(`${value} is not an rMQR size`);
+  return version;
+}
+
+function templateContent(name, pairs) {
+  const template = getTemplate(name);
+  if (!template) fail(`Unknown template "${name}"`);
+  const fields = defaultFields(template);
+  pairs.forEach(pair => {
+    const at = pair.indexOf('=');
+    if (at < 1) fail(`Fields are written as id=value, not "${pair}"`);
+    fields[pair.slice(0, at)] = pair.slice(at + 1);
+  });
+  const problems = validateFields(name, fields);
+  if (problems.length) fail(problems.map(({ id, message }) => `${id}: ${message}`).join('\n'));
+  return getContent(name, fields);
+}
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    template: { type: 'string' },
+    field: { type: 'string', multiple: true, default: [] },
+    ec: { type: 'string', default: 'M' },
+    symbol: { type: 'string', default: 'qr' },
+    version: { type: 'string', default: '0' },
+    style: { type: 'string', default: 'square' },
+    size: { type: 'string', default: '350' },
+    fg: { type: 'string', default: '#000000' },
+    bg: { type: 'string', default: '#ffffff' },
+    help: { type: 'boolean', short: 'h' }
+  }
+});
+
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const [first, second] = positionals;
+const content = values.template ? templateContent(values.template, values.field) : first;
+const output = values.template ? first : second;
+if (!content) fail(USAGE);
+
+try {
+  const qr = createQR(content, {
+    ec: values.ec.toUpperCase(),
+    symbol: values.symbol,
+    version: parseVersion(values.version),
+    style: values.style,
+    size: parseInt(values.size, 10),
+    fg: values.fg,
+    bg: values.bg
+  });
+  const name = values.symbol === 'micro' ? `M${qr.version}` : values.symbol === 'rmqr' ? rmqrName(qr.version) : `version ${qr.version}`;
+  if (output) {
+    writeFileSync(output, qr.renderSVG());
+    console.error(`${output}: ${name}, mask ${qr.mask}, ${qr.count}×${qr.rows} modules`);
+  } else {
+    process.stdout.write(`${qr.renderSVG()}\n`);
+  }
+} catch (err) {
+  fail(err.message);
+}
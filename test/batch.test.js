@@ -0,0 +1,97 @@
+// Batch input tests: CSV and JSON rows parse the way spreadsheets write them, the ZIP
+// writer's CRC-32 matches the standard check values, and status text is escaped.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, parseJSON } from '../js/modules/batch.js';
+import { escapeHtml } from '../js/modules/html.js';
+import { crc32, createZip } from '../js/modules/zip.js';
+
+const bytes = text => new TextEncoder().encode(text);
+
+test('CSV quoting follows RFC 4180', () => {
+  const { columns, rows } = parseCSV('name,note\r\n"Doe, Jane","said ""hi""\nthen left"\r\nBob,\r\n');
+  assert.deepEqual(columns, ['name', 'note']);
+  assert.deepEqual(rows, [
+    { name: 'Doe, Jane', note: 'said "hi"\nthen left' },
+    { name: 'Bob', note: '' }
+  ]);
+});
+
+test('CSV delimiter is read from the header row', () => {
+  assert.deepEqual(parseCSV('a;b\n1,5;2').rows, [{ a: '1,5', b: '2' }]);
+  assert.deepEqual(parseCSV('a\tb\nx\ty').rows, [{ a: 'x', b: 'y' }]);
+});
+
+test('CSV byte order mark, blank lines and short rows', () => {
+  const { columns, rows } = parseCSV('\uFEFFssid,password,hidden\n\nOffice\n,,\nLab,secret123,yes');
+  assert.deepEqual(columns, ['ssid', 'password', 'hidden']);
+  assert.deepEqual(rows, [
+    { ssid: 'Office', password: '', hidden: '' },
+    { ssid: 'Lab', password: 'secret123', hidden: 'yes' }
+  ]);
+});
+
+test('blank and repeated column names are made unique', () => {
+  assert.deepEqual(parseCSV('url,,url,url\n1,2,3,4').columns, ['url', 'Column 2', 'url_', 'url__']);
+  assert.throws(() => parseCSV('\n , \n'), /no rows/);
+});
+
+test('JSON rows as objects, a header array or { rows }', () => {
+  assert.deepEqual(parseJSON('[{"a":1},{"b":"x","a":null}]'), {
+    columns: ['a', 'b'],
+    rows: [{ a: 1, b: '' }, { a: '', b: 'x' }]
+  });
+  assert.deepEqual(parseJSON('[["a","a"],[1,2],[3]]'), {
+    columns: ['a', 'a_'],
+    rows: [{ a: 1, a_: 2 }, { a: 3, a_: '' }]
+  });
+  assert.deepEqual(parseJSON('{"rows":[{"url":"https://example.com"}]}').rows, [{ url: 'https://example.com' }]);
+});
+
+test('JSON that is not a list of rows is refused', () => {
+  assert.throws(() => parseJSON('[]'), /non-empty array/);
+  assert.throws(() => parseJSON('{"a":1}'), /non-empty array/);
+  assert.throws(() => parseJSON('[{"a":1},"b"]'), /must be an object/);
+  assert.throws(() => parseJSON('[{'), SyntaxError);
+});
+
+test('CRC-32 check values', () => {
+  assert.equal(crc32(bytes('')), 0);
+  assert.equal(crc32(bytes('a')), 0xE8B7BE43);
+  assert.equal(crc32(bytes('123456789')), 0xCBF43926);
+  assert.equal(crc32(bytes('The quick brown fox jumps over the lazy dog')), 0x414FA339);
+  assert.equal(crc32(new Uint8Array(32)), 0x190A55AD);
+});
+
+test('ZIP headers carry the CRC, sizes and UTF-8 names of stored files', async () => {
+  const date = new Date(2024, 2, 15, 13, 45, 30);
+  const zip = new Uint8Array(await (await createZip([
+    { name: 'a.txt', data: '123456789' },
+    { name: 'café.svg', data: bytes('<svg/>') }
+  ], date)).arrayBuffer());
+  const view = new DataView(zip.buffer);
+
+  assert.equal(view.getUint32(0, true), 0x04034B50);
+  assert.equal(view.getUint16(6, true), 0x0800);
+  assert.equal(view.getUint16(8, true), 0);
+  assert.equal(view.getUint16(10, true), (13 << 11) | (45 << 5) | 15);
+  assert.equal(view.getUint16(12, true), (44 << 9) | (3 << 5) | 15);
+  assert.equal(view.getUint32(14, true), 0xCBF43926);
+  assert.equal(view.getUint32(18, true), 9);
+  assert.equal(new TextDecoder().decode(zip.subarray(30, 35)), 'a.txt');
+
+  const end = zip.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054B50);
+  assert.equal(view.getUint16(end + 10, true), 2);
+  const central = view.getUint32(end + 16, true);
+  assert.equal(central, 30 + 5 + 9 + 30 + bytes('café.svg').length + 6);
+  assert.equal(view.getUint32(central, true), 0x02014B50);
+  assert.equal(view.getUint32(central + 16, true), 0xCBF43926);
+});
+
+test('status text is escaped for HTML', () => {
+  assert.equal(escapeHtml(`Unexpected token '<' in "<img src=x onerror=alert(1)>" & more`),
+    'Unexpected token &#39;&lt;&#39; in &quot;&lt;img src=x onerror=alert(1)&gt;&quot; &amp; more');
+  assert.equal(escapeHtml(42), '42');
+});
@@ -0,0 +1,79 @@
+// Bitcoin tests: addresses from the Base58Check, BIP-173 and BIP-350 test vectors,
+// BOLT11 invoices from the specification's examples, and BIP21 amounts.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBIP21, decodeInvoice, detectAddress, formatBTC, toSats, validateBIP21 } from '../js/modules/bitcoin.js';
+
+// 2500 µBTC with a 60 second expiry, and 20 mBTC with a description hash and fallback address
+const INVOICE = 'lnbc2500u1pvjluezsp5zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zygspp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdq5xysxxatsyp3k7enxv4jsxqzpu9qrsgquk0rl77nj30yxdy8j9vdx85fkpmdla2087ne0xh8nhedh8w27kyke0lp53ut353s06fv3qfegext0eh0ymjpf39tuven09sam30g4vgpfna3rh';
+const FALLBACK_INVOICE = 'lnbc20m1pvjluezpp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqhp58yjmdan79s6qqdhdzgynm4zwqd5d7xmw5fk98klysy043l2ahrqsfpp3qjmp7lwpagxun9pygexvgpjdc4jdj85fr9yq20q82gphp2nflc7jtzrcazrra7wwgzxqc8u7754cdlpfrmccae92qgzqvzq2ps8pqqqqqqpqqqqq9qqqvpeuqafqxu92d8lr6fvg0r5gv0heeeqgcrqlnm6jhphu9y00rrhy4grqszsvpcgpy9qqqqqqgqqqqq7qqzqj9n4evl6mr5aj9f58zp6fyjzup6ywn3x6sk8akg5v4tgn2q8g4fhx05wf6juaxu9760yp46454gpg5mtzgerlzezqcqvjnhjh8z3g2qqdhhwkj';
+// Both are dated 1 June 2017, 10:57:38 UTC
+const CREATED = 1496314658000;
+
+test('Base58Check addresses', () => {
+  assert.deepEqual(detectAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'), { type: 'p2pkh', network: 'mainnet' });
+  assert.deepEqual(detectAddress('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy'), { type: 'p2sh', network: 'mainnet' });
+  assert.deepEqual(detectAddress('mipcBbFg9gMiCh81Kj8tqqdgoZub1ZJRfn'), { type: 'p2pkh', network: 'testnet' });
+  assert.deepEqual(detectAddress('2MzQwSSnBHWHqSAqtTVQ6v47XtaisrJa1Vc'), { type: 'p2sh', network: 'testnet' });
+  // A changed last character breaks the checksum; 0, O, I and l are not Base58
+  assert.equal(detectAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3'), null);
+  assert.equal(detectAddress('1BvBMSEYstWetqTFn5Au4m4GFg7xJaNV0'), null);
+});
+
+test('BIP-173 bech32 addresses', () => {
+  assert.deepEqual(detectAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'), { type: 'p2wpkh', network: 'mainnet' });
+  assert.deepEqual(detectAddress('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4'), { type: 'p2wpkh', network: 'mainnet' });
+  assert.deepEqual(detectAddress('tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx'), { type: 'p2wpkh', network: 'testnet' });
+  assert.deepEqual(detectAddress('bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3'), { type: 'p2wsh', network: 'mainnet' });
+  // Bad checksum, mixed case, and an empty data part
+  assert.equal(detectAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5'), null);
+  assert.equal(detectAddress('Bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'), null);
+  assert.equal(detectAddress('bc1gmk9yu'), null);
+});
+
+test('BIP-350 bech32m addresses', () => {
+  assert.deepEqual(detectAddress('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0'), { type: 'p2tr', network: 'mainnet' });
+  assert.deepEqual(detectAddress('bc1pw508d6qejxtdg4y5r3zarvary0c5xw7kw508d6qejxtdg4y5r3zarvary0c5xw7kt5nd6y'), { type: 'witness', network: 'mainnet' });
+  assert.deepEqual(detectAddress('bc1sw50qgdz25j'), { type: 'witness', network: 'mainnet' });
+  // Version 1 with a bech32 checksum, version 0 with a bech32m one, and bad padding
+  assert.equal(detectAddress('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vq5zuyut'), null);
+  assert.equal(detectAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh'), null);
+  assert.equal(detectAddress('bc1zw508d6qejxtdg4y5r3zarvaryvqyzf3du'), null);
+  assert.equal(detectAddress('tb1z0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqglt7rf'), null);
+});
+
+test('BOLT11 invoices', () => {
+  assert.deepEqual(decodeInvoice(INVOICE), { network: 'mainnet', msat: 250000000n, expiresAt: CREATED + 60000 });
+  assert.deepEqual(decodeInvoice(`lightning:${INVOICE.toUpperCase()}`), decodeInvoice(INVOICE));
+  // Without an 'x' field an invoice expires after an hour
+  assert.deepEqual(decodeInvoice(FALLBACK_INVOICE), { network: 'mainnet', msat: 2000000000n, expiresAt: CREATED + 3600000 });
+  assert.equal(decodeInvoice(`${INVOICE.slice(0, -1)}q`), null);
+  assert.equal(decodeInvoice('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4'), null);
+});
+
+test('BIP21 amounts and URIs', () => {
+  assert.equal(toSats('1.5'), 150000000n);
+  assert.equal(toSats('.1'), 10000000n);
+  assert.equal(toSats('0.123456789'), null);
+  assert.equal(toSats('25000', 'sats'), 25000n);
+  assert.equal(toSats('2.5', 'sats'), null);
+  assert.equal(formatBTC(150000000n), '1.5');
+  assert.equal(formatBTC(1n), '0.00000001');
+  assert.equal(formatBTC(2100000000000000n), '21000000');
+
+  assert.equal(buildBIP21({ address: 'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4', amount: '0.00025', label: 'Luke Jr', message: 'Donation for project xyz' }),
+    'bitcoin:bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4?amount=0.00025&label=Luke%20Jr&message=Donation%20for%20project%20xyz');
+  assert.equal(buildBIP21({ lightning: `lightning:${INVOICE}` }), `LIGHTNING:${INVOICE.toUpperCase()}`);
+});
+
+test('invoices must match the address network and amount, and not be expired', () => {
+  const address = 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4';
+  assert.deepEqual(validateBIP21({ address, amount: '0.0025', lightning: INVOICE }, CREATED), []);
+  assert.deepEqual(validateBIP21({ address, amount: '0.001', lightning: INVOICE }, CREATED),
+    [{ field: 'amount', message: 'The invoice asks for 0.0025 BTC; use the same amount' }]);
+  assert.deepEqual(validateBIP21({ address: 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx', lightning: INVOICE }, CREATED),
+    [{ field: 'lightning', message: 'The invoice is for mainnet but the address is for testnet' }]);
+  assert.deepEqual(validateBIP21({ lightning: INVOICE }, CREATED + 61000),
+    [{ field: 'lightning', message: 'This invoice has expired; create a new one' }]);
+});
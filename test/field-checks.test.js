@@ -0,0 +1,65 @@
+// Field check tests: phone numbers, email addresses and web addresses that are
+// accepted and the messages for those that are not.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkEmail, checkEmailList, checkInternationalPhone, checkPhone, checkUrl, isHostname, normalizePhone, TYPE_CHECKS
+} from '../js/modules/field-checks.js';
+
+const accepts = (check, values) => values.forEach(value => assert.equal(check(value), '', value));
+
+test('phone numbers: international, national and short codes', () => {
+  accepts(checkPhone, ['+44 20 7946 0958', '020 7946 0958', '0044 (20) 7946-0958', '112']);
+  assert.equal(checkPhone('12'), 'Phone numbers have 3 to 15 digits');
+  assert.equal(checkPhone('1234567890123456'), 'Phone numbers have 3 to 15 digits');
+  assert.equal(checkPhone('+1 555 abc'), 'Phone numbers can only contain digits, spaces, dashes, dots and brackets');
+  assert.equal(checkPhone('+123456'), 'International numbers have 7 to 15 digits after the +');
+});
+
+test('international numbers need a country code', () => {
+  accepts(checkInternationalPhone, ['+44 20 7946 0958', '0044 20 7946 0958']);
+  assert.equal(checkInternationalPhone('020 7946 0958'), 'Start with + and the country code, e.g. +44 20 7946 0958');
+  assert.equal(checkInternationalPhone('+020 7946 0958'), 'Country codes never start with 0; remove the trunk 0 after the +');
+  assert.equal(checkInternationalPhone('+1234567890123456'), 'International numbers have 7 to 15 digits after the +');
+  assert.equal(normalizePhone('00 44 20 7946 0958'), '+442079460958');
+  assert.equal(normalizePhone('+44.20.7946.0958'), '+442079460958');
+  assert.equal(normalizePhone('+44 (0)20'), null);
+});
+
+test('email addresses', () => {
+  accepts(checkEmail, [
+    'jane@example.com', 'Jane.Doe+tag@sub.example.co.uk', '"john doe"@example.com', 'josé@bücher.de',
+    'user@[192.0.2.1]', 'user@[IPv6:2001:db8::1]'
+  ]);
+  assert.equal(checkEmail('@example.com'), 'Enter an email address like name@example.com');
+  assert.equal(checkEmail('jane@'), 'Enter an email address like name@example.com');
+  assert.equal(checkEmail('a..b@example.com'), '"a..b" is not a valid name before the @');
+  assert.equal(checkEmail('jane doe@example.com'), '"jane doe" is not a valid name before the @');
+  assert.equal(checkEmail(`${'x'.repeat(65)}@example.com`), 'The part before the @ can be at most 64 characters');
+  assert.equal(checkEmail('jane@example'), '"example" is not a valid domain');
+  assert.equal(checkEmail('jane@-example.com'), '"-example.com" is not a valid domain');
+  assert.equal(checkEmail('user@[300.1.1.1]'), '"[300.1.1.1]" is not a valid domain');
+});
+
+test('email lists are separated by single commas', () => {
+  assert.equal(checkEmailList('a@example.com, b@example.org'), '');
+  assert.equal(checkEmailList('a@example.com,,b@example.org'), 'Separate addresses with single commas');
+  assert.equal(checkEmailList('a@example.com, b@'), 'Enter an email address like name@example.com');
+});
+
+test('web addresses', () => {
+  accepts(checkUrl, ['https://example.com', 'http://localhost:8080/x', 'https://192.0.2.1/', 'https://[2001:db8::1]/', 'https://bücher.de']);
+  assert.equal(checkUrl('example.com'), 'Enter a full web address, e.g. https://example.com');
+  assert.equal(checkUrl('ftp://example.com'), 'Web addresses start with http:// or https://');
+  assert.equal(checkUrl('https://exa mple.com'), 'Web addresses cannot contain spaces; write them as %20');
+  assert.equal(checkUrl('https://example'), '"example" is not a valid host name');
+  assert.equal(checkUrl('https://-bad-.com'), '"-bad-.com" is not a valid host name');
+});
+
+test('host names and the checks for each input type', () => {
+  assert.ok(isHostname('example.com.'));
+  assert.ok(!isHostname(`${'a'.repeat(64)}.com`));
+  assert.ok(!isHostname('example.123'));
+  assert.deepEqual(TYPE_CHECKS, { tel: checkPhone, email: checkEmail, url: checkUrl });
+});
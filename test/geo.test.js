@@ -0,0 +1,96 @@
+// Geo tests: coordinates in decimal degrees and DMS, map site links, geo: URIs and
+// Plus Codes, full and short, read back to the same points.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildGeo, formatCoordinate, readCoordinate, readCoordinates, readGeoURI, readMapLink, readPlusCode, validateGeo } from '../js/modules/geo.js';
+
+const near = (actual, lat, lon) => {
+  assert.ok(Math.abs(actual.lat - lat) < 1e-9, `lat ${actual.lat} is not ${lat}`);
+  assert.ok(Math.abs(actual.lon - lon) < 1e-9, `lon ${actual.lon} is not ${lon}`);
+};
+
+test('decimal degrees and degrees, minutes and seconds', () => {
+  assert.deepEqual(readCoordinate('-74.006', 'lon'), { value: -74.006 });
+  assert.deepEqual(readCoordinate('74°0\'21.6"W', 'lon'), { value: -74.006 });
+  assert.deepEqual(readCoordinate('W 74 0.36', 'lon'), { value: -74.006 });
+  assert.deepEqual(readCoordinate('40°42\'46"N', 'lat'), { value: 40 + 42 / 60 + 46 / 3600 });
+  // Typographic primes and the ordinal º are read as ' " and °
+  assert.deepEqual(readCoordinate('40º42′46″ N', 'lat'), readCoordinate('40°42\'46"N', 'lat'));
+
+  assert.equal(readCoordinate('40°60\'N', 'lat').error, 'Minutes and seconds are whole numbers below 60, except the last one');
+  assert.equal(readCoordinate('40.5°30\'N', 'lat').error, 'Minutes and seconds are whole numbers below 60, except the last one');
+  assert.equal(readCoordinate('91', 'lat').error, 'Latitude is between -90 and 90 degrees');
+  assert.equal(readCoordinate('40 E', 'lat').error, 'Latitude uses N or S, not E');
+  assert.match(readCoordinate('-40 S', 'lat').error, /^Enter latitude as decimal degrees/);
+});
+
+test('coordinate pairs', () => {
+  assert.deepEqual(readCoordinates('40.7128, -74.006'), { lat: 40.7128, lon: -74.006 });
+  assert.deepEqual(readCoordinates('40.7128 -74.006'), { lat: 40.7128, lon: -74.006 });
+  near(readCoordinates('40°42\'46"N 74°0\'22"W'), 40 + 42 / 60 + 46 / 3600, -(74 + 22 / 3600));
+  near(readCoordinates('N 40 42.767 W 74 0.367'), 40 + 42.767 / 60, -(74 + 0.367 / 60));
+  assert.deepEqual(readCoordinates('hello'), { error: 'Enter latitude and longitude, e.g. 40.7128, -74.006' });
+  assert.equal(formatCoordinate(40.7127777777), '40.712778');
+  assert.equal(formatCoordinate(-0.0000001), '0');
+});
+
+test('full Plus Codes decode to the centre of their area', () => {
+  near(readPlusCode('849VCWC8+R9'), 37.4220625, -122.0840625);
+  near(readPlusCode('8FVC9G8F+6X'), 47.3655625, 8.5249375);
+  // An 11th digit picks one of 20 cells
+  near(readPlusCode('8fvc9g8f+6xq'), 47.3655875, 8.524984375);
+  near(readPlusCode('8FVC0000+'), 47.5, 8.5);
+  // C is the last first digit, for 70° to 90° north
+  near(readPlusCode('C2000000+'), 80, -170);
+  ['8FVC9G8F+6', '8FV0C000+', 'F2000000+', '8FVC9G8F'].forEach(code => {
+    assert.deepEqual(readPlusCode(code), { error: 'This is not a valid Plus Code' }, code);
+  });
+});
+
+test('short Plus Codes are completed from a nearby point', () => {
+  near(readPlusCode('CWC8+R9', { lat: 37.4, lon: -122.1 }), 37.4220625, -122.0840625);
+  near(readPlusCode('PX7V+4H', { lat: 40.7, lon: -74 }), 40.7128125, -74.0060625);
+  // The nearest match may lie across the antimeridian or the equator
+  near(readPlusCode('2222+22', { lat: 0.001, lon: 179.999 }), 0.0000625, -179.9999375);
+  near(readPlusCode('XXXX+XX', { lat: 0.001, lon: -179.999 }), -0.0000625, 179.9999375);
+  assert.deepEqual(readPlusCode('CWC8+R9 Mountain View'), {
+    error: 'A short Plus Code needs a nearby location; enter the full code, e.g. 87G7PX7V+4H (a place name cannot be looked up offline)'
+  });
+});
+
+test('map links', () => {
+  // A place's own position wins over the map view
+  assert.deepEqual(readMapLink('https://www.google.com/maps/place/Statue+of+Liberty/@40.6892494,-74.0466891,17z/data=!3m1!4b1!4m6!3m5!8m2!3d40.6892494!4d-74.0445004'),
+    { lat: 40.6892494, lon: -74.0445004, query: 'Statue of Liberty' });
+  assert.deepEqual(readMapLink('https://www.google.com/maps?q=40.7128,-74.006'), { lat: 40.7128, lon: -74.006, query: '' });
+  assert.deepEqual(readMapLink('https://www.google.com/maps/@48.8583701,2.2944813,17z'), { lat: 48.8583701, lon: 2.2944813, query: '' });
+  assert.deepEqual(readMapLink('https://maps.apple.com/?ll=51.5007,-0.1246&q=Big%20Ben'), { lat: 51.5007, lon: -0.1246, query: 'Big Ben' });
+  assert.deepEqual(readMapLink('https://www.openstreetmap.org/#map=17/52.5163/13.3777'), { lat: 52.5163, lon: 13.3777, query: '' });
+  assert.deepEqual(readMapLink('https://www.bing.com/maps?cp=47.6~-122.3&q=Seattle'), { lat: 47.6, lon: -122.3, query: 'Seattle' });
+  // Yandex writes longitude first
+  assert.deepEqual(readMapLink('https://yandex.ru/maps/?pt=37.6176,55.7558&z=16'), { lat: 55.7558, lon: 37.6176, query: '' });
+
+  assert.match(readMapLink('https://maps.app.goo.gl/abc').error, /^Short map links only resolve online/);
+  assert.match(readMapLink('https://example.com/?q=1,2').error, /^Links from this site are not recognized/);
+  assert.match(readMapLink('https://www.google.com/maps/search/pizza').error, /^This map link holds no coordinates/);
+});
+
+test('geo: URIs', () => {
+  assert.deepEqual(readGeoURI('geo:37.786971,-122.399677;u=35'), { lat: 37.786971, lon: -122.399677, altitude: '', query: '' });
+  assert.deepEqual(readGeoURI('geo:37.78,-122.39,120?q=Moscone%20Center'), { lat: 37.78, lon: -122.39, altitude: '120', query: 'Moscone Center' });
+  assert.equal(readGeoURI('geo:91,0'), null);
+});
+
+test('locations build as geo: URIs or map links', () => {
+  const point = { latitude: '40°42\'46"N', longitude: '-74.0060000', query: 'City Hall' };
+  assert.equal(buildGeo({ ...point, output: 'geo' }), 'geo:40.712778,-74.006?q=City%20Hall');
+  assert.equal(buildGeo({ ...point, output: 'google' }), 'https://www.google.com/maps/search/?api=1&query=40.712778%2C-74.006');
+  assert.equal(buildGeo({ ...point, output: 'apple' }), 'https://maps.apple.com/?ll=40.712778,-74.006&q=City%20Hall');
+  assert.equal(buildGeo({ ...point, output: 'osm' }), 'https://www.openstreetmap.org/?mlat=40.712778&mlon=-74.006#map=16/40.712778/-74.006');
+  assert.equal(buildGeo({ paste: '849VCWC8+R9', altitude: '32' }), 'geo:37.422063,-122.084063,32');
+
+  assert.deepEqual(validateGeo({ paste: 'CWC8+R9', latitude: '37.4', longitude: '-122.1' }), []);
+  assert.deepEqual(validateGeo({ paste: 'CWC8+R9' }).map(({ field }) => field), ['paste']);
+  assert.deepEqual(validateGeo({ latitude: '91', longitude: 'x', altitude: 'high' }).map(({ field }) => field), ['latitude', 'longitude', 'altitude']);
+});
@@ -0,0 +1,143 @@
+// Undo/redo tests: steps are recorded when the configuration changes, quick changes
+// from one control merge, and undo, redo and new edits move through the steps.
+// A small stand-in for `document` holds the buttons and the keyboard listener.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EditHistory } from '../js/modules/history.js';
+
+function fakeDocument() {
+  const button = () => ({ disabled: false, listeners: {}, addEventListener(type, fn) { this.listeners[type] = fn; } });
+  const buttons = { 'undo-btn': button(), 'redo-btn': button() };
+  const listeners = {};
+  return {
+    buttons: { undo: buttons['undo-btn'], redo: buttons['redo-btn'] },
+    getElementById: id => buttons[id] || null,
+    addEventListener: (type, fn) => { listeners[type] = fn; },
+    // A key press; returns whether the page's own handling was prevented
+    press(key, { target = { tagName: 'BODY' }, ctrlKey = true, shiftKey = false } = {}) {
+      let prevented = false;
+      listeners.keydown({ key, ctrlKey, metaKey: false, altKey: false, shiftKey, target, preventDefault: () => { prevented = true; } });
+      return prevented;
+    }
+  };
+}
+
+// A history over a plain object standing in for the form, with the clock under test control
+function setup(t) {
+  const doc = fakeDocument();
+  globalThis.document = doc;
+  t.after(() => delete globalThis.document);
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+
+  const state = { size: 300, fg: '#000000', logo: null };
+  const statuses = [];
+  const history = new EditHistory({
+    capture: () => ({ ...state }),
+    restore: snapshot => Object.assign(state, snapshot),
+    showStatus: message => statuses.push(message)
+  });
+  history.record();
+  const change = (values, source = null, after = 2000) => {
+    now += after;
+    Object.assign(state, values);
+    if (source) history.touch(source);
+    history.record();
+  };
+  return { doc, history, state, statuses, change };
+}
+
+test('steps are recorded only when something changed', t => {
+  const { doc, history, change } = setup(t);
+  assert.equal(history.steps.length, 1);
+  assert.equal(doc.buttons.undo.disabled, true);
+  change({});
+  assert.equal(history.steps.length, 1);
+  change({ fg: '#ff0000' });
+  assert.equal(history.steps.length, 2);
+  assert.equal(doc.buttons.undo.disabled, false);
+  assert.equal(doc.buttons.redo.disabled, true);
+});
+
+test('quick changes from one control merge into one step', t => {
+  const { history, state, change } = setup(t);
+  change({ size: 310 }, 'size');
+  change({ size: 320 }, 'size', 400);
+  change({ size: 330 }, 'size', 400);
+  assert.equal(history.steps.length, 2);
+  assert.equal(history.steps[1].snapshot.size, 330);
+
+  // A pause, another control, or a change without a source starts a new step
+  change({ size: 340 }, 'size', 1500);
+  change({ fg: '#ff0000' }, 'fg', 100);
+  change({ fg: '#00ff00' }, null, 100);
+  assert.deepEqual(history.steps.map(step => step.snapshot.size), [300, 330, 340, 340, 340]);
+
+  history.undo();
+  history.undo();
+  history.undo();
+  assert.equal(state.size, 330);
+  assert.equal(state.fg, '#000000');
+});
+
+test('undo and redo restore the steps and a new edit drops the redo steps', t => {
+  const { doc, history, state, statuses, change } = setup(t);
+  change({ fg: '#111111' });
+  change({ fg: '#222222' });
+
+  history.undo();
+  assert.equal(state.fg, '#111111');
+  assert.equal(doc.buttons.redo.disabled, false);
+  history.undo();
+  assert.equal(state.fg, '#000000');
+  assert.equal(doc.buttons.undo.disabled, true);
+  history.undo();
+  assert.equal(state.fg, '#000000');
+
+  history.redo();
+  assert.equal(state.fg, '#111111');
+  change({ size: 400 });
+  assert.equal(doc.buttons.redo.disabled, true);
+  assert.deepEqual(history.steps.map(step => step.snapshot.fg), ['#000000', '#111111', '#111111']);
+  history.redo();
+  assert.equal(state.size, 400);
+  assert.equal(statuses.length, 3);
+});
+
+test('a restored step does not merge with the next change', t => {
+  const { history, change } = setup(t);
+  change({ size: 310 }, 'size');
+  change({ size: 320 }, 'size', 2000);
+  history.undo();
+  change({ size: 330 }, 'size', 100);
+  assert.deepEqual(history.steps.map(step => step.snapshot.size), [300, 310, 330]);
+});
+
+test('Ctrl+Z and Ctrl+Y outside text fields', t => {
+  const { doc, state, change } = setup(t);
+  change({ fg: '#111111' });
+
+  // Text fields keep their own undo
+  assert.equal(doc.press('z', { target: { tagName: 'INPUT', type: 'text' } }), false);
+  assert.equal(doc.press('z', { target: { tagName: 'TEXTAREA' } }), false);
+  assert.equal(state.fg, '#111111');
+
+  assert.equal(doc.press('z', { target: { tagName: 'INPUT', type: 'range' } }), true);
+  assert.equal(state.fg, '#000000');
+  assert.equal(doc.press('Z', { shiftKey: true }), true);
+  assert.equal(state.fg, '#111111');
+  doc.buttons.undo.listeners.click();
+  doc.press('y');
+  assert.equal(state.fg, '#111111');
+  assert.equal(doc.press('z', { ctrlKey: false }), false);
+});
+
+test('logos compare by identity', t => {
+  const { history, change } = setup(t);
+  const logo = { src: 'data:image/png;base64,AAAA' };
+  change({ logo });
+  change({ logo });
+  change({ logo: { ...logo } });
+  assert.equal(history.steps.length, 3);
+});
@@ -0,0 +1,107 @@
+// iCalendar tests: VTIMEZONE rules match the zone's transitions, RRULEs and all-day
+// DTENDs follow RFC 5545, and the QR payload carries no creation time.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCalendar } from '../js/modules/ical.js';
+import { getContent, getTemplate } from '../js/modules/templates.js';
+
+const HEADER = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Privacy-Focused QR Code Generator//EN', 'CALSCALE:GREGORIAN'];
+const lines = text => text.split('\r\n');
+const section = (text, name) => {
+  const all = lines(text);
+  return all.slice(all.indexOf(`BEGIN:${name}`), all.indexOf(`END:${name}`) + 1);
+};
+
+test('a zoned event carries the zone with its yearly transitions', () => {
+  const calendar = buildCalendar({ title: 'Team sync', start: '2024-03-04T09:30', end: '2024-03-04T10:00', timeZone: 'America/New_York' });
+  assert.deepEqual(lines(calendar).slice(0, 4), HEADER);
+  assert.deepEqual(section(calendar, 'VTIMEZONE'), [
+    'BEGIN:VTIMEZONE',
+    'TZID:America/New_York',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:19700308T020000',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0400',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'DTSTART:19701101T020000',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0500',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ]);
+  assert.deepEqual(section(calendar, 'VEVENT').slice(2, 4), [
+    'DTSTART;TZID=America/New_York:20240304T093000',
+    'DTEND;TZID=America/New_York:20240304T100000'
+  ]);
+});
+
+test('last-weekday rules, southern summers and zones without changes', () => {
+  const zone = timeZone => section(buildCalendar({ start: '2024-06-03T09:00', timeZone }), 'VTIMEZONE');
+  const berlin = zone('Europe/Berlin');
+  assert.ok(berlin.includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU'));
+  assert.ok(berlin.includes('DTSTART:19701025T030000'));
+  // Daylight time in Sydney starts in October and ends in April
+  const sydney = zone('Australia/Sydney');
+  assert.deepEqual(sydney.slice(sydney.indexOf('BEGIN:DAYLIGHT'), sydney.indexOf('END:DAYLIGHT')), [
+    'BEGIN:DAYLIGHT', 'DTSTART:19701004T020000', 'TZOFFSETFROM:+1000', 'TZOFFSETTO:+1100', 'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=1SU'
+  ]);
+  assert.deepEqual(zone('Asia/Tokyo'), [
+    'BEGIN:VTIMEZONE', 'TZID:Asia/Tokyo',
+    'BEGIN:STANDARD', 'DTSTART:19700101T000000', 'TZOFFSETFROM:+0900', 'TZOFFSETTO:+0900', 'END:STANDARD',
+    'END:VTIMEZONE'
+  ]);
+  // UTC times need no VTIMEZONE
+  const utc = buildCalendar({ start: '2024-06-03T09:00', end: '2024-06-03T10:00', timeZone: 'UTC' });
+  assert.ok(!utc.includes('VTIMEZONE'));
+  assert.ok(utc.includes('\r\nDTSTART:20240603T090000Z\r\nDTEND:20240603T100000Z\r\n'));
+});
+
+test('repeat rules', () => {
+  const rule = (event, timeZone = 'UTC') => lines(buildCalendar({ start: '2024-03-04T09:30', timeZone, ...event })).find(line => line.startsWith('RRULE:FREQ=') && !line.includes('BYMONTH'));
+  assert.equal(rule({ repeat: 'weekly', count: 10 }), 'RRULE:FREQ=WEEKLY;COUNT=10');
+  assert.equal(rule({ repeat: 'daily', interval: 2 }), 'RRULE:FREQ=DAILY;INTERVAL=2');
+  // 4 March 2024 is the first Monday; the 29th is a fifth Friday, i.e. the last one
+  assert.equal(rule({ repeat: 'monthly-weekday' }), 'RRULE:FREQ=MONTHLY;BYDAY=1MO');
+  assert.equal(rule({ repeat: 'monthly-weekday', start: '2024-03-29T09:30' }), 'RRULE:FREQ=MONTHLY;BYDAY=-1FR');
+  // UNTIL is the last start as a UTC time, and replaces COUNT
+  assert.equal(rule({ repeat: 'monthly', until: '2024-12-31', count: 5 }, 'America/New_York'), 'RRULE:FREQ=MONTHLY;UNTIL=20241231T143000Z');
+  assert.equal(rule({ repeat: 'daily', until: '2024-06-07' }), 'RRULE:FREQ=DAILY;UNTIL=20240607T093000Z');
+  assert.equal(rule({ repeat: 'yearly', start: '2024-02-28', allDay: true, until: '2030-02-28' }), 'RRULE:FREQ=YEARLY;UNTIL=20300228');
+  assert.equal(rule({ repeat: 'none' }), undefined);
+});
+
+test('all-day events end on the day after the last day', () => {
+  const dates = event => section(buildCalendar({ allDay: true, ...event }), 'VEVENT').filter(line => /^DT(START|END)/.test(line));
+  assert.deepEqual(dates({ start: '2024-02-28', end: '2024-02-29' }), ['DTSTART;VALUE=DATE:20240228', 'DTEND;VALUE=DATE:20240301']);
+  assert.deepEqual(dates({ start: '2024-12-31' }), ['DTSTART;VALUE=DATE:20241231', 'DTEND;VALUE=DATE:20250101']);
+  // An end before the start counts as a one-day event; times are ignored
+  assert.deepEqual(dates({ start: '2023-02-28T10:00', end: '2023-02-01', timeZone: 'Europe/Berlin' }), ['DTSTART;VALUE=DATE:20230228', 'DTEND;VALUE=DATE:20230301']);
+});
+
+test('text is escaped and reminders become alarms', () => {
+  const event = section(buildCalendar({ title: 'Q1; review, notes', start: '2024-03-04T09:30', location: 'Room 4\\B', description: 'Agenda:\nbudget', reminder: 15 }), 'VEVENT');
+  assert.deepEqual(event.slice(3), [
+    'SUMMARY:Q1\\; review\\, notes',
+    'LOCATION:Room 4\\\\B',
+    'DESCRIPTION:Agenda:\\nbudget',
+    'BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:Q1\\; review\\, notes', 'TRIGGER:-PT15M', 'END:VALARM',
+    'END:VEVENT'
+  ]);
+});
+
+test('the QR payload is the same for the same event; only the file is stamped', () => {
+  const fields = { 'event-title': 'Launch', 'event-start': '2024-05-01T18:00', 'event-timezone': 'Europe/Paris', 'event-repeat': 'none' };
+  const payload = getContent('event', fields);
+  assert.ok(!payload.includes('DTSTAMP'));
+  assert.match(payload, /\r\nUID:[0-9a-f]{8}@qr-code-generator\r\nDTSTART;TZID=Europe\/Paris:20240501T180000\r\n/);
+  assert.equal(getContent('event', { ...fields }), payload);
+
+  assert.match(buildCalendar({ start: '2024-05-01' }, { stamp: new Date(Date.UTC(2024, 0, 2, 3, 4, 5)) }), /\r\nDTSTAMP:20240102T030405Z\r\n/);
+  const file = getTemplate('event').actions[0].file.build(fields);
+  assert.match(file, /\r\nDTSTAMP:\d{8}T\d{6}Z\r\n/);
+  assert.equal(file.replace(/DTSTAMP:\w+\r\n/, ''), payload);
+});
@@ -0,0 +1,83 @@
+// Link catalog tests: handles typed or read from pasted profile and store links, each
+// site's naming rules, and the links built from them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLink, catalogOptions, checkHandle, readHandle } from '../js/modules/link-catalog.js';
+
+test('pasted profile links read back to the handle', () => {
+  assert.equal(readHandle('twitter', '@NASA'), 'NASA');
+  assert.equal(readHandle('twitter', 'https://twitter.com/nasa?lang=en'), 'nasa');
+  assert.equal(readHandle('instagram', 'https://www.instagram.com/nasa/'), 'nasa');
+  assert.equal(readHandle('threads', 'https://www.threads.net/@nasa'), 'nasa');
+  assert.equal(readHandle('facebook', 'https://m.facebook.com/profile.php?id=1000041234'), '1000041234');
+  assert.equal(readHandle('linkedin', 'https://de.linkedin.com/in/jane-doe/'), 'jane-doe');
+  assert.equal(readHandle('youtube', 'https://www.youtube.com/@NASA/videos'), 'NASA');
+  assert.equal(readHandle('github', 'https://github.com/octocat/Hello-World'), 'octocat');
+  assert.equal(readHandle('telegram', 'https://t.me/durov'), 'durov');
+  assert.equal(readHandle('whatsapp', 'https://wa.me/442079460958'), '+442079460958');
+  assert.equal(readHandle('signal', 'https://signal.me/#p/+442079460958'), '+442079460958');
+  assert.equal(readHandle('unknown', '  x  '), 'x');
+});
+
+test('fediverse and Bluesky handles', () => {
+  assert.equal(readHandle('mastodon', 'https://mastodon.social/@Gargron'), '@Gargron@mastodon.social');
+  assert.equal(buildLink('mastodon', '@Gargron@Mastodon.Social'), 'https://mastodon.social/@Gargron');
+  assert.equal(checkHandle('mastodon', '@alice'), 'Write fediverse accounts as @user@server, e.g. @alice@mastodon.social');
+  assert.equal(checkHandle('mastodon', 'alice@localhost'), 'Write fediverse accounts as @user@server, e.g. @alice@mastodon.social');
+  assert.equal(buildLink('mastodon', '@alice'), '');
+
+  // A bare name is on bsky.social; DIDs are accepted as they are
+  assert.equal(buildLink('bluesky', '@Alice'), 'https://bsky.app/profile/alice.bsky.social');
+  assert.equal(readHandle('bluesky', 'https://bsky.app/profile/jay.bsky.team'), 'jay.bsky.team');
+  assert.equal(checkHandle('bluesky', 'did:plc:z72i7hdynmk6r22z27h6tvur'), '');
+  assert.equal(checkHandle('bluesky', 'not a handle'), 'Bluesky handles are domain names, e.g. alice.bsky.social');
+});
+
+test('each site\'s naming rules', () => {
+  assert.equal(checkHandle('twitter', 'https://x.com/nasa'), '');
+  assert.equal(checkHandle('twitter', 'a_very_long_name_x'), 'X user names have up to 15 letters, digits or underscores');
+  ['na..sa', 'nasa.', '.nasa'].forEach(name => {
+    assert.equal(checkHandle('instagram', name), 'Instagram user names have up to 30 letters, digits, underscores and single dots', name);
+  });
+  assert.equal(checkHandle('facebook', 'nasa'), 'Facebook names have at least 5 letters, digits or dots');
+  assert.equal(checkHandle('linkedin', 'jö-doe'), '');
+  assert.equal(checkHandle('tiktok', '@nasa.'), 'TikTok user names have 2 to 24 letters, digits, underscores or dots');
+  ['-octo', 'octo-', 'oc--tocat', 'x'.repeat(40)].forEach(name => {
+    assert.equal(checkHandle('github', name), 'GitHub user names have up to 39 letters, digits or single hyphens, not at either end', name);
+  });
+  assert.equal(checkHandle('telegram', '1abc'), 'Telegram user names have 5 to 32 letters, digits or underscores and start with a letter');
+});
+
+test('messengers take international numbers and prefilled messages', () => {
+  assert.equal(checkHandle('whatsapp', '020 7946 0958'), 'Start with + and the country code, e.g. +44 20 7946 0958');
+  assert.equal(buildLink('whatsapp', '+44 20 7946 0958', { message: 'Hi there & welcome' }), 'https://wa.me/442079460958?text=Hi%20there%20%26%20welcome');
+  assert.equal(buildLink('telegram', '+44 20 7946 0958'), 'https://t.me/+442079460958');
+  // Telegram links carry no message
+  assert.equal(buildLink('telegram', '@durov', { message: 'hi' }), 'https://t.me/durov');
+  assert.equal(buildLink('signal', '0044 20 7946 0958'), 'https://signal.me/#p/+442079460958');
+});
+
+test('store links and the stores\' own app links', () => {
+  const links = (id, value) => [readHandle(id, value), checkHandle(id, value), buildLink(id, value), buildLink(id, value, { deep: true })];
+  assert.deepEqual(links('ios', 'https://apps.apple.com/us/app/instagram/id389801252'),
+    ['389801252', '', 'https://apps.apple.com/app/id389801252', 'itms-apps://apps.apple.com/app/id389801252']);
+  assert.deepEqual(links('android', 'https://play.google.com/store/apps/details?hl=en&id=com.instagram.android'),
+    ['com.instagram.android', '', 'https://play.google.com/store/apps/details?id=com.instagram.android', 'market://details?id=com.instagram.android']);
+  assert.deepEqual(links('windows', 'https://apps.microsoft.com/detail/9wzdncrfhvjl?hl=en-us'),
+    ['9WZDNCRFHVJL', '', 'https://apps.microsoft.com/detail/9WZDNCRFHVJL', 'ms-windows-store://pdp/?productid=9WZDNCRFHVJL']);
+  assert.deepEqual(links('amazon', 'https://www.amazon.com/Instagram/dp/B00KZP2DTQ/ref=x'),
+    ['B00KZP2DTQ', '', 'https://www.amazon.com/dp/B00KZP2DTQ', 'amzn://apps/android?asin=B00KZP2DTQ']);
+
+  assert.equal(readHandle('ios', 'id389801252'), '389801252');
+  assert.equal(checkHandle('ios', '12345'), 'App Store IDs are the digits after "id" in the app\'s link');
+  assert.equal(checkHandle('android', 'instagram'), 'Package names are dotted, like com.example.app');
+  assert.equal(checkHandle('windows', '9wzdncrfhvj'), 'Microsoft Store product IDs have 12 letters and digits');
+  // Links without a store app open on the web
+  assert.equal(buildLink('github', 'octocat', { deep: true }), 'https://github.com/octocat');
+});
+
+test('select options by kind', () => {
+  assert.deepEqual(catalogOptions('messenger'), [['whatsapp', 'WhatsApp'], ['telegram', 'Telegram'], ['signal', 'Signal']]);
+  assert.deepEqual(catalogOptions('app').map(([id]) => id), ['ios', 'android', 'windows', 'amazon']);
+});
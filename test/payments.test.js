@@ -0,0 +1,96 @@
+// Payment tests: IBAN and creditor reference check digits (ISO 7064 MOD 97-10), the
+// Swiss QR reference's recursive mod 10 digit, Keccak-256 and EIP-55 checksums.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { keccak256 } from '../js/modules/keccak.js';
+import {
+  buildEIP681, buildEPC, buildSwissQR, isQRIBAN, isValidAddress, isValidCreditorReference, isValidIBAN,
+  isValidQRReference, swissReferenceType, toChecksumAddress, validateEIP681, validateSwissQR
+} from '../js/modules/payments.js';
+
+const EIP55 = [
+  '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+  '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+  '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+  '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+];
+
+test('IBAN check digits', () => {
+  assert.ok(isValidIBAN('GB82WEST12345698765432'));
+  assert.ok(isValidIBAN('gb82 west 1234 5698 7654 32'));
+  assert.ok(isValidIBAN('DE89370400440532013000'));
+  assert.ok(isValidIBAN('CH9300762011623852957'));
+  assert.ok(!isValidIBAN('GB82WEST12345698765431'));
+  assert.ok(!isValidIBAN('DE89370400440532013001'));
+  assert.ok(!isValidIBAN('GB82'));
+  assert.ok(!isValidIBAN(''));
+});
+
+test('creditor references and QR references', () => {
+  assert.ok(isValidCreditorReference('RF18539007547034'));
+  assert.ok(isValidCreditorReference('RF18 5390 0754 7034'));
+  assert.ok(!isValidCreditorReference('RF18539007547035'));
+  assert.ok(!isValidCreditorReference('RF1853900754703412345678'));
+
+  assert.ok(isValidQRReference('210000000003139471430009017'));
+  assert.ok(isValidQRReference('21 00000 00003 13947 14300 09017'));
+  assert.ok(isValidQRReference('000000000000000000000000000'));
+  assert.ok(!isValidQRReference('210000000003139471430009016'));
+  assert.ok(!isValidQRReference('21000000000313947143000901'));
+});
+
+test('QR-IBANs take QR references and regular IBANs take RF references', () => {
+  assert.ok(isQRIBAN('CH44 3199 9123 0008 8901 2'));
+  assert.ok(!isQRIBAN('CH9300762011623852957'));
+  assert.equal(swissReferenceType({ iban: 'CH4431999123000889012', reference: '210000000003139471430009017' }), 'QRR');
+  assert.equal(swissReferenceType({ iban: 'CH9300762011623852957', reference: 'RF18539007547034' }), 'SCOR');
+  assert.equal(swissReferenceType({ iban: 'CH9300762011623852957' }), 'NON');
+
+  const creditor = { name: 'Robert Schneider AG', street: 'Rue du Lac', building: '1268', postal: '2501', town: 'Biel', country: 'ch' };
+  const fields = ids => validateSwissQR(ids).map(({ field }) => field);
+  assert.deepEqual(fields({ ...creditor, iban: 'CH4431999123000889012', reference: '210000000003139471430009017' }), []);
+  assert.deepEqual(fields({ ...creditor, iban: 'CH4431999123000889012', reference: 'RF18539007547034' }), ['reference']);
+  assert.deepEqual(fields({ ...creditor, iban: 'DE89370400440532013000' }), ['iban']);
+});
+
+test('SEPA and Swiss payloads', () => {
+  assert.equal(buildEPC({ name: 'Red Cross', iban: 'BE72 0000 0001 6116', bic: 'bpotbeb1', amount: '1', text: 'Urgency fund' }),
+    'BCD\n002\n1\nSCT\nBPOTBEB1\nRed Cross\nBE72000000016116\nEUR1.00\n\n\nUrgency fund');
+  const swiss = buildSwissQR({
+    iban: 'CH44 3199 9123 0008 8901 2', name: 'Robert Schneider AG', street: 'Rue du Lac', building: '1268', postal: '2501',
+    town: 'Biel', country: 'ch', amount: '1949.75', reference: '210000000003139471430009017', message: 'Order 2024-17'
+  }).split('\r\n');
+  assert.equal(swiss.length, 31);
+  assert.deepEqual(swiss.slice(0, 11), ['SPC', '0200', '1', 'CH4431999123000889012', 'S', 'Robert Schneider AG', 'Rue du Lac', '1268', '2501', 'Biel', 'CH']);
+  assert.deepEqual(swiss.slice(18, 20), ['1949.75', 'CHF']);
+  assert.deepEqual(swiss.slice(-4), ['QRR', '210000000003139471430009017', 'Order 2024-17', 'EPD']);
+});
+
+test('Keccak-256 uses the original padding', () => {
+  assert.equal(keccak256(''), 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+  assert.equal(keccak256('abc'), '4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45');
+});
+
+test('EIP-55 checksums', () => {
+  EIP55.forEach(address => {
+    assert.equal(toChecksumAddress(address.toLowerCase()), address);
+    assert.equal(toChecksumAddress(address.toUpperCase().replace('0X', '0x')), address);
+    assert.ok(isValidAddress(address));
+    assert.ok(isValidAddress(address.toLowerCase()));
+  });
+  // One letter in the wrong case breaks the checksum
+  assert.ok(!isValidAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD'));
+  assert.ok(!isValidAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeA'));
+  assert.deepEqual(validateEIP681({ address: '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d35A' }),
+    [{ field: 'address', message: 'The address checksum does not match; check it for typos' }]);
+});
+
+test('EIP-681 requests use checksummed addresses and base units', () => {
+  assert.equal(buildEIP681({ address: EIP55[1].toLowerCase(), amount: '1.5' }),
+    'ethereum:0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359?value=1500000000000000000');
+  assert.equal(buildEIP681({ address: EIP55[1].toLowerCase(), token: EIP55[2].toLowerCase(), decimals: '6', amount: '12.34', chain: '137' }),
+    'ethereum:0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB@137/transfer?address=0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359&uint256=12340000');
+  assert.deepEqual(validateEIP681({ address: EIP55[0], token: EIP55[2], decimals: '2', amount: '0.001' }),
+    [{ field: 'amount', message: 'This token has only 2 decimals' }]);
+});
@@ -0,0 +1,75 @@
+// Preset tests: saved and imported presets keep only known design values and a data URL
+// logo, and names such as "__proto__" or "toString" are ordinary presets.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePresetFile, parseStore, sanitizePreset } from '../js/modules/presets.js';
+
+const KEYS = ['fg', 'bg', 'size', 'style'];
+const file = presets => JSON.stringify({ type: 'qr-generator-presets', version: 1, presets });
+
+test('presets keep known design values and data URL logos', () => {
+  assert.deepEqual(sanitizePreset({
+    design: { fg: '#112233', size: 400, style: null, extra: 'x', bg: { evil: true } },
+    logo: 'data:image/png;base64,AAAA'
+  }, KEYS), { design: { fg: '#112233', size: 400 }, logo: 'data:image/png;base64,AAAA' });
+  assert.deepEqual(sanitizePreset({ design: {}, logo: 'https://example.com/logo.png' }, KEYS), { design: {} });
+  assert.equal(sanitizePreset({ design: null }, KEYS), null);
+  assert.equal(sanitizePreset('design', KEYS), null);
+});
+
+test('import reads names, trims them and lets later entries win', () => {
+  const presets = parsePresetFile(file([
+    { name: '  Brand  ', design: { fg: '#000000' } },
+    { name: 'x'.repeat(60), design: { bg: '#ffffff' } },
+    { name: 'Brand', design: { fg: '#ff0000' } },
+    { name: '', design: { fg: '#00ff00' } },
+    { name: 'No design' }
+  ]), KEYS);
+  assert.deepEqual(Object.keys(presets), ['Brand', 'x'.repeat(50)]);
+  assert.deepEqual(presets.Brand, { design: { fg: '#ff0000' } });
+});
+
+test('import refuses files that hold no presets', () => {
+  assert.throws(() => parsePresetFile('{"type":"other","presets":[]}', KEYS), /not a preset file/);
+  assert.throws(() => parsePresetFile('null', KEYS), /not a preset file/);
+  assert.throws(() => parsePresetFile(file([{ name: 'Bad' }]), KEYS), /no valid presets found/);
+  assert.throws(() => parsePresetFile('{', KEYS), SyntaxError);
+});
+
+test('prototype names import as ordinary presets', () => {
+  const names = ['__proto__', 'toString', 'constructor', 'hasOwnProperty'];
+  const presets = parsePresetFile(file(names.map((name, i) => ({ name, design: { size: 100 + i } }))), KEYS);
+  assert.deepEqual(Object.keys(presets), names);
+  names.forEach((name, i) => {
+    assert.ok(Object.hasOwn(presets, name));
+    assert.deepEqual(presets[name], { design: { size: 100 + i } });
+  });
+  assert.equal(Object.getPrototypeOf(presets), null);
+
+  const merged = Object.assign(Object.create(null), presets);
+  assert.deepEqual(Object.keys(merged), names);
+  assert.deepEqual(JSON.parse(JSON.stringify(merged)).__proto__, { design: { size: 100 } });
+});
+
+test('saved presets load with prototype names and a checked default', () => {
+  const json = '{"presets":{"__proto__":{"design":{"fg":"#010101"}},"constructor":{"design":{"bg":"#fefefe"}},"Broken":{}},"defaultPreset":"__proto__"}';
+  const store = parseStore(json, KEYS);
+  assert.deepEqual(Object.keys(store.presets), ['__proto__', 'constructor']);
+  assert.deepEqual(store.presets.__proto__, { design: { fg: '#010101' } });
+  assert.equal(store.defaultPreset, '__proto__');
+
+  // A default that only exists on Object.prototype is not a preset
+  assert.equal(parseStore('{"presets":{},"defaultPreset":"toString"}', KEYS).defaultPreset, null);
+  assert.equal(parseStore('{"presets":{"a":{"design":{}}},"defaultPreset":"b"}', KEYS).defaultPreset, null);
+});
+
+test('missing or malformed storage loads as no presets', () => {
+  [null, '{}', '{"presets":null}', '[]', '"x"'].forEach(json => {
+    const store = parseStore(json, KEYS);
+    assert.deepEqual(Object.keys(store.presets), []);
+    assert.equal(store.defaultPreset, null);
+    assert.equal(store.presets.toString, undefined);
+  });
+  assert.throws(() => parseStore('{', KEYS), SyntaxError);
+});
@@ -0,0 +1,180 @@
+// Rendering core tests: createQR() and its SVG output run in Node with no DOM, and
+// what they draw decodes back to the content.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQR, createQRSet } from '../js/modules/qr-render.js';
+import { decodeImageData } from '../js/modules/qr-decoder.js';
+import { getContent } from '../js/modules/templates.js';
+import { rmqrDimensions, RMQR_VERSIONS } from '../js/modules/rmqr.js';
+
+const SCALE = 4;
+const QUIET = 4;
+
+// RGBA image data of a module matrix, `SCALE` pixels per module with a quiet zone
+function matrixImage(matrix) {
+  const side = (matrix.length + QUIET * 2) * SCALE;
+  const data = new Uint8ClampedArray(side * side * 4).fill(255);
+  matrix.forEach((row, r) => row.forEach((dark, c) => {
+    if (!dark) return;
+    for (let y = 0; y < SCALE; y++) {
+      for (let x = 0; x < SCALE; x++) {
+        const p = (((r + QUIET) * SCALE + y) * side + (c + QUIET) * SCALE + x) * 4;
+        data[p] = data[p + 1] = data[p + 2] = 0;
+      }
+    }
+  }));
+  return { data, width: side, height: side };
+}
+
+const hexColor = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+// Rasterize SVG markup of square modules: every subpath is an axis-aligned
+// rectangle, painted in document order with its path's fill
+function svgImage(svg) {
+  const [, width, height] = /viewBox="0 0 (\d+) (\d+)"/.exec(svg).map(Number);
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (const [, d, fill] of svg.matchAll(/<path d="([^"]*)" fill="(#[0-9a-f]{6})"/gi)) {
+    const color = hexColor(fill);
+    for (const subpath of d.split('Z').filter(Boolean)) {
+      const points = Array.from(subpath.matchAll(/[ML](-?[\d.]+) (-?[\d.]+)/g), m => [+m[1], +m[2]]);
+      const xs = points.map(([x]) => x);
+      const ys = points.map(([, y]) => y);
+      for (let y = Math.round(Math.min(...ys)); y < Math.round(Math.max(...ys)); y++) {
+        for (let x = Math.round(Math.min(...xs)); x < Math.round(Math.max(...xs)); x++) {
+          data.set([...color, 255], (y * width + x) * 4);
+        }
+      }
+    }
+  }
+  return { data, width, height };
+}
+
+test('runs without a DOM', () => {
+  assert.equal(typeof document, 'undefined');
+  assert.equal(typeof window, 'undefined');
+  assert.ok(createQR('HELLO').matrix.length > 0);
+});
+
+test('matrix size follows the version', () => {
+  for (const version of [1, 2, 7, 10, 25, 40]) {
+    const qr = createQR('HELLO', { version });
+    assert.equal(qr.version, version);
+    assert.equal(qr.count, 17 + 4 * version);
+    assert.equal(qr.matrix.length, qr.count);
+    assert.ok(qr.matrix.every(row => row.length === qr.count));
+  }
+});
+
+test('picks the smallest version that fits', () => {
+  assert.equal(createQR('HELLO WORLD', { ec: 'M' }).version, 1);
+  assert.equal(createQR('x'.repeat(100), { ec: 'L' }).version, 5);
+  assert.equal(createQR('x'.repeat(100), { ec: 'H' }).version, 10);
+});
+
+test('Micro QR sizes are 11 to 17 modules', () => {
+  [[1, 'L', '12345'], [2, 'L', 'AB12'], [3, 'M', 'micro'], [4, 'Q', 'CABLE-17']].forEach(([version, ec, text]) => {
+    const qr = createQR(text, { symbol: 'micro', version, ec });
+    assert.equal(qr.count, 2 * version + 9);
+  });
+});
+
+test('rMQR sizes run from R7x43 to R17x139', () => {
+  RMQR_VERSIONS.forEach(version => {
+    const qr = createQR('R1', { symbol: 'rmqr', version });
+    const [rows, columns] = rmqrDimensions(version);
+    assert.equal(qr.rows, rows);
+    assert.equal(qr.count, columns);
+    assert.equal(qr.layout.width, qr.layout.cell * (columns + 4));
+    assert.equal(qr.layout.height, qr.layout.cell * (rows + 4));
+  });
+  assert.equal(RMQR_VERSIONS.length, 32);
+  assert.deepEqual(rmqrDimensions(RMQR_VERSIONS.at(-1)), [17, 139]);
+  assert.throws(() => createQR('R1', { symbol: 'rmqr', ec: 'L' }), /M and H only/);
+});
+
+// Reference symbols from an independent encoder; both decode with a reader that supports rMQR
+test('rMQR symbols match reference matrices', () => {
+  const references = [
+    ['HELLO', 1, 'M', [
+      '#######.#.#.#.#.#.#.###.#.#.#.#.#.#.#.#.###',
+      '#.....#..#.#......###.##.##.....##.##...#.#',
+      '#.###.#.#.##.#.##.#.####...####..#.########',
+      '#.###.#..##..#.##..#..######..##.##...#...#',
+      '#.###.#...###...##..###.##.#..#..###..#.#.#',
+      '#.....#.###...##....#.#.#...######.##.#...#',
+      '#######.#.#.#.#.#.#.###.#.#.#.#.#.#.#.#####'
+    ]],
+    ['4902040001234', 17, 'H', [
+      '#######.#.#.#.#.#.#.#.#.###',
+      '#.....#.#..###....###..#..#',
+      '#.###.#.#.#.####.#...##.###',
+      '#.###.#.#.##.....##..##..#.',
+      '#.###.#.#.#....###..#...#.#',
+      '#.....#.#.##.######.#.##.#.',
+      '#######..#........###.###.#',
+      '...........###.##......#...',
+      '##..#..###.####....########',
+      '.#.###..##......#####.#...#',
+      '#.##..#.....#.#..#....#.#.#',
+      '#.....##......####.#..#...#',
+      '###.#.#.#.#.#.#.#.#.#.#####'
+    ]]
+  ];
+  references.forEach(([content, version, ec, rows]) => {
+    const qr = createQR(content, { symbol: 'rmqr', version, ec });
+    assert.deepEqual(qr.matrix.map(row => row.map(dark => (dark ? '#' : '.')).join('')), rows);
+  });
+});
+
+test('decodes back to the content at every level and mask', () => {
+  const contents = ['https://example.com/path?query=1', '0123456789'.repeat(30), 'Grüße aus Zürich 日本語 😀'];
+  contents.forEach((content, i) => {
+    ['L', 'M', 'Q', 'H'].forEach((ec, j) => {
+      const mask = (i * 4 + j) % 8;
+      const qr = createQR(content, { ec, mask });
+      const result = decodeImageData(matrixImage(qr.matrix));
+      assert.equal(result.text, content);
+      assert.equal(result.ecLevel, ec);
+      assert.equal(result.mask, mask);
+      assert.equal(result.version, qr.version);
+    });
+  });
+});
+
+test('template payloads decode unchanged', () => {
+  const wifi = getContent('wifi', { 'wifi-ssid': 'Office', 'wifi-password': 'correct horse', 'wifi-encryption': 'WPA' });
+  const phone = getContent('phone', { 'phone-number': '+442079460958' });
+  assert.equal(wifi, 'WIFI:T:WPA;S:Office;P:correct horse;;');
+  assert.equal(phone, 'tel:+442079460958');
+  [wifi, phone].forEach(content => {
+    assert.equal(decodeImageData(matrixImage(createQR(content).matrix)).text, content);
+  });
+});
+
+test('SVG output has the layout size and the chosen colors', () => {
+  const qr = createQR('SVG', { size: 250, margin: 4, fg: '#123456', bg: '#fedcba' });
+  const svg = qr.renderSVG();
+  assert.match(svg, /^<\?xml version="1.0"\?><svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+  assert.ok(svg.includes(`viewBox="0 0 ${qr.layout.size} ${qr.layout.size}"`));
+  assert.ok(svg.includes('fill="#123456"'));
+  assert.ok(svg.includes('fill="#fedcba"'));
+  assert.ok(svg.endsWith('</svg>'));
+});
+
+test('SVG output decodes back to the content', () => {
+  const content = 'https://example.com/?from=svg';
+  const qr = createQR(content, { size: 300, ec: 'Q', style: 'square' });
+  assert.equal(decodeImageData(svgImage(qr.renderSVG())).text, content);
+});
+
+test('long content is split into linked symbols that join back', () => {
+  const content = 'Structured Append joins these parts. '.repeat(120);
+  const set = createQRSet(content, { ec: 'M' });
+  assert.ok(set.symbols.length > 1);
+  const parts = set.symbols.map(symbol => decodeImageData(matrixImage(symbol.matrix)));
+  parts.forEach((part, index) => {
+    assert.deepEqual(part.structuredAppend && [part.structuredAppend.index, part.structuredAppend.total], [index, parts.length]);
+  });
+  assert.equal(parts.map(part => part.text).join(''), content);
+});
@@ -0,0 +1,30 @@
+// Share link tests: the #fragment state is unpadded base64url of UTF-8 JSON, and only
+// links of the current format are accepted.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeState, encodeState } from '../js/modules/share-link.js';
+
+test('state encodes as unpadded base64url', () => {
+  assert.equal(encodeState({ v: 1 }), 'eyJ2IjoxfQ');
+  assert.equal(encodeState({ v: 1, t: 'wifi' }), 'eyJ2IjoxLCJ0Ijoid2lmaSJ9');
+  // '-' and '_' stand in for '+' and '/', which a URL would mangle
+  assert.equal(encodeState({ v: 1, f: { x: 'ÿ?>' } }), 'eyJ2IjoxLCJmIjp7IngiOiLDvz8-In19');
+  assert.equal(encodeState({ v: 1, f: { x: 'Wi-Fi ?? ÿ' } }), 'eyJ2IjoxLCJmIjp7IngiOiJXaS1GaSA_PyDDvyJ9fQ');
+});
+
+test('decoding restores UTF-8 text at every padding length', () => {
+  assert.deepEqual(decodeState('eyJ2IjoxfQ'), { v: 1 });
+  assert.deepEqual(decodeState('eyJ2IjoxLCJmIjp7IngiOiJXaS1GaSA_PyDDvyJ9fQ'), { v: 1, f: { x: 'Wi-Fi ?? ÿ' } });
+  ['', 'a', 'ab', 'abc'].forEach(pad => {
+    const state = { v: 1, t: 'text', f: { 'text-content': `Grüße 日本語 😀 ${pad}` }, d: { fg: '#000000', size: 350 } };
+    assert.deepEqual(decodeState(encodeState(state)), state);
+  });
+});
+
+test('links of another format or damaged links are refused', () => {
+  assert.throws(() => decodeState('eyJ2IjoyfQ'), /Unsupported share link/);
+  assert.throws(() => decodeState('InYi'), /Unsupported share link/);
+  assert.throws(() => decodeState('bnVsbA'), /Unsupported share link/);
+  assert.throws(() => decodeState('eyJ2Ijox'), SyntaxError);
+});
@@ -0,0 +1,64 @@
+// WiFi template tests: WIFI: payloads escape special characters, carry the
+// enterprise (WPA2-EAP) entries and read back into the same fields.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeWifi, getContent, getTemplate, parseContent, templateFields, validateFields } from '../js/modules/templates.js';
+
+const ENTERPRISE = {
+  'wifi-ssid': 'Corp Net',
+  'wifi-encryption': 'WPA2-EAP',
+  'wifi-eap-method': 'PEAP',
+  'wifi-phase2': 'MSCHAPV2',
+  'wifi-identity': 'jane@corp.example',
+  'wifi-anonymous-identity': 'anonymous@corp.example',
+  'wifi-password': 'p;ss:word',
+  'wifi-hidden': false
+};
+
+test('backslash, semicolon, comma, colon and quote are escaped', () => {
+  assert.equal(escapeWifi('a;b,c:d\\e"f'), 'a\\;b\\,c\\:d\\\\e\\"f');
+  assert.equal(escapeWifi('"quoted"'), '\\"quoted\\"');
+  assert.equal(escapeWifi('Café 日本'), 'Café 日本');
+  assert.equal(escapeWifi(12345678), '12345678');
+});
+
+test('personal network payloads', () => {
+  assert.equal(getContent('wifi', { 'wifi-ssid': 'Office; 2nd floor', 'wifi-encryption': 'WPA', 'wifi-password': 'correct horse' }),
+    'WIFI:T:WPA;S:Office\\; 2nd floor;P:correct horse;;');
+  assert.equal(getContent('wifi', { 'wifi-ssid': 'Lab', 'wifi-encryption': 'SAE', 'wifi-password': 'a:b,c;d\\e', 'wifi-hidden': true }),
+    'WIFI:T:SAE;S:Lab;P:a\\:b\\,c\\;d\\\\e;H:true;;');
+  assert.equal(getContent('wifi', { 'wifi-ssid': 'Guest', 'wifi-encryption': 'nopass', 'wifi-password': 'ignored' }),
+    'WIFI:T:nopass;S:Guest;;');
+});
+
+test('WPA2-EAP payloads carry the method, identities and phase 2', () => {
+  assert.equal(getContent('wifi', ENTERPRISE),
+    'WIFI:T:WPA2-EAP;S:Corp Net;P:p\\;ss\\:word;E:PEAP;A:anonymous@corp.example;I:jane@corp.example;PH2:MSCHAPV2;;');
+  assert.equal(getContent('wifi', { ...ENTERPRISE, 'wifi-eap-method': 'TLS', 'wifi-phase2': '', 'wifi-password': '', 'wifi-anonymous-identity': '', 'wifi-identity': 'CN=device;7' }),
+    'WIFI:T:WPA2-EAP;S:Corp Net;E:TLS;I:CN=device\\;7;;');
+});
+
+test('payloads read back into the fields they were built from', () => {
+  const parsed = parseContent(getContent('wifi', ENTERPRISE));
+  assert.equal(parsed.template, 'wifi');
+  Object.entries(ENTERPRISE).forEach(([id, value]) => assert.equal(parsed.fields[id], value, id));
+
+  const personal = parseContent('WIFI:S:Office\\; 2nd floor;T:WPA;P:x\\\\y\\"z;H:true;;');
+  assert.equal(personal.fields['wifi-ssid'], 'Office; 2nd floor');
+  assert.equal(personal.fields['wifi-password'], 'x\\y"z');
+  assert.equal(personal.fields['wifi-hidden'], true);
+});
+
+test('enterprise networks need an identity and, except TLS, a password', () => {
+  const ids = fields => validateFields('wifi', fields).map(({ id }) => id);
+  assert.deepEqual(ids(ENTERPRISE), []);
+  assert.deepEqual(ids({ ...ENTERPRISE, 'wifi-identity': '', 'wifi-password': '' }), ['wifi-identity', 'wifi-password']);
+  assert.deepEqual(ids({ ...ENTERPRISE, 'wifi-eap-method': 'TLS', 'wifi-password': '' }), []);
+  assert.deepEqual(ids({ ...ENTERPRISE, 'wifi-encryption': 'WPA', 'wifi-password': 'short' }), ['wifi-password']);
+});
+
+test('password and identities are left out of share links by default', () => {
+  const sensitive = templateFields(getTemplate('wifi')).filter(field => field.sensitive).map(field => field.id);
+  assert.deepEqual(sensitive.sort(), ['wifi-anonymous-identity', 'wifi-identity', 'wifi-password']);
+});
@@ -0,0 +1,102 @@
+// vCard tests: text values are escaped per RFC 6350, long lines fold at 75 octets
+// without splitting a UTF-8 character, and full 3.0 and 4.0 cards match fixed output.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contentLines, escapeText, foldLine } from '../js/modules/content-lines.js';
+import { buildVCard } from '../js/modules/vcard.js';
+
+const octets = text => new TextEncoder().encode(text).length;
+
+const CARD = {
+  name: { prefix: 'Dr.', given: 'Jane', middle: 'Q.', family: 'Doe', suffix: 'PhD' },
+  org: 'Acme, Inc.',
+  title: 'R&D; Lead',
+  phones: [{ type: 'cell', value: '+1 (555) 010-0100' }, { type: 'work', value: '+1 555 010 0199' }, { type: 'home', value: '' }],
+  emails: [{ type: 'work', value: 'jane@acme.example' }],
+  address: { type: 'work', street: '1 Main St; Suite 2', city: 'Springfield', region: 'IL', postal: '62701', country: 'USA' },
+  url: 'https://acme.example',
+  birthday: '1980-04-01',
+  note: 'Line one\nLine two, with comma',
+  social: [{ service: 'github', value: 'janedoe' }, { service: 'x', value: 'https://x.com/jane' }]
+};
+
+test('backslash, semicolon, comma and newlines are escaped', () => {
+  assert.equal(escapeText('Doe, Jane; Esq.'), 'Doe\\, Jane\\; Esq.');
+  assert.equal(escapeText('C:\\path'), 'C:\\\\path');
+  assert.equal(escapeText('a\r\nb\nc\rd'), 'a\\nb\\nc\\nd');
+  assert.equal(escapeText('Grüße: 10:30'), 'Grüße: 10:30');
+});
+
+test('lines fold at 75 octets with a leading space', () => {
+  assert.equal(foldLine('x'.repeat(75)), 'x'.repeat(75));
+  assert.equal(foldLine('x'.repeat(76)), `${'x'.repeat(75)}\r\n x`);
+  assert.equal(foldLine('x'.repeat(150)), `${'x'.repeat(75)}\r\n ${'x'.repeat(74)}\r\n x`);
+  assert.equal(contentLines(['A:1', `B:${'y'.repeat(80)}`]), `A:1\r\nB:${'y'.repeat(73)}\r\n ${'y'.repeat(7)}`);
+});
+
+test('folding never splits a UTF-8 character', () => {
+  // 74 octets, then a 2-octet ü that no longer fits on the first line
+  assert.equal(foldLine(`NOTE:${'a'.repeat(69)}üb`), `NOTE:${'a'.repeat(69)}\r\n üb`);
+  // 4-octet emoji: 'X:' and 18 of them make 74 octets, so the 19th starts the next line
+  const folded = foldLine(`X:${'😀'.repeat(20)}`);
+  assert.equal(folded, `X:${'😀'.repeat(18)}\r\n ${'😀'.repeat(2)}`);
+  folded.split('\r\n').forEach(line => assert.ok(octets(line) <= 75));
+});
+
+test('vCard 3.0 output', () => {
+  assert.equal(buildVCard(CARD, '3.0'), [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'N:Doe;Jane;Q.;Dr.;PhD',
+    'FN:Dr. Jane Q. Doe PhD',
+    'ORG:Acme\\, Inc.',
+    'TITLE:R&D\\; Lead',
+    'TEL;TYPE=CELL:+1 (555) 010-0100',
+    'TEL;TYPE=WORK,VOICE:+1 555 010 0199',
+    'EMAIL;TYPE=INTERNET,WORK:jane@acme.example',
+    'ADR;TYPE=WORK:;;1 Main St\\; Suite 2;Springfield;IL;62701;USA',
+    'URL:https://acme.example',
+    'BDAY:1980-04-01',
+    'X-SOCIALPROFILE;TYPE=github:https://github.com/janedoe',
+    'X-SOCIALPROFILE;TYPE=x:https://x.com/jane',
+    'NOTE:Line one\\nLine two\\, with comma',
+    'END:VCARD'
+  ].join('\r\n'));
+});
+
+test('vCard 4.0 output uses tel: URIs, lower-case types and SOCIALPROFILE', () => {
+  assert.equal(buildVCard(CARD, '4.0'), [
+    'BEGIN:VCARD',
+    'VERSION:4.0',
+    'N:Doe;Jane;Q.;Dr.;PhD',
+    'FN:Dr. Jane Q. Doe PhD',
+    'ORG:Acme\\, Inc.',
+    'TITLE:R&D\\; Lead',
+    'TEL;VALUE=uri;TYPE=cell:tel:+1555010-0100',
+    'TEL;VALUE=uri;TYPE=work,voice:tel:+15550100199',
+    'EMAIL;TYPE=work:jane@acme.example',
+    'ADR;TYPE=work:;;1 Main St\\; Suite 2;Springfield;IL;62701;USA',
+    'URL:https://acme.example',
+    'BDAY:19800401',
+    'SOCIALPROFILE;SERVICE-TYPE=GitHub:https://github.com/janedoe',
+    'SOCIALPROFILE;SERVICE-TYPE=X:https://x.com/jane',
+    'NOTE:Line one\\nLine two\\, with comma',
+    'END:VCARD'
+  ].join('\r\n'));
+});
+
+test('an organization-only card and a long folded note', () => {
+  const note = 'Deliveries go to the loading dock behind the building, not to reception; ring twice.';
+  assert.equal(buildVCard({ org: 'Acme; Labs', note }), [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'N:;;;;',
+    'FN:Acme\\; Labs',
+    'ORG:Acme\\; Labs',
+    'NOTE:Deliveries go to the loading dock behind the building\\, not to recepti',
+    ' on\\; ring twice.',
+    'END:VCARD'
+  ].join('\r\n'));
+  assert.throws(() => buildVCard(CARD, '2.1'), /Unsupported vCard version 2.1/);
+});